@@ -1,435 +1,1983 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  applyBundle, BUNDLE_STORES, buildVerboseTemplate, createIndexes, createPlannerEnv, DEFAULT_DICTIONARY, DEFAULT_SNIPPETS,
+  diffBundle, fieldOk, interpret, mergeDictionary, PREVIEW_CONTEXT, recordBrainRun, snippetTags, spectrum01k,
+  STORE_SCHEMAS, synthesizePseudocode, syncIndexes, uniq, validateBundle, validateDictionary,
+} from "./core.js";
+import { checkValue, fillSnippet, parsePlaceholders, PLACEHOLDER_TYPES, renderProgram } from "./codegen.js";
+import { diffLines, diffWords, foldUnchanged, sideBySide } from "./diff.js";
+import { CHANNELS, checkSignal, DEFAULT_FEEDBACK, describeFeedback, recordFeedback, resetFeedback } from "./feedback.js";
+import { applyRetention, checkRetention, DEFAULT_RETENTION, normalizeTags, rerunOrigin, searchHistory } from "./history.js";
+import { INTENTS } from "./intent.js";
+import { commandDelta, comparePlans, hasNewCommands } from "./planner.js";
+import { SCORERS } from "./ranking.js";
+import { describeRule, enhance, MAX_ROUNDS, RULE_TYPES, SCOPES } from "./rules.js";
+import { checkSchedule, createScheduler, DEFAULT_SCHEDULE, describeSchedule } from "./scheduler.js";
+import { canRun, checkSyntax, runScript, validateSnippet } from "./sandbox.js";
+import { BACKENDS, createStore, deserialize, serialize } from "./storage.js";
+import { BUILTIN_TEMPLATES, checkTemplate, mergeTemplates } from "./templates.js";
+import { groupThreads, threadChain, threadCommands } from "./threads.js";
+import { createPipeline, DEFAULT_LOCALE, DEFAULT_PIPELINE, LOCALE_RE, localeName, normalize, PIPELINE_STAGES } from "./tokenizer.js";
+import {
+  addWorkspace, checkWorkspaceName, clearWorkspace, copyWorkspace, DEFAULT_WORKSPACE, DEFAULT_WORKSPACES, findWorkspace,
+  importWorkspace, normalizeWorkspaces, renameWorkspace, scopedSchemas, scopeKey, setSharing, SHAREABLE_STORES,
+  workspaceBundle, workspaceKey,
+} from "./workspaces.js";
 
 /**
  * Command Interpreter & Pseudocode Brain – single‑file React app
  *
  * What it does
- * 1) Takes a user command and refines keywords using a built‑in dictionary.
- * 2) Builds a structured, verbose interpretation using templates.
- * 3) Runs lightweight logic passes to enhance/normalize the interpretation (one‑time execution per run).
- * 4) Computes similarity spectrum (0–1000) for: exact same, similar, different, opposite vs. prior items & a tiny snippet library.
- * 5) Every 9 minutes, auto‑synthesizes a fresh pseudo‑code plan from all accumulated commands ("the brain").
- * 6) Stores everything in localStorage (serves as a mini in‑browser DB). No server required.
+ * 1) Takes a user command and refines keywords using a built‑in dictionary (staged token pipeline, see tokenizer.js).
+ *    Commands may be written in other languages: the locale is detected (or picked by hand) and tokenized with its
+ *    own word splitting, stopwords, stemmer and per‑locale dictionary entries.
+ * 2) Detects intent, entities and constraints (intent.js) and builds a structured, verbose interpretation from
+ *    named, user‑editable templates (templates.js), picked automatically or by hand.
+ * 3) Runs named, ordered enhancement passes over the interpretation (regex rules and dictionary‑driven synonym
+ *    canonicalization, on the whole text or the Facts section only, once or to a fixpoint, see rules.js), with a
+ *    per‑rule trace and a side‑by‑side diff against the template output.
+ * 4) Computes similarity spectrum (0–1000) for: exact same, similar, different, opposite vs. prior items & a tiny snippet library
+ *    (TF‑IDF cosine or BM25 over an incremental inverted index, see ranking.js), optionally blended with semantic
+ *    similarity from local hashed‑feature embeddings (semantic.js) so "download a page" lands near "HTTP GET".
+ *    Opposites come from antonyms and negation scope ("without auth", "don't include logs", see polarity.js),
+ *    each shown with the term pairs that clashed.
+ *    Matched snippets declare typed placeholders that are filled from the command's entities; multi‑step commands
+ *    chain one snippet per step into a copyable program (codegen.js). Snippets are syntax checked, and JavaScript
+ *    ones can be run in a sandboxed worker with mocked fetch and captured console output (sandbox.js).
+ *    Thumbs up / down on snippets and history matches, and copying a snippet or program, teach per‑keyword weights
+ *    that re‑rank later results (feedback.js); the learned weights can be inspected and reset.
+ * 5) On a schedule (every N minutes or a cron rule, see scheduler.js) and only when there are new commands, one tab
+ *    auto‑synthesizes a fresh plan from all accumulated commands ("the brain"): the history is clustered
+ *    into goals, each with ordered, dependent steps (planner.js), emitted as pseudocode and as a JSON plan AST.
+ *    Runs can be diffed line by line (diff.js), followed on a timeline and pinned as a baseline.
+ * 6) Keeps a searchable command history (full‑text and fuzzy, tags, pins, date ranges, see history.js) with bulk
+ *    delete / export / re‑run and a retention policy (max count or age) enforced by the storage layer.
+ *    A command can follow up an earlier one ("now do it in python", "same but with a timeout"): the thread's intent,
+ *    entities and language carry over, "it" / "same" / "instead" are resolved and snippets are ranked on the whole
+ *    request so far (threads.js). The history groups commands by thread, and the brain plans a thread as one goal.
+ * 7) Stores everything in localStorage or IndexedDB (serves as a mini in‑browser DB, see storage.js). No server required,
+ *    but the optional local API server (server.js) can be the backend instead, sharing the history with other tools.
+ * 8) Keeps separate workspaces (workspaces.js), each with its own history, brain runs, retention and schedule state;
+ *    a workspace shares the snippet library and dictionary or keeps its own copy, and can be exported on its own.
  *
  * Notes
  * - Pure React + Tailwind CSS classes for styling (Tailwind not required to run, but classes included).
- * - All logic is implemented in this file; replace/extend dictionaries and snippet library as desired.
+ * - The interpreter pipeline (dictionary, ranking, templates, brain) lives in core.js, shared with index.html and cli.js;
+ *   this file is the UI around it. Persistence in storage.js, ranking in ranking.js, tokens in tokenizer.js, command
+ *   analysis in intent.js, templates in templates.js, brain plans in planner.js, run diffs in diff.js, scheduling in
+ *   scheduler.js, embeddings in semantic.js, negation and opposition in polarity.js, snippet placeholders in codegen.js,
+ *   snippet checks and the sandbox in sandbox.js, history search and retention in history.js, relevance feedback in
+ *   feedback.js, workspaces in workspaces.js, enhancement passes in rules.js, conversation threads in threads.js; replace/extend dictionaries and snippet library in core.js as desired.
  */
 
 // -----------------------------
-// Mini "DB" (in‑memory + localStorage persistence)
+// Mini "DB" (versioned stores on a pluggable backend, see storage.js)
+// The backend and workspace choices themselves always live in localStorage.
 // -----------------------------
-const LS_KEYS = {
-  commands: "cmdbrain.commands.v1",
-  brainRuns: "cmdbrain.brainruns.v1",
-  snippets: "cmdbrain.snippets.v1",
-  dict: "cmdbrain.dictionary.v1",
-};
+const BACKEND_PREF_KEY = "cmdbrain.backend";
 
-function loadLS(key, fallback) {
+function loadBackendPref() {
   try {
-    const s = localStorage.getItem(key);
-    return s ? JSON.parse(s) : fallback;
+    const name = localStorage.getItem(BACKEND_PREF_KEY);
+    return BACKENDS[name] ? name : "localStorage";
   } catch {
-    return fallback;
+    return "localStorage";
   }
 }
-function saveLS(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
+// only used by the "server" backend (server.js)
+const SERVER_URL_PREF_KEY = "cmdbrain.serverUrl";
+function loadServerUrl() {
+  try {
+    return localStorage.getItem(SERVER_URL_PREF_KEY) || "http://localhost:8787";
+  } catch {
+    return "http://localhost:8787";
+  }
+}
+const WORKSPACE_PREF_KEY = "cmdbrain.workspace";
+function loadWorkspacePref() {
+  try {
+    return localStorage.getItem(WORKSPACE_PREF_KEY) || DEFAULT_WORKSPACE;
+  } catch {
+    return DEFAULT_WORKSPACE;
+  }
+}
+// a store that only sees `workspace`'s data; it remembers the workspace it was opened for
+function openStore(backendName, serverUrl = loadServerUrl(), workspace = DEFAULT_WORKSPACES[0]) {
+  return { ...createStore(BACKENDS[backendName]({ baseUrl: serverUrl }), scopedSchemas(STORE_SCHEMAS, workspace)), workspace };
 }
 
 // -----------------------------
-// Dictionary (synonyms, antonyms, stopwords)
-// Extend as needed. Keep short for demo purposes.
+// Per‑browser preferences (scorer, semantic blend, pipeline stages, brain schedule) and downloads
 // -----------------------------
-const DEFAULT_DICTIONARY = {
-  synonyms: {
-    build: ["create", "make", "construct", "generate"],
-    website: ["webapp", "site", "web site", "frontend"],
-    command: ["instruction", "prompt", "order"],
-    interpret: ["parse", "understand", "analyze"],
-    refine: ["improve", "polish", "clarify"],
-    keywords: ["terms", "tokens", "tags"],
-    template: ["schema", "blueprint", "pattern"],
-    logic: ["rules", "reasoning", "inference"],
-    code: ["program", "source", "implementation"],
-    snippet: ["example", "sample", "fragment"],
-    schedule: ["cron", "interval", "timer"],
-  },
-  antonyms: {
-    build: ["destroy"],
-    similar: ["different", "opposite"],
-    create: ["delete"],
-    include: ["exclude"],
-    allow: ["forbid", "deny"],
-  },
-  stop: new Set([
-    "the","a","an","and","or","but","of","to","in","on","for","with","by","is","are","be","it","this","that",
-  ]),
-  replacements: [
-    // one‑time enhancement / normalization passes
-    { pattern: /\bkind of\b/gi, replace: "somewhat" },
-    { pattern: /\bsort of\b/gi, replace: "partially" },
-    { pattern: /\bvery\b/gi, replace: "highly" },
-    { pattern: /\b\s+and\s+and\b/gi, replace: " and " },
-    { pattern: /\s{2,}/g, replace: " " },
-    { pattern: /\s+([,.;:])/g, replace: "$1" },
-  ],
-};
+const SCORER_PREF_KEY = "cmdbrain.scorer";
+const SEMANTIC_PREF_KEY = "cmdbrain.semanticWeight";
+const PIPELINE_PREF_KEY = "cmdbrain.pipeline";
+const SCHEDULE_PREF_KEY = "cmdbrain.schedule";
+
+function loadPipelinePref() {
+  try {
+    return { ...DEFAULT_PIPELINE, ...JSON.parse(localStorage.getItem(PIPELINE_PREF_KEY) || "{}") };
+  } catch {
+    return DEFAULT_PIPELINE;
+  }
+}
+function loadScorerPref() {
+  try {
+    const name = localStorage.getItem(SCORER_PREF_KEY);
+    return SCORERS[name] ? name : "bm25";
+  } catch {
+    return "bm25";
+  }
+}
+// 0 = lexical only … 1 = semantic only (see semantic.js)
+function loadSemanticPref() {
+  try {
+    const weight = Number(localStorage.getItem(SEMANTIC_PREF_KEY) || 0);
+    return weight >= 0 && weight <= 1 ? weight : 0;
+  } catch {
+    return 0;
+  }
+}
+// interval or cron rule (see scheduler.js); shared by all tabs
+function loadSchedulePref() {
+  try {
+    const schedule = { ...DEFAULT_SCHEDULE, ...JSON.parse(localStorage.getItem(SCHEDULE_PREF_KEY) || "{}") };
+    return checkSchedule(schedule) ? DEFAULT_SCHEDULE : schedule;
+  } catch {
+    return DEFAULT_SCHEDULE;
+  }
+}
+function downloadJSON(filename, text) {
+  const blob = new Blob([text], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
 // -----------------------------
-// Tiny cross‑language code snippet library (tagged)
-// Extend richly in real projects
+// Dictionary editor
+// Edits the same `dictionary` object that the token pipeline (tokenizer.js) and the enhancement passes (rules.js) read.
 // -----------------------------
-const DEFAULT_SNIPPETS = [
-  {
-    id: "py-requests-get",
-    language: "python",
-    title: "HTTP GET via requests",
-    tags: ["http","get","network","fetch"],
-    snippet: `import requests\nresp = requests.get(url, timeout=10)\nprint(resp.text)`
-  },
-  {
-    id: "js-fetch-get",
-    language: "javascript",
-    title: "HTTP GET via fetch",
-    tags: ["http","get","network","fetch"],
-    snippet: `const resp = await fetch(url);\nconst text = await resp.text();\nconsole.log(text);`
-  },
-  {
-    id: "py-sqlite",
-    language: "python",
-    title: "SQLite query",
-    tags: ["db","sqlite","query","select"],
-    snippet: `import sqlite3\ncon = sqlite3.connect('app.db')\ncur = con.cursor()\nfor row in cur.execute('SELECT * FROM items'):\n    print(row)`
-  },
-  {
-    id: "js-sqlite-wasm",
-    language: "javascript",
-    title: "SQLite (WASM) demo",
-    tags: ["db","sqlite","query","select"],
-    snippet: `// using sql.js (WASM) \n// const db = new SQL.Database();\n// const res = db.exec('SELECT 1');\n// console.log(res);`
-  },
-  {
-    id: "py-regex",
-    language: "python",
-    title: "Regex substitution",
-    tags: ["regex","replace","text"],
-    snippet: `import re\ntext = re.sub(r"foo","bar", text)`
-  },
-  {
-    id: "js-regex",
-    language: "javascript",
-    title: "Regex replacement",
-    tags: ["regex","replace","text"],
-    snippet: `const result = text.replace(/foo/g, 'bar');`
-  },
-];
+function parseWordList(text) {
+  return uniq(text.split(",").map((w) => normalize(w)).filter(Boolean));
+}
+
+// Replaces (or with [] deletes) one group. With `symmetric`, every word also links back to `head`.
+function setGroup(groups, head, words, symmetric) {
+  const out = { ...groups };
+  const prev = out[head] || [];
+  if (words.length) out[head] = words;
+  else delete out[head];
+  if (symmetric) {
+    for (const w of prev) {
+      if (words.includes(w) || !out[w]) continue;
+      out[w] = out[w].filter((x) => x !== head);
+      if (!out[w].length) delete out[w];
+    }
+    for (const w of words) out[w] = uniq([...(out[w] || []), head]);
+  }
+  return out;
+}
+
+// regex rules are edited as text; other rule types have nothing to edit
+function ruleToDraft(r) {
+  return r.type === "regex" ? { ...r, pattern: r.pattern.source, flags: r.pattern.flags } : r;
+}
+function compileRule(d) {
+  if (d.type !== "regex") return { rule: d };
+  if (!d.pattern) return { error: "empty pattern" };
+  try {
+    return { rule: { ...d, pattern: new RegExp(d.pattern, d.flags) } };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+const passToDraft = (p) => ({ ...p, rules: p.rules.map(ruleToDraft) });
+const NEW_RULES = { regex: { type: "regex", pattern: "", flags: "gi", replace: "" }, synonyms: { type: "synonyms" } };
+
+const SAMPLE_TEXT = "## Facts\n- Keywords: make, generate\n## Notes\nThis is very  useful , and and it is kind of done .";
+const STOP_LABELS = { disabled: "off", once: "", fixpoint: "settled", cycle: "stopped: cycle", guard: `stopped after ${MAX_ROUNDS} rounds` };
+
+// what each pass and rule did (rules.js `enhance`); rules that matched nothing are left out
+function TraceView({ trace }) {
+  if (!trace?.length) return <p className="text-xs text-slate-500">(No passes ran yet)</p>;
+  return (
+    <div className="space-y-2 text-xs">
+      {trace.map((p) => (
+        <div key={p.id} className={p.enabled ? "" : "opacity-50"}>
+          <div className="font-medium">
+            {p.name}
+            <span className="font-normal text-slate-500">
+              {" "}· {SCOPES[p.scope].label}{p.enabled ? ` · ${p.rounds} round${p.rounds === 1 ? "" : "s"}` : ""}
+              {STOP_LABELS[p.stop] && ` · ${STOP_LABELS[p.stop]}`}
+            </span>
+          </div>
+          {p.rules.filter((r) => r.matches || r.error).map((r) => (
+            <div key={r.index} className="pl-3 space-y-0.5">
+              <div className="flex gap-2">
+                <span className="font-mono truncate" title={r.label}>#{r.index + 1} {r.label}</span>
+                <span className="text-slate-500 shrink-0">{r.matches} match{r.matches === 1 ? "" : "es"}, {r.changes} changed</span>
+              </div>
+              {r.error && <div className="text-rose-600">{r.error}</div>}
+              {r.undid.map((u) => (
+                <div key={`${u.pass}:${u.rule}`} className="text-amber-700">undoes {u.pass} #{u.rule + 1} ({u.label})</div>
+              ))}
+              <div className="flex flex-wrap gap-1">
+                {r.spans.map((x, i) => (
+                  <span key={i} title={`at ${x.at}`} className="font-mono px-1 rounded bg-slate-50 border whitespace-pre">
+                    <span className="bg-rose-50 text-rose-800 line-through">{JSON.stringify(x.before).slice(1, -1)}</span>
+                    {" → "}
+                    <span className="bg-emerald-50 text-emerald-800">{JSON.stringify(x.after).slice(1, -1)}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ordered passes with their rules; nothing reaches the dictionary until "apply passes"
+function PassesEditor({ dictionary, onChange }) {
+  const [drafts, setDrafts] = useState(() => dictionary.passes.map(passToDraft));
+  const [sample, setSample] = useState(SAMPLE_TEXT);
+
+  useEffect(() => setDrafts(dictionary.passes.map(passToDraft)), [dictionary.passes]);
+
+  const compiled = drafts.map((p) => ({ ...p, rules: p.rules.map(compileRule) }));
+  const valid = compiled.every((p) => p.name.trim() && p.rules.every((c) => c.rule));
+  const passes = compiled.map((p) => ({ ...p, rules: p.rules.filter((c) => c.rule).map((c) => c.rule) }));
+  const preview = enhance(sample, { ...dictionary, passes });
+
+  const editPass = (i, patch) => setDrafts(drafts.map((p, j) => (j === i ? { ...p, ...patch } : p)));
+  const editRule = (i, k, patch) => editPass(i, { rules: drafts[i].rules.map((r, j) => (j === k ? { ...r, ...patch } : r)) });
+  const swap = (list, i) => {
+    const next = list.slice();
+    [next[i - 1], next[i]] = [next[i], next[i - 1]];
+    return next;
+  };
+  const addPass = () => {
+    const name = (prompt("Name of the new pass") || "").trim();
+    if (!name) return;
+    const base = normalize(name).replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "pass";
+    let id = base;
+    for (let n = 2; drafts.some((p) => p.id === id); n++) id = `${base}-${n}`;
+    setDrafts([...drafts, { id, name, enabled: true, scope: "all", fixpoint: false, rules: [] }]);
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="font-medium">Enhancement passes (applied in order)</div>
+        <div className="flex gap-2">
+          <button onClick={addPass} className="text-xs px-2 py-1 rounded-lg bg-slate-100">add pass</button>
+          <button onClick={() => onChange({ ...dictionary, passes })} disabled={!valid} className="text-xs px-2 py-1 rounded-lg bg-indigo-600 text-white disabled:opacity-50">apply passes</button>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="space-y-2 max-h-96 overflow-auto pr-1">
+          {drafts.map((p, i) => (
+            <div key={p.id} className={`rounded-xl border p-2 space-y-1 ${p.enabled ? "" : "bg-slate-50"}`}>
+              <div className="flex items-center gap-1 text-xs">
+                <input type="checkbox" checked={p.enabled} onChange={(e) => editPass(i, { enabled: e.target.checked })} title="enabled" />
+                <input value={p.name} onChange={(e) => editPass(i, { name: e.target.value })} className="flex-1 min-w-0 rounded-lg border px-2 py-1 font-medium" />
+                <select value={p.scope} onChange={(e) => editPass(i, { scope: e.target.value })} className="rounded-lg border px-1 py-1">
+                  {Object.entries(SCOPES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+                </select>
+                <label className="flex items-center gap-1 whitespace-nowrap" title={`repeat until nothing changes (at most ${MAX_ROUNDS} rounds)`}>
+                  <input type="checkbox" checked={p.fixpoint} onChange={(e) => editPass(i, { fixpoint: e.target.checked })} />
+                  fixpoint
+                </label>
+                <button disabled={i === 0} onClick={() => setDrafts(swap(drafts, i))} className="px-1 bg-slate-100 rounded-lg disabled:opacity-30">↑</button>
+                <button onClick={() => confirm(`Remove the pass "${p.name}"?`) && setDrafts(drafts.filter((_, j) => j !== i))} className="px-1 bg-slate-100 rounded-lg hover:bg-rose-50 hover:text-rose-600">×</button>
+              </div>
+              {p.rules.map((r, k) => (
+                <div key={k} className="space-y-0.5 pl-4">
+                  <div className="flex gap-1">
+                    {r.type === "regex" ? (
+                      <>
+                        <input value={r.pattern} onChange={(e) => editRule(i, k, { pattern: e.target.value })} placeholder="pattern" className="flex-1 min-w-0 rounded-lg border px-2 py-1 text-xs font-mono" />
+                        <input value={r.flags} onChange={(e) => editRule(i, k, { flags: e.target.value })} placeholder="flags" className="w-12 rounded-lg border px-2 py-1 text-xs font-mono" />
+                        <input value={r.replace} onChange={(e) => editRule(i, k, { replace: e.target.value })} placeholder="replace" className="w-24 rounded-lg border px-2 py-1 text-xs font-mono" />
+                      </>
+                    ) : (
+                      <span className="flex-1 px-2 py-1 text-xs text-slate-600 italic">{describeRule(r)}</span>
+                    )}
+                    <button disabled={k === 0} onClick={() => editPass(i, { rules: swap(p.rules, k) })} className="text-xs px-1 bg-slate-100 rounded-lg disabled:opacity-30">↑</button>
+                    <button onClick={() => editPass(i, { rules: p.rules.filter((_, j) => j !== k) })} className="text-xs px-1 bg-slate-100 rounded-lg hover:bg-rose-50 hover:text-rose-600">×</button>
+                  </div>
+                  {compiled[i].rules[k].error && <div className="text-xs text-rose-600">{compiled[i].rules[k].error}</div>}
+                </div>
+              ))}
+              <div className="flex gap-1 pl-4">
+                {Object.entries(RULE_TYPES).map(([type, t]) => (
+                  <button key={type} onClick={() => editPass(i, { rules: [...p.rules, NEW_RULES[type]] })} className="text-xs px-2 py-0.5 rounded-lg bg-slate-100">+ {t.label}</button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="space-y-2">
+          <textarea value={sample} onChange={(e) => setSample(e.target.value)} rows={4} className="w-full rounded-lg border p-2 text-xs font-mono" />
+          <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border">{preview.text}</pre>
+          <TraceView trace={preview.trace} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// word groups and stopwords are edited per locale; enhancement passes apply to the enhanced text, whatever its language
+function DictionaryPanel({ dictionary, onChange }) {
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [kind, setKind] = useState("synonyms");
+  const [symmetric, setSymmetric] = useState(false);
+  const [newHead, setNewHead] = useState("");
+  const [newWords, setNewWords] = useState("");
+  const [newStop, setNewStop] = useState("");
+  const importRef = useRef(null);
+
+  const lists = locale === DEFAULT_LOCALE ? dictionary : { synonyms: {}, antonyms: {}, stop: new Set(), ...dictionary.locales?.[locale] };
+  const changeLists = (patch) => {
+    if (locale === DEFAULT_LOCALE) onChange({ ...dictionary, ...patch });
+    else onChange({ ...dictionary, locales: { ...dictionary.locales, [locale]: { ...lists, ...patch } } });
+  };
+  const addLocale = () => {
+    const code = (prompt("Language code (e.g. it, nl, pt-br):") || "").trim().toLowerCase();
+    if (!code) return;
+    if (!LOCALE_RE.test(code)) {
+      alert(`"${code}" is not a language code.`);
+      return;
+    }
+    if (code !== DEFAULT_LOCALE && !dictionary.locales?.[code]) {
+      onChange({ ...dictionary, locales: { ...dictionary.locales, [code]: { synonyms: {}, antonyms: {}, stop: new Set() } } });
+    }
+    setLocale(code);
+  };
+
+  const updateGroup = (head, words) => {
+    changeLists({ [kind]: setGroup(lists[kind], head, words, symmetric) });
+  };
+  const addGroup = () => {
+    const [head] = parseWordList(newHead);
+    const words = parseWordList(newWords).filter((w) => w !== head);
+    if (!head || !words.length) return;
+    updateGroup(head, uniq([...(lists[kind][head] || []), ...words]));
+    setNewHead("");
+    setNewWords("");
+  };
+
+  const addStopwords = () => {
+    const words = parseWordList(newStop);
+    if (!words.length) return;
+    changeLists({ stop: new Set([...lists.stop, ...words]) });
+    setNewStop("");
+  };
+  const removeStopword = (w) => {
+    const stop = new Set(lists.stop);
+    stop.delete(w);
+    changeLists({ stop });
+  };
+
+  const importDictionary = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let data;
+    try {
+      data = deserialize(await file.text());
+    } catch {
+      alert(`Import failed: ${file.name} is not valid JSON.`);
+      return;
+    }
+    const warnings = [];
+    // accept a bare dictionary or a full export bundle
+    const dict = validateDictionary(data?.dictionary ?? data, warnings);
+    if (!dict) {
+      alert(`Import failed: no dictionary found in ${file.name}.`);
+      return;
+    }
+    if (warnings.length) alert(`Imported with warnings:\n- ${warnings.join("\n- ")}`);
+    const merge = confirm("Merge into the current dictionary? (Cancel replaces it)");
+    onChange(merge ? mergeDictionary(dictionary, dict) : { ...dictionary, ...dict });
+  };
+
+  const groups = Object.entries(lists[kind]).sort(([a], [b]) => a.localeCompare(b));
+  const locales = [DEFAULT_LOCALE, ...Object.keys(dictionary.locales || {}).filter((l) => l !== DEFAULT_LOCALE).sort()];
+
+  return (
+    <section className="bg-white rounded-2xl shadow border p-4 space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-center gap-2">
+          <h2 className="font-semibold">Dictionary</h2>
+          <select value={locale} onChange={(e) => setLocale(e.target.value)} className="rounded-lg border px-2 py-1 text-xs">
+            {locales.map((l) => <option key={l} value={l}>{localeName(l)} ({l})</option>)}
+          </select>
+          <button onClick={addLocale} className="text-xs px-2 py-1 rounded-lg bg-slate-100">add language</button>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => downloadJSON(`cmdbrain-dictionary-${Date.now()}.json`, serialize(dictionary, 2))} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Export Dictionary</button>
+          <button onClick={() => importRef.current.click()} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Import Dictionary</button>
+          <input ref={importRef} type="file" accept="application/json,.json" className="hidden" onChange={importDictionary} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+        {/* Word groups */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="flex gap-1">
+              {["synonyms", "antonyms"].map((k) => (
+                <button key={k} onClick={() => setKind(k)} className={`px-2 py-1 rounded-lg text-xs ${kind === k ? "bg-indigo-600 text-white" : "bg-slate-100"}`}>{k}</button>
+              ))}
+            </div>
+            <label className="text-xs flex items-center gap-1">
+              <input type="checkbox" checked={symmetric} onChange={(e) => setSymmetric(e.target.checked)} />
+              symmetric linking
+            </label>
+          </div>
+          <div className="space-y-1 max-h-64 overflow-auto pr-1">
+            {groups.map(([head, words]) => (
+              <div key={`${locale}:${kind}:${head}`} className="flex items-center gap-2">
+                <span className="w-24 shrink-0 font-medium truncate" title={head}>{head}</span>
+                <input
+                  key={words.join(",")}
+                  defaultValue={words.join(", ")}
+                  onBlur={(e) => updateGroup(head, parseWordList(e.target.value).filter((w) => w !== head))}
+                  className="flex-1 rounded-lg border px-2 py-1 text-xs"
+                />
+                <button onClick={() => updateGroup(head, [])} className="text-xs px-2 py-1 bg-slate-100 rounded-lg hover:bg-rose-50 hover:text-rose-600">delete</button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input value={newHead} onChange={(e) => setNewHead(e.target.value)} placeholder="word" className="w-24 rounded-lg border px-2 py-1 text-xs" />
+            <input value={newWords} onChange={(e) => setNewWords(e.target.value)} placeholder={`${kind}, comma‑separated`} className="flex-1 rounded-lg border px-2 py-1 text-xs" />
+            <button onClick={addGroup} className="text-xs px-2 py-1 rounded-lg bg-indigo-600 text-white">add</button>
+          </div>
+        </div>
+
+        {/* Stopwords */}
+        <div className="space-y-2">
+          <div className="font-medium">Stopwords ({lists.stop.size})</div>
+          <div className="flex flex-wrap gap-1 max-h-64 overflow-auto">
+            {[...lists.stop].sort().map((w) => (
+              <button key={w} onClick={() => removeStopword(w)} title="remove" className="text-xs px-2 py-0.5 bg-slate-100 rounded-lg hover:bg-rose-50 hover:text-rose-600">{w} ×</button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input value={newStop} onChange={(e) => setNewStop(e.target.value)} placeholder="stopwords, comma‑separated" className="flex-1 rounded-lg border px-2 py-1 text-xs" />
+            <button onClick={addStopwords} className="text-xs px-2 py-1 rounded-lg bg-indigo-600 text-white">add</button>
+          </div>
+        </div>
+      </div>
+
+      <PassesEditor dictionary={dictionary} onChange={onChange} />
+    </section>
+  );
+}
 
 // -----------------------------
-// Utilities
+// Snippet manager
+// Packs are either JSON arrays of snippets or plain source files with a front‑matter header:
+//   ---
+//   title: HTTP GET via requests
+//   language: python
+//   tags: http, get, fetch
+//   ---
 // -----------------------------
-function normalize(str) {
-  return (str || "")
-    .toLowerCase()
-    .replace(/[^a-z0-9_\-\s]/gi, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-function tokenize(str, stopset) {
-  const toks = normalize(str).split(" ").filter(Boolean);
-  return toks.filter((t) => !stopset.has(t));
-}
-function uniq(arr) {
-  return Array.from(new Set(arr));
-}
-function expandSynonyms(keywords, dict) {
-  const out = new Set(keywords);
-  for (const k of keywords) {
-    const syns = dict.synonyms[k];
-    if (syns) syns.forEach((s) => out.add(s));
-  }
-  return Array.from(out);
+const EXT_LANGUAGES = {
+  py: "python", js: "javascript", mjs: "javascript", cjs: "javascript", ts: "typescript",
+  sh: "bash", sql: "sql", rb: "ruby", go: "go", rs: "rust", java: "java", php: "php", txt: "text",
+};
+
+function parseTagList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").replace(/^\[|\]$/g, "").split(",");
+  return uniq(list.map((t) => normalize(t)).filter(Boolean));
 }
-function antonymsOf(keywords, dict) {
-  const out = new Set();
-  for (const k of keywords) {
-    const ants = dict.antonyms[k];
-    if (ants) ants.forEach((a) => out.add(a));
+
+function parseFrontMatter(text) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!m) return { meta: {}, body: text };
+  const meta = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      meta[listKey].push(item[1].trim());
+      continue;
+    }
+    const kv = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!kv) continue;
+    const value = kv[2].trim().replace(/^(["'])(.*)\1$/, "$2");
+    listKey = value ? null : kv[1];
+    meta[kv[1]] = value || [];
   }
-  return Array.from(out);
-}
-function vectorize(tokens) {
-  const freq = new Map();
-  tokens.forEach((t) => freq.set(t, (freq.get(t) || 0) + 1));
-  return freq;
-}
-function cosineSim(aTokens, bTokens) {
-  const a = vectorize(aTokens);
-  const b = vectorize(bTokens);
-  const all = new Set([...a.keys(), ...b.keys()]);
-  let dot = 0, a2 = 0, b2 = 0;
-  all.forEach((t) => {
-    const av = a.get(t) || 0;
-    const bv = b.get(t) || 0;
-    dot += av * bv;
-  });
-  a.forEach((v) => (a2 += v * v));
-  b.forEach((v) => (b2 += v * v));
-  if (a2 === 0 || b2 === 0) return 0;
-  return dot / (Math.sqrt(a2) * Math.sqrt(b2));
-}
-function spectrum01k(value) {
-  const v = Math.max(0, Math.min(1, value));
-  return Math.round(v * 1000);
-}
-
-function scoreSnippet(snippet, tokens) {
-  const tagVec = vectorize(snippet.tags);
-  const tokVec = vectorize(tokens);
-  // simple overlap score
-  let overlap = 0;
-  snippet.tags.forEach((t) => {
-    if (tokVec.get(t)) overlap += 1;
-  });
-  // add language/keyword nudges
-  if (tokens.includes(snippet.language)) overlap += 0.5;
-  return overlap;
+  return { meta, body: text.slice(m[0].length) };
+}
+
+function snippetFromFile(name, text) {
+  const { meta, body } = parseFrontMatter(text);
+  const ext = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+  return {
+    id: typeof meta.id === "string" && meta.id ? meta.id : crypto.randomUUID(),
+    title: typeof meta.title === "string" && meta.title ? meta.title : name.replace(/\.[^.]+$/, ""),
+    language: normalize(typeof meta.language === "string" && meta.language ? meta.language : EXT_LANGUAGES[ext] || "text"),
+    tags: parseTagList(meta.tags),
+    snippet: body.replace(/\s+$/, ""),
+  };
+}
+
+function snippetFingerprint(s) {
+  return `${s.language}|${s.snippet.replace(/\s+/g, " ").trim()}`;
+}
+
+// Same code in the same language, or same title in the same language.
+function findDuplicate(library, candidate) {
+  const fp = snippetFingerprint(candidate);
+  const title = normalize(candidate.title);
+  return library.find((s) => s.id !== candidate.id
+    && s.language === candidate.language
+    && (snippetFingerprint(s) === fp || normalize(s.title) === title));
+}
+
+// validation per snippet record; records are replaced on edit, so identity is a safe cache key
+const validationCache = new WeakMap();
+function validationOf(s) {
+  if (!validationCache.has(s)) validationCache.set(s, validateSnippet(s));
+  return validationCache.get(s);
+}
+
+function describeProblems(v) {
+  return v.errors.map((e) => (e.line ? `line ${e.line}: ${e.message}` : e.message)).join("\n");
+}
+
+function ValidationBadge({ snippet }) {
+  const v = validationOf(snippet);
+  const how = v.level === "parse" ? "parses" : "brackets & quotes balanced";
+  return v.status === "ok" ? (
+    <span className="text-[11px] px-1 rounded bg-emerald-50 text-emerald-700" title={`Checked: ${how}`}>✓ {v.level === "parse" ? "parses" : "balanced"}</span>
+  ) : (
+    <span className="text-[11px] px-1 rounded bg-rose-50 text-rose-700" title={describeProblems(v)}>⚠ {v.errors.length} issue{v.errors.length === 1 ? "" : "s"}</span>
+  );
+}
+
+const RUN_STYLES = { ok: "text-emerald-700", error: "text-rose-700", timeout: "text-amber-700" };
+
+// thumbs up / down on one item of a result list; `vote` is the one already given for this result
+function FeedbackButtons({ vote, onVote }) {
+  return (
+    <span className="inline-flex gap-0.5">
+      {[["up", "👍", "Right for this command"], ["down", "👎", "Wrong for this command"]].map(([signal, icon, title]) => (
+        <button
+          key={signal}
+          onClick={() => onVote(signal)}
+          disabled={Boolean(vote)}
+          title={title}
+          className={`text-xs px-1 rounded ${vote === signal ? "bg-indigo-100" : "hover:bg-slate-100"} disabled:cursor-default ${vote && vote !== signal ? "opacity-30" : ""}`}
+        >
+          {icon}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+// "learned ×1.4": how far the feedback (feedback.js) scaled a score; nothing when it did not
+function LearnedHint({ factor }) {
+  if (!factor || Math.abs(factor - 1) < 0.01) return null;
+  return <span className={`text-[11px] ${factor > 1 ? "text-emerald-700" : "text-rose-700"}`} title="Score scaled by what feedback taught">learned ×{factor.toFixed(2)}</span>;
+}
+
+// feedback row under a Similar / Opposite / Different match
+function HistoryFeedback({ x, vote, onVote }) {
+  return (
+    <div className="flex items-center justify-between gap-1 mt-1">
+      <FeedbackButtons vote={vote} onVote={onVote} />
+      <LearnedHint factor={x.learned} />
+    </div>
+  );
 }
 
-function enhanceOnce(text, dict) {
-  let out = text;
-  for (const r of dict.replacements) {
-    out = out.replace(r.pattern, r.replace);
+// one suggested snippet, runnable in the sandbox when it is JavaScript (see sandbox.js)
+function SnippetPick({ s, learned, vote, onFeedback }) {
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const code = fillSnippet(s.snippet);
+
+  const run = async () => {
+    setRunning(true);
+    setResult(await runScript(code));
+    setRunning(false);
+  };
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      onFeedback("copied");
+    } catch {
+      alert("Copy failed: the browser blocked clipboard access.");
+    }
+  };
+
+  return (
+    <div className="border rounded-xl p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-medium">{s.title} <span className="text-xs text-slate-500">({s.language})</span></div>
+        <span className="flex items-center gap-1">
+          <ValidationBadge snippet={s} />
+          <FeedbackButtons vote={vote} onVote={onFeedback} />
+          <button onClick={copy} className="text-xs px-2 py-1 bg-slate-100 rounded-lg">Copy</button>
+          {canRun(s.language) && (
+            <button onClick={run} disabled={running} className="text-xs px-2 py-1 bg-slate-100 rounded-lg disabled:opacity-50" title="Run in a sandbox with mocked fetch and file system">
+              {running ? "Running…" : "Run"}
+            </button>
+          )}
+        </span>
+      </div>
+      <div className="text-xs text-slate-500 flex justify-between gap-2">
+        <span>tags: {s.tags.join(", ")}</span>
+        <LearnedHint factor={learned} />
+      </div>
+      <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border mt-1">{code}</pre>
+      {result && (
+        <div className="mt-1 text-xs">
+          <div className={RUN_STYLES[result.status]}>{result.status === "ok" ? `ran in ${result.ms} ms` : result.error}</div>
+          {result.logs.length > 0 && (
+            <pre className="whitespace-pre-wrap bg-slate-900 text-slate-100 rounded-lg p-2 mt-1 max-h-32 overflow-auto">
+              {result.logs.map((l) => `${l.level === "log" ? "" : `[${l.level}] `}${l.text}`).join("\n")}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+async function readSnippetPack(files) {
+  const found = [];
+  const invalid = [];
+  const required = BUNDLE_STORES.snippets.required;
+  for (const file of files) {
+    const text = await file.text();
+    if (!/\.json$/i.test(file.name)) {
+      found.push(snippetFromFile(file.name, text));
+      continue;
+    }
+    let list;
+    try {
+      list = JSON.parse(text);
+    } catch {
+      invalid.push(file.name);
+      continue;
+    }
+    (Array.isArray(list) ? list : list?.snippets || []).forEach((rec, i) => {
+      const ok = rec && Object.entries(required).every(([f, type]) => fieldOk(rec[f], type));
+      if (!ok) invalid.push(`${file.name}[${i}]`);
+      else found.push({ ...rec, id: rec.id || crypto.randomUUID(), language: normalize(rec.language), tags: parseTagList(rec.tags) });
+    });
   }
-  return out.trim();
+  return { found, invalid };
+}
+
+const EMPTY_SNIPPET_FORM = { id: null, title: "", language: "", tags: "", snippet: "" };
+
+function SnippetManager({ snippets, onChange }) {
+  const [form, setForm] = useState(EMPTY_SNIPPET_FORM);
+  const [query, setQuery] = useState("");
+  const [language, setLanguage] = useState("");
+  const [tag, setTag] = useState("");
+  const packDirRef = useRef(null);
+  const packFilesRef = useRef(null);
+
+  const languages = uniq(snippets.map((s) => s.language)).sort();
+  const tags = uniq(snippets.flatMap((s) => s.tags)).sort();
+  const q = normalize(query);
+  const visible = snippets.filter((s) => (!language || s.language === language)
+    && (!tag || s.tags.includes(tag))
+    && (!q || normalize(`${s.title} ${s.tags.join(" ")} ${s.snippet}`).includes(q)));
+
+  const formPlaceholders = parsePlaceholders(form.snippet);
+  const formCheck = form.snippet.trim() ? checkSyntax(fillSnippet(form.snippet), normalize(form.language) || "text") : null;
+
+  const edit = (s) => setForm({ ...s, tags: s.tags.join(", ") });
+  const remove = (s) => {
+    if (!confirm(`Delete snippet "${s.title}"?`)) return;
+    onChange(snippets.filter((x) => x.id !== s.id));
+    if (form.id === s.id) setForm(EMPTY_SNIPPET_FORM);
+  };
+
+  const save = () => {
+    const s = {
+      id: form.id || crypto.randomUUID(),
+      title: form.title.trim(),
+      language: normalize(form.language) || "text",
+      tags: parseTagList(form.tags),
+      snippet: form.snippet.replace(/\s+$/, ""),
+    };
+    if (!s.title || !s.snippet) return;
+    const v = validationOf(s);
+    if (v.status === "error" && !confirm(`This snippet has syntax problems:\n${describeProblems(v)}\n\nSave anyway?`)) return;
+    const dup = findDuplicate(snippets, s);
+    if (dup && !confirm(`Looks like a duplicate of "${dup.title}" (${dup.language}). Save anyway?`)) return;
+    onChange(form.id ? snippets.map((x) => (x.id === s.id ? s : x)) : [...snippets, s]);
+    setForm(EMPTY_SNIPPET_FORM);
+  };
+
+  // keep Tab inside the code editor instead of moving focus
+  const onCodeKeyDown = (e) => {
+    if (e.key !== "Tab") return;
+    e.preventDefault();
+    const el = e.target;
+    const { selectionStart: a, selectionEnd: b } = el;
+    setForm({ ...form, snippet: `${form.snippet.slice(0, a)}  ${form.snippet.slice(b)}` });
+    requestAnimationFrame(() => el.setSelectionRange(a + 2, a + 2));
+  };
+
+  const importPack = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!files.length) return;
+    const { found, invalid } = await readSnippetPack(files);
+    const next = [...snippets];
+    const skipped = [];
+    for (const s of found) {
+      const dup = next.find((x) => x.id === s.id) || findDuplicate(next, s);
+      if (dup) skipped.push(`${s.title} (duplicate of "${dup.title}")`);
+      else next.push(s);
+    }
+    onChange(next);
+    alert([
+      `Imported ${next.length - snippets.length} snippet(s).`,
+      ...skipped.map((x) => `skipped ${x}`),
+      ...invalid.map((x) => `invalid ${x}`),
+    ].join("\n"));
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow border p-4 space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <h2 className="font-semibold">Snippet Library ({snippets.length})</h2>
+        <div className="flex gap-2">
+          <button onClick={() => packDirRef.current.click()} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Import Pack Folder</button>
+          <button onClick={() => packFilesRef.current.click()} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Import Pack Files</button>
+          <input ref={packDirRef} type="file" multiple webkitdirectory="" className="hidden" onChange={importPack} />
+          <input ref={packFilesRef} type="file" multiple className="hidden" onChange={importPack} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+        <div className="space-y-2">
+          <div className="flex gap-2">
+            <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="search title, tags, code" className="flex-1 rounded-lg border px-2 py-1 text-xs" />
+            <select value={language} onChange={(e) => setLanguage(e.target.value)} className="rounded-lg border px-2 py-1 text-xs">
+              <option value="">all languages</option>
+              {languages.map((l) => <option key={l} value={l}>{l}</option>)}
+            </select>
+            <select value={tag} onChange={(e) => setTag(e.target.value)} className="rounded-lg border px-2 py-1 text-xs">
+              <option value="">all tags</option>
+              {tags.map((t) => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </div>
+          <div className="space-y-2 max-h-96 overflow-auto pr-1">
+            {visible.length === 0 && <p className="text-xs text-slate-500">No snippets match.</p>}
+            {visible.map((s) => (
+              <details key={s.id} className={`border rounded-xl p-2 ${form.id === s.id ? "border-indigo-500" : ""}`}>
+                <summary className="cursor-pointer select-none flex items-center justify-between gap-2">
+                  <span className="text-sm font-medium">{s.title} <span className="text-xs text-slate-500">({s.language})</span></span>
+                  <span className="flex items-center gap-1">
+                    <ValidationBadge snippet={s} />
+                    <button onClick={(e) => { e.preventDefault(); edit(s); }} className="text-xs px-2 py-1 bg-slate-100 rounded-lg">edit</button>
+                    <button onClick={(e) => { e.preventDefault(); remove(s); }} className="text-xs px-2 py-1 bg-slate-100 rounded-lg hover:bg-rose-50 hover:text-rose-600">delete</button>
+                  </span>
+                </summary>
+                <div className="text-xs text-slate-500 mt-1">tags: {s.tags.join(", ")}</div>
+                <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border mt-1">{s.snippet}</pre>
+              </details>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="font-medium">{form.id ? "Edit snippet" : "New snippet"}</div>
+          <input value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} placeholder="title" className="w-full rounded-lg border px-2 py-1 text-xs" />
+          <div className="flex gap-2">
+            <input value={form.language} onChange={(e) => setForm({ ...form, language: e.target.value })} list="snippet-languages" placeholder="language (e.g., python, javascript)" className="flex-1 rounded-lg border px-2 py-1 text-xs" />
+            <datalist id="snippet-languages">{uniq([...languages, ...Object.values(EXT_LANGUAGES)]).map((l) => <option key={l} value={l} />)}</datalist>
+            <input value={form.tags} onChange={(e) => setForm({ ...form, tags: e.target.value })} placeholder="tags, comma‑separated" className="flex-1 rounded-lg border px-2 py-1 text-xs" />
+          </div>
+          <textarea
+            value={form.snippet}
+            onChange={(e) => setForm({ ...form, snippet: e.target.value })}
+            onKeyDown={onCodeKeyDown}
+            spellCheck={false}
+            placeholder="paste or write code"
+            className="w-full rounded-xl border p-3 min-h-[200px] font-mono text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <p className="text-xs text-slate-500">
+            Placeholders: <code>{"{{name:type=default}}"}</code>, filled from the command; types {Object.keys(PLACEHOLDER_TYPES).join(", ")}.
+            {formPlaceholders.length > 0 && ` Declared: ${formPlaceholders.map((p) => `${p.name} (${p.type})`).join(", ")}.`}
+          </p>
+          {formCheck?.status === "error" && <pre className="whitespace-pre-wrap text-xs text-rose-700">{describeProblems(formCheck)}</pre>}
+          <div className="flex gap-2 justify-end">
+            {form.id && <button onClick={() => setForm(EMPTY_SNIPPET_FORM)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Cancel</button>}
+            <button onClick={save} disabled={!form.title.trim() || !form.snippet.trim()} className="px-3 py-2 rounded-2xl bg-indigo-600 text-white shadow hover:shadow-md disabled:opacity-50">{form.id ? "Save Changes" : "Add Snippet"}</button>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// -----------------------------
+// Template editor
+// Built‑ins can be edited (saved under the same id) and reset; custom templates can be deleted.
+// -----------------------------
+function templateToForm(t) {
+  return { ...t, keywords: (t.keywords || []).join(", "), intents: t.intents || [] };
+}
+
+function TemplateEditor({ templates, saved, onChange, context }) {
+  const [selectedId, setSelectedId] = useState(templates[0]?.id);
+  const selected = templates.find((t) => t.id === selectedId) || templates[0];
+  const [form, setForm] = useState(() => templateToForm(selected));
+
+  useEffect(() => setForm(templateToForm(selected)), [selectedId]);
+
+  const error = checkTemplate(form.body);
+  const preview = error ? "" : buildVerboseTemplate(form, context);
+  const isSaved = saved.some((t) => t.id === form.id);
+  const isBuiltin = BUILTIN_TEMPLATES.some((t) => t.id === form.id);
+
+  const save = () => {
+    const t = {
+      id: form.id,
+      name: form.name.trim() || form.id,
+      keywords: parseWordList(form.keywords),
+      intents: form.intents,
+      body: form.body,
+    };
+    onChange(isSaved ? saved.map((x) => (x.id === t.id ? t : x)) : [...saved, t]);
+  };
+  const remove = () => {
+    if (!confirm(isBuiltin ? `Reset "${form.name}" to the built‑in version?` : `Delete template "${form.name}"?`)) return;
+    onChange(saved.filter((t) => t.id !== form.id));
+    if (isBuiltin) setForm(templateToForm(BUILTIN_TEMPLATES.find((t) => t.id === form.id)));
+    else setSelectedId("general");
+  };
+  const create = (from) => {
+    const name = prompt("Template name?", from ? `${from.name} copy` : "");
+    if (!name) return;
+    const t = { id: crypto.randomUUID(), name, keywords: from?.keywords || [], intents: from?.intents || [], body: from?.body || "# {{summary}}\n" };
+    onChange([...saved, t]);
+    setSelectedId(t.id);
+    setForm(templateToForm(t));
+  };
+  const toggleIntent = (intent) => {
+    const intents = form.intents.includes(intent) ? form.intents.filter((i) => i !== intent) : [...form.intents, intent];
+    setForm({ ...form, intents });
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow border p-4 space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <h2 className="font-semibold">Interpretation Templates</h2>
+        <div className="flex gap-2">
+          <button onClick={() => create(null)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">New Template</button>
+          <button onClick={() => create(selected)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Duplicate</button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4 text-sm">
+        <div className="space-y-1">
+          {templates.map((t) => (
+            <button key={t.id} onClick={() => setSelectedId(t.id)} className={`w-full text-left px-2 py-1 rounded-lg text-xs ${t.id === selected.id ? "bg-indigo-600 text-white" : "bg-slate-100"}`}>
+              {t.name}
+              <span className="opacity-70"> · {t.builtin ? (saved.some((x) => x.id === t.id) ? "edited" : "built‑in") : "custom"}</span>
+            </button>
+          ))}
+          <p className="text-xs text-slate-500 pt-2">
+            Variables: raw, locale, tokens, expanded, antonyms, negated, topics, entities[label,value], constraints, sources, intent.name/text/confidence/verbs, similarScore, differentScore, similar[raw,score], snippets[title,language,tags,score], summary, steps, thread.turn/previous/resolved/references[word,kind,to]/carried (follow-ups only).
+          </p>
+        </div>
+
+        <div className="lg:col-span-2 space-y-2">
+          <div className="flex gap-2">
+            <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="name" className="w-40 rounded-lg border px-2 py-1 text-xs" />
+            <input value={form.keywords} onChange={(e) => setForm({ ...form, keywords: e.target.value })} placeholder="auto‑pick keywords, comma‑separated" className="flex-1 rounded-lg border px-2 py-1 text-xs" />
+          </div>
+          <div className="flex flex-wrap gap-3 text-xs text-slate-600">
+            auto‑pick for intents:
+            {Object.keys(INTENTS).map((intent) => (
+              <label key={intent} className="flex items-center gap-1">
+                <input type="checkbox" checked={form.intents.includes(intent)} onChange={() => toggleIntent(intent)} />
+                {intent}
+              </label>
+            ))}
+          </div>
+          <textarea
+            value={form.body}
+            onChange={(e) => setForm({ ...form, body: e.target.value })}
+            spellCheck={false}
+            className="w-full rounded-xl border p-3 min-h-[320px] font-mono text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          {error && <div className="text-xs text-rose-600">{error}</div>}
+          <div className="flex gap-2 justify-end">
+            {isSaved && <button onClick={remove} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">{isBuiltin ? "Reset to Built‑in" : "Delete"}</button>}
+            <button onClick={save} disabled={Boolean(error)} className="px-3 py-2 rounded-2xl bg-indigo-600 text-white shadow hover:shadow-md disabled:opacity-50">Save Template</button>
+          </div>
+        </div>
+
+        <div>
+          <div className="text-xs text-slate-500 mb-1">Preview ({context === PREVIEW_CONTEXT ? "sample command" : "last interpretation"})</div>
+          <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border max-h-[420px] overflow-auto">{preview}</pre>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+// -----------------------------
+// Generated program: the command's steps as snippets with their placeholders filled (see codegen.js)
+// -----------------------------
+// `onCopy(snippets)` hears which snippets went into a copied program
+function ProgramPanel({ program, onCopy }) {
+  const [edits, setEdits] = useState([]);
+  const [copied, setCopied] = useState(false);
+  useEffect(() => {
+    setEdits([]);
+    setCopied(false);
+  }, [program]);
+
+  if (!program) return <p className="text-sm text-slate-500">(Will appear after an interpretation)</p>;
+  if (!program.steps.length) return <p className="text-sm text-slate-500">No snippet matches this command.</p>;
+
+  const rendered = renderProgram(program.steps, edits);
+  const setValue = (i, name, value) => {
+    const next = [...edits];
+    next[i] = { ...next[i], [name]: value };
+    setEdits(next);
+  };
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(rendered.code);
+      setCopied(true);
+      onCopy(uniq(program.steps.map((step) => step.snippet)));
+    } catch {
+      alert("Copy failed: the browser blocked clipboard access.");
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-xs">
+      {program.mixed && <div className="text-amber-700">Steps use different languages; adjust the snippets before running this.</div>}
+      {program.steps.map((step, i) => (
+        <div key={i} className="border rounded-xl p-2 space-y-1">
+          <div>
+            <span className="font-medium">{program.steps.length > 1 ? `${i + 1}. ` : ""}{step.snippet.title}</span>
+            <span className="text-slate-500"> ({step.snippet.language}) · {step.clause}</span>
+          </div>
+          {step.placeholders.map((p) => {
+            const value = edits[i]?.[p.name] ?? p.value;
+            const problem = checkValue(p.type, value);
+            return (
+              <label key={p.name} className="flex items-center gap-2">
+                <span className="w-24 shrink-0 text-slate-600" title={PLACEHOLDER_TYPES[p.type]}>{p.name}</span>
+                <input
+                  value={value}
+                  onChange={(e) => setValue(i, p.name, e.target.value)}
+                  title={problem ? `${PLACEHOLDER_TYPES[p.type]} ${problem}` : PLACEHOLDER_TYPES[p.type]}
+                  className={`flex-1 rounded-lg border px-2 py-1 font-mono ${problem ? "border-rose-400" : ""}`}
+                />
+                <span className="text-slate-400">{edits[i]?.[p.name] !== undefined ? "edited" : p.source === "command" ? "from command" : "default"}</span>
+              </label>
+            );
+          })}
+        </div>
+      ))}
+      <div className="relative">
+        <pre className="whitespace-pre-wrap bg-slate-50 rounded-lg p-2 border max-h-[260px] overflow-auto">{rendered.code}</pre>
+        <button onClick={copy} className="absolute top-1 right-1 px-2 py-1 rounded-lg bg-white border shadow-sm">{copied ? "Copied" : "Copy"}</button>
+      </div>
+    </div>
+  );
 }
 
-function nowISO() { return new Date().toISOString(); }
+// -----------------------------
+// Learned feedback: what thumbs up / down and copies taught the rankings (see feedback.js)
+// -----------------------------
+const FEEDBACK_ROWS = 50;
+
+function FeedbackPanel({ feedback, surface, onReset }) {
+  const [channel, setChannel] = useState("");
+  const all = describeFeedback(feedback);
+  const rows = all.filter((w) => !channel || w.channel === channel);
+
+  const reset = () => {
+    if (!confirm(`Forget ${channel ? `everything learned for ${channel}` : "all learned feedback"}?`)) return;
+    onReset(channel || undefined);
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow border p-4 space-y-3">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <h2 className="font-semibold">Learned Feedback</h2>
+        <div className="flex items-center gap-2 text-xs">
+          <select value={channel} onChange={(e) => setChannel(e.target.value)} className="rounded-lg border px-2 py-1">
+            <option value="">all lists</option>
+            {CHANNELS.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <button onClick={reset} disabled={!rows.length} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-rose-50 hover:text-rose-600 disabled:opacity-50">reset</button>
+        </div>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-500">Nothing learned yet. Use 👍 / 👎 on suggested snippets and history matches, or copy a snippet.</p>
+      ) : (
+        <table className="w-full text-xs">
+          <thead className="text-left text-slate-500">
+            <tr><th className="font-normal">list</th><th className="font-normal">keyword</th><th className="font-normal">item or tag</th><th className="font-normal">signals</th><th className="font-normal w-40">weight</th></tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, FEEDBACK_ROWS).map((w) => (
+              <tr key={`${w.channel}:${w.kind}:${w.keyword}:${w.target}`} className="border-t">
+                <td className="py-1">{w.channel}</td>
+                <td>{surface(w.keyword)}</td>
+                <td className="max-w-xs truncate" title={w.label || w.target}>{w.kind === "tag" ? `#${w.target}` : w.label || w.target}</td>
+                <td className="text-slate-500">{w.kind === "pair" ? `${w.up} up · ${w.down} down${w.copied ? ` · ${w.copied} copied` : ""}` : "via tag"}</td>
+                <td>
+                  <div className="flex items-center gap-1">
+                    <div className="flex-1 h-2 bg-slate-100 rounded-full relative overflow-hidden">
+                      <div
+                        className={`absolute h-2 ${w.weight >= 0 ? "bg-emerald-500 left-1/2" : "bg-rose-500 right-1/2"}`}
+                        style={{ width: `${Math.abs(w.weight) * 50}%` }}
+                      />
+                    </div>
+                    <span className="w-10 text-right">{w.weight >= 0 ? "+" : ""}{w.weight.toFixed(2)}</span>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {rows.length > FEEDBACK_ROWS && <p className="text-xs text-slate-500">… and {rows.length - FEEDBACK_ROWS} weaker weights</p>}
+    </section>
+  );
+}
 
 // -----------------------------
-// Pseudocode generator (from accumulated commands)
+// Panel 2 vs. panel 3: what the enhancement passes changed, line by line and word by word
 // -----------------------------
-function synthesizePseudocode(allCommands, refinedDict) {
-  if (!allCommands.length) return "# No commands yet. Add one above.";
-  const last = allCommands[allCommands.length - 1];
-  const tokens = tokenize(last.raw, refinedDict.stop);
-  const expanded = expandSynonyms(tokens, refinedDict);
-
-  const steps = [
-    "Parse incoming command and detect intent, entities, constraints.",
-    "Refine keywords using dictionary (synonyms/antonyms, stopword removal).",
-    "Compute similarity against library and prior commands.",
-    "Assemble verbose interpretation using templates.",
-    "Run one-time enhancement passes (text normalization).",
-    "Select best-matching code snippet(s) by tag overlap.",
-    "Emit final response + suggested multi-language snippets.",
-  ];
-
-  return [
-    "# PSEUDOCODE PLAN (auto-generated)",
-    `# Last command at ${last.createdAt}`,
-    "",
-    "Input:",
-    `  command = """${last.raw.replace(/\n/g, " ")}"""`,
-    "",
-    "Derived Keywords:",
-    "  - " + expanded.join("\n  - "),
-    "",
-    "Algorithm Steps:",
-    ...steps.map((s, i) => `  ${i+1}. ${s}`),
-    "",
-    "Output:",
-    "  - verbose_interpretation",
-    "  - similarity_spectrum (0..1000)",
-    "  - recommended_snippets",
-  ].join("\n");
+function DiffWords({ ops, side }) {
+  const hidden = side === "left" ? "add" : "del";
+  return ops.filter((o) => o.op !== hidden).map((o, i) => (
+    <span key={i} className={o.op === "same" ? "" : DIFF_STYLES[o.op]}>{o.value}</span>
+  ));
+}
+
+function SideBySideDiff({ before, after }) {
+  const rows = foldUnchanged(sideBySide(diffLines(before, after)), 1);
+  if (before === after) return <p className="text-xs text-slate-500">(The passes changed nothing)</p>;
+  const cell = "px-2 whitespace-pre-wrap break-words align-top w-1/2";
+  return (
+    <table className="w-full text-xs font-mono bg-slate-50 rounded-xl border table-fixed">
+      <thead className="text-left text-slate-500 font-sans">
+        <tr><th className="px-2 font-normal">2) interpretation</th><th className="px-2 font-normal">3) enhanced</th></tr>
+      </thead>
+      <tbody>
+        {rows.map((r, i) => {
+          if (r.op === "skip") return <tr key={i}><td colSpan={2} className="px-2 text-slate-400 font-sans">… {r.count} unchanged line(s)</td></tr>;
+          const words = r.op === "change" && diffWords(r.left, r.right);
+          return (
+            <tr key={i} className="border-t border-slate-100">
+              <td className={`${cell} ${r.op === "del" ? DIFF_STYLES.del : ""}`}>{words ? <DiffWords ops={words} side="left" /> : r.left}</td>
+              <td className={`${cell} ${r.op === "add" ? DIFF_STYLES.add : ""}`}>{words ? <DiffWords ops={words} side="right" /> : r.right}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
 }
 
 // -----------------------------
-// Verbose interpretation template builder
+// Workspaces: separate histories on one backend (workspaces.js)
 // -----------------------------
-function buildVerboseTemplate({ raw, tokens, expanded, antonyms, similarScore, differentScore }) {
-  const facts = [
-    { k: "Command", v: raw },
-    { k: "Primary Keywords", v: tokens.join(", ") || "(none)" },
-    { k: "Expanded Keywords", v: expanded.join(", ") || "(none)" },
-    { k: "Opposite Terms", v: antonyms.join(", ") || "(none)" },
-  ];
-
-  const template = [
-    "# Interpretation",
-    "## Facts",
-    ...facts.map((f) => `- **${f.k}:** ${f.v}`),
-    "",
-    "## Intent",
-    "- The user likely wants the system to parse, refine, and reason about the command to produce an actionable summary.",
-    "",
-    "## Logic",
-    `- Similarity → ${similarScore}/1000 (higher = closer)`,
-    `- Difference → ${differentScore}/1000 (higher = more different)`,
-    "- Use antonyms to probe opposites and ensure coverage of negative space.",
-    "",
-    "## Output Template",
-    "- Summary: <one paragraph summary>",
-    "- Steps: <bullet list of actions>",
-    "- Snippets: <ranked list of language/library examples>",
-  ].join("\n");
-  return template;
+const SHARE_LABELS = { snippets: "snippet library", dict: "dictionary" };
+
+function WorkspacesPanel({ workspaces, current, onSwitch, onCreate, onRename, onDelete, onShare, onExport, onImport }) {
+  const importRef = useRef(null);
+  const ask = (message, value = "") => {
+    const name = prompt(message, value);
+    return name === null ? null : name.trim();
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow border p-4 space-y-3">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <h2 className="font-semibold">Workspaces</h2>
+        <div className="flex items-center gap-2 text-xs">
+          <button onClick={() => { const name = ask("Name of the new workspace"); if (name) onCreate(name); }} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200">+ new</button>
+          <button onClick={() => importRef.current.click()} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200">import…</button>
+          <input ref={importRef} type="file" accept="application/json,.json" className="hidden" onChange={onImport} />
+        </div>
+      </div>
+      <p className="text-xs text-slate-500">
+        Each workspace keeps its own history, brain runs, retention policy and schedule state. Templates and learned
+        feedback are shared by all; the snippet library and dictionary are shared unless a workspace keeps its own copy.
+      </p>
+      <table className="w-full text-sm">
+        <thead className="text-left text-xs text-slate-500">
+          <tr>
+            <th className="font-normal">name</th>
+            {SHAREABLE_STORES.map((n) => <th key={n} className="font-normal">own {SHARE_LABELS[n]}</th>)}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {workspaces.map((w) => {
+            const isDefault = w.id === DEFAULT_WORKSPACE;
+            const isCurrent = w.id === current.id;
+            return (
+              <tr key={w.id} className="border-t">
+                <td className="py-1">
+                  {w.name}
+                  {isCurrent && <span className="ml-2 text-[10px] px-1.5 py-0.5 rounded-full bg-indigo-100 text-indigo-700">current</span>}
+                </td>
+                {SHAREABLE_STORES.map((n) => (
+                  <td key={n}>
+                    <input
+                      type="checkbox"
+                      checked={w.share[n] === false}
+                      disabled={isDefault}
+                      title={isDefault ? "The default workspace always uses the shared one" : undefined}
+                      onChange={(e) => {
+                        const own = e.target.checked;
+                        if (!own && !confirm(`Drop the own ${SHARE_LABELS[n]} of "${w.name}" and use the shared one again?`)) return;
+                        onShare(w, n, !own);
+                      }}
+                    />
+                  </td>
+                ))}
+                <td className="text-right text-xs space-x-1 whitespace-nowrap">
+                  {!isCurrent && <button onClick={() => onSwitch(w)} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200">open</button>}
+                  <button onClick={() => { const name = ask("New name", w.name); if (name && name !== w.name) onRename(w, name); }} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200">rename</button>
+                  <button onClick={() => { const name = ask(`Name of the copy of "${w.name}"`, `${w.name} copy`); if (name) onCreate(name, w); }} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200">duplicate</button>
+                  <button onClick={() => onExport(w)} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-slate-200">export</button>
+                  <button
+                    onClick={() => confirm(`Delete workspace "${w.name}" with its history and brain runs?`) && onDelete(w)}
+                    disabled={isDefault || isCurrent}
+                    title={isCurrent ? "Open another workspace first" : undefined}
+                    className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-rose-50 hover:text-rose-600 disabled:opacity-50"
+                  >delete</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
+// -----------------------------
+// Brain run comparison: line diff of two runs plus a timeline of how the plan evolved
+// -----------------------------
+const DIFF_STYLES = { add: "bg-emerald-50 text-emerald-800", del: "bg-rose-50 text-rose-800", same: "" };
+const DIFF_MARKS = { add: "+", del: "−", same: " " };
+
+function runLabel(r) {
+  return `${new Date(r.createdAt).toLocaleString()}${r.pinned ? " · baseline" : ""}`;
+}
+
+function ChangeList({ label, added, removed }) {
+  if (!added.length && !removed.length) return null;
+  return (
+    <div>
+      <span className="text-slate-500">{label}: </span>
+      {added.map((x) => <span key={`+${x}`} className="inline-block mr-1 mb-1 px-1 rounded bg-emerald-50 text-emerald-800">+ {x}</span>)}
+      {removed.map((x) => <span key={`-${x}`} className="inline-block mr-1 mb-1 px-1 rounded bg-rose-50 text-rose-800 line-through">{x}</span>)}
+    </div>
+  );
+}
+
+function PlanChanges({ before, after }) {
+  const { added, removed } = comparePlans(before?.plan, after.plan);
+  const delta = commandDelta(before, after);
+  const quiet = Object.keys(added).every((k) => !added[k].length && !removed[k].length);
+  return (
+    <div className="space-y-1">
+      {delta ? (
+        <ChangeList label="commands" added={delta.added.map((c) => c.raw)} removed={delta.removed.map((c) => c.raw)} />
+      ) : (
+        <div className="text-slate-500">commands: (not recorded for this run)</div>
+      )}
+      <ChangeList label="goals" added={added.goals} removed={removed.goals} />
+      <ChangeList label="keywords" added={added.keywords} removed={removed.keywords} />
+      <ChangeList label="steps" added={added.steps} removed={removed.steps} />
+      {quiet && <div className="text-slate-500">plan unchanged</div>}
+    </div>
+  );
+}
+
+// runs are newest first, as stored
+function BrainRunsPanel({ runs, onPin }) {
+  const baseline = runs.find((r) => r.pinned);
+  const [aId, setAId] = useState(() => (baseline || runs[1] || runs[0])?.id);
+  const [bId, setBId] = useState(() => runs[0]?.id);
+  const a = runs.find((r) => r.id === aId) || baseline || runs[1] || runs[0];
+  const b = runs.find((r) => r.id === bId) || runs[0];
+
+  if (!runs.length) {
+    return (
+      <section className="bg-white rounded-2xl shadow border p-4 text-sm text-slate-500">
+        No brain runs yet. Run the brain to start a timeline.
+      </section>
+    );
+  }
+
+  const lines = foldUnchanged(diffLines(a.pseudo, b.pseudo));
+  const timeline = runs.slice().reverse();
+
+  return (
+    <section className="bg-white rounded-2xl shadow border p-4 space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <h2 className="font-semibold">Brain Runs</h2>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          {[["A", a, setAId], ["B", b, setBId]].map(([name, run, set]) => (
+            <label key={name} className="flex items-center gap-1">
+              {name}
+              <select value={run.id} onChange={(e) => set(e.target.value)} className="rounded-lg border px-2 py-1">
+                {runs.map((r) => <option key={r.id} value={r.id}>{runLabel(r)}</option>)}
+              </select>
+            </label>
+          ))}
+          <button onClick={() => { setAId(b.id); setBId(a.id); }} className="px-2 py-1 rounded-lg bg-slate-100">swap</button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-xs">
+        <div className="lg:col-span-2">
+          <div className="text-slate-500 mb-1">Pseudocode diff (A → B)</div>
+          <pre className="text-xs bg-slate-50 rounded-lg border max-h-[420px] overflow-auto">
+            {a.id === b.id && <div className="p-2 text-slate-500">(same run selected twice)</div>}
+            {lines.map((l, i) => (l.op === "skip" ? (
+              <div key={i} className="px-2 text-slate-400">… {l.count} unchanged line(s)</div>
+            ) : (
+              <div key={i} className={`px-2 whitespace-pre-wrap ${DIFF_STYLES[l.op]}`}>{DIFF_MARKS[l.op]} {l.value}</div>
+            )))}
+          </pre>
+        </div>
+        <div className="space-y-2">
+          <div className="text-slate-500">What changed (A → B)</div>
+          <PlanChanges before={a} after={b} />
+        </div>
+      </div>
+
+      <div>
+        <div className="text-xs text-slate-500 mb-1">Timeline (oldest first)</div>
+        <ol className="space-y-2 max-h-80 overflow-auto pr-1 text-xs">
+          {timeline.map((r, i) => (
+            <li key={r.id} className={`border rounded-lg p-2 ${r.pinned ? "border-indigo-400" : ""}`}>
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-semibold">{runLabel(r)}</span>
+                <span className="flex gap-1">
+                  <button onClick={() => setAId(r.id)} className="px-2 py-0.5 rounded bg-slate-100">as A</button>
+                  <button onClick={() => setBId(r.id)} className="px-2 py-0.5 rounded bg-slate-100">as B</button>
+                  <button onClick={() => onPin(r.id)} className="px-2 py-0.5 rounded bg-slate-100">{r.pinned ? "unpin" : "pin as baseline"}</button>
+                </span>
+              </div>
+              <PlanChanges before={timeline[i - 1]} after={r} />
+            </li>
+          ))}
+        </ol>
+      </div>
+    </section>
+  );
+}
+
+// -----------------------------
+// Command history: search, tags, pins, bulk actions and retention (see history.js), grouped by thread (threads.js)
+// -----------------------------
+function HistoryPanel({ commands, pipeline, retention, onChange, onRerun, onContinue, onRetention }) {
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [pinnedOnly, setPinnedOnly] = useState(false);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [selected, setSelected] = useState(() => new Set());
+  const [draft, setDraft] = useState(retention);
+  useEffect(() => setDraft(retention), [retention]);
+
+  const results = useMemo(
+    () => searchHistory(commands, { query, tags: tag ? [tag] : [], pinned: pinnedOnly, from, to }, pipeline),
+    [commands, query, tag, pinnedOnly, from, to, pipeline]
+  );
+  const byId = new Map(commands.map((c) => [c.id, c]));
+  const allTags = uniq(commands.flatMap((c) => c.tags || [])).sort();
+  const reruns = new Map();
+  commands.forEach((c) => c.rerunOf && reruns.set(c.rerunOf, (reruns.get(c.rerunOf) || 0) + 1));
+  // oldest first, like the stored history, so bulk re-runs replay in their original order
+  const chosen = commands.filter((c) => selected.has(c.id));
+  const shownIds = results.map((r) => r.command.id);
+  const allShown = shownIds.length > 0 && shownIds.every((id) => selected.has(id));
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setSelected(next);
+  };
+  const update = (ids, change) => onChange(commands.map((c) => (ids.includes(c.id) ? change(c) : c)));
+
+  const editTags = (c) => {
+    const text = prompt("Tags (comma‑separated)", (c.tags || []).join(", "));
+    if (text != null) update([c.id], (x) => ({ ...x, tags: normalizeTags(text) }));
+  };
+  const tagSelected = () => {
+    const text = prompt(`Add tags to ${chosen.length} command(s) (comma‑separated)`);
+    if (text) update(chosen.map((c) => c.id), (x) => ({ ...x, tags: normalizeTags([...(x.tags || []), ...normalizeTags(text)]) }));
+  };
+  const deleteSelected = () => {
+    if (!confirm(`Delete ${chosen.length} command(s)?`)) return;
+    onChange(commands.filter((c) => !selected.has(c.id)));
+    setSelected(new Set());
+  };
+  const exportSelected = () => {
+    downloadJSON(`cmdbrain-commands-${Date.now()}.json`, serialize({ commands: chosen }, 2));
+  };
+  const showOriginal = (id) => {
+    setQuery("");
+    setTag("");
+    setPinnedOnly(false);
+    setFrom("");
+    setTo("");
+    setTimeout(() => document.getElementById(`history-${id}`)?.scrollIntoView({ block: "nearest" }), 0);
+  };
+
+  // one history row; a follow-up links to the command it continues and shows what it reads as
+  const renderCommand = (c) => {
+    const original = c.rerunOf && byId.get(c.rerunOf);
+    return (
+      <div key={c.id} id={`history-${c.id}`} className={`border rounded-xl p-2 flex items-start gap-2 ${c.pinned ? "border-amber-300" : ""}`}>
+        <input type="checkbox" className="mt-1" checked={selected.has(c.id)} onChange={() => toggle(c.id)} />
+        <div className="flex-1 min-w-0">
+          <div className="text-xs text-slate-500">
+            {new Date(c.createdAt).toLocaleString()}
+            {c.analysis && c.analysis.intent !== "unknown" && <span className="ml-2 px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-700">{c.analysis.intent}</span>}
+            {(c.locale || c.analysis?.locale || DEFAULT_LOCALE) !== DEFAULT_LOCALE && (
+              <span title={c.locale ? "pinned language" : "detected language"} className="ml-1 px-1.5 py-0.5 rounded bg-emerald-50 text-emerald-700 uppercase">{c.locale || c.analysis.locale}</span>
+            )}
+            {(c.tags || []).map((t) => (
+              <button key={t} onClick={() => setTag(t)} className="ml-1 px-1.5 py-0.5 rounded bg-slate-100">#{t}</button>
+            ))}
+          </div>
+          <div className="text-sm whitespace-pre-wrap">{c.raw}</div>
+          {c.rerunOf && (
+            <div className="text-[11px] text-slate-500">
+              ↻ re-run of{" "}
+              {original ? (
+                <button onClick={() => showOriginal(original.id)} className="underline">{new Date(original.createdAt).toLocaleString()}</button>
+              ) : "a deleted command"}
+            </div>
+          )}
+          {c.continues && (
+            <div className="text-[11px] text-slate-500">
+              ↳ follow-up of{" "}
+              {byId.get(c.continues) ? (
+                <button onClick={() => showOriginal(c.continues)} className="underline">"{byId.get(c.continues).raw}"</button>
+              ) : "a deleted command"}
+              {c.resolved && <div>reads as: {c.resolved}</div>}
+            </div>
+          )}
+          {reruns.get(c.id) > 0 && <div className="text-[11px] text-slate-500">re-run {reruns.get(c.id)}×</div>}
+        </div>
+        <div className="flex flex-col gap-1 text-xs">
+          <button
+            onClick={() => update([c.id], (x) => ({ ...x, pinned: !x.pinned }))}
+            title={c.pinned ? "Unpin" : "Pin (kept by retention)"}
+            className={`px-2 py-1 rounded-lg ${c.pinned ? "bg-amber-100 text-amber-800" : "bg-slate-100"}`}
+          >
+            {c.pinned ? "★" : "☆"}
+          </button>
+          <button onClick={() => editTags(c)} className="px-2 py-1 bg-slate-100 rounded-lg">tags</button>
+          <button onClick={() => onRerun([c])} className="px-2 py-1 bg-slate-100 rounded-lg">re-run</button>
+          <button onClick={() => onContinue(c.id)} title="Follow this command up with the next one" className="px-2 py-1 bg-slate-100 rounded-lg">follow up</button>
+          <button onClick={() => onChange(commands.filter((x) => x.id !== c.id))} className="px-2 py-1 bg-slate-100 rounded-lg hover:bg-rose-50 hover:text-rose-600">delete</button>
+        </div>
+      </div>
+    );
+  };
+
+  const retentionError = checkRetention(draft);
+  const applyRetentionDraft = () => {
+    const dropped = commands.length - applyRetention(commands, draft).length;
+    if (dropped && !confirm(`This policy drops ${dropped} command(s) now. Continue?`)) return;
+    onRetention(draft);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow border p-4 space-y-2">
+      <h3 className="font-semibold">Command History</h3>
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search (typos and word forms match)"
+        className="w-full rounded-lg border px-2 py-1 text-sm"
+      />
+      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+        <select value={tag} onChange={(e) => setTag(e.target.value)} className="rounded-lg border px-2 py-1">
+          <option value="">all tags</option>
+          {allTags.map((t) => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={pinnedOnly} onChange={(e) => setPinnedOnly(e.target.checked)} />
+          pinned only
+        </label>
+        <label className="flex items-center gap-1">
+          from <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="rounded-lg border px-1" />
+        </label>
+        <label className="flex items-center gap-1">
+          to <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="rounded-lg border px-1" />
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <label className="flex items-center gap-1 text-slate-600">
+          <input
+            type="checkbox"
+            checked={allShown}
+            onChange={() => setSelected(allShown ? new Set() : new Set([...selected, ...shownIds]))}
+          />
+          {results.length} shown{chosen.length ? ` · ${chosen.length} selected` : ""}
+        </label>
+        {chosen.length > 0 && (
+          <>
+            <button onClick={() => onRerun(chosen)} className="px-2 py-1 rounded-lg bg-slate-100">re-run</button>
+            <button onClick={tagSelected} className="px-2 py-1 rounded-lg bg-slate-100">tag</button>
+            <button onClick={exportSelected} className="px-2 py-1 rounded-lg bg-slate-100">export</button>
+            <button onClick={deleteSelected} className="px-2 py-1 rounded-lg bg-slate-100 hover:bg-rose-50 hover:text-rose-600">delete</button>
+            <button onClick={() => setSelected(new Set())} className="px-2 py-1 rounded-lg bg-slate-100">clear</button>
+          </>
+        )}
+      </div>
+
+      <div className="space-y-2 max-h-72 overflow-auto pr-1">
+        {commands.length === 0 && (
+          <p className="text-sm text-slate-500">No commands yet.</p>
+        )}
+        {commands.length > 0 && results.length === 0 && (
+          <p className="text-sm text-slate-500">No commands match.</p>
+        )}
+        {groupThreads(results.map((r) => r.command)).map((g) => {
+          if (g.commands.length === 1) return renderCommand(g.commands[0]);
+          const turns = threadCommands(commands, g.id).length;
+          return (
+            <div key={g.id} className="border border-indigo-200 rounded-xl p-1.5 space-y-1.5">
+              <div className="text-[11px] text-indigo-700 px-1">
+                Thread · {turns} turns{turns > g.commands.length ? ` (${g.commands.length} shown)` : ""}
+              </div>
+              {g.commands.map(renderCommand)}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600 border-t pt-2">
+        <span>Keep at most</span>
+        <input
+          type="number"
+          min="0"
+          value={draft.maxCount}
+          onChange={(e) => setDraft({ ...draft, maxCount: Number(e.target.value) })}
+          className="w-16 rounded-lg border px-1"
+        />
+        <span>commands, for</span>
+        <input
+          type="number"
+          min="0"
+          value={draft.maxAgeDays}
+          onChange={(e) => setDraft({ ...draft, maxAgeDays: Number(e.target.value) })}
+          className="w-16 rounded-lg border px-1"
+        />
+        <span>days (0 = no limit; pinned are always kept)</span>
+        <button
+          onClick={applyRetentionDraft}
+          disabled={Boolean(retentionError) || (draft.maxCount === retention.maxCount && draft.maxAgeDays === retention.maxAgeDays)}
+          className="px-2 py-1 rounded-lg bg-slate-100 disabled:opacity-50"
+        >
+          apply
+        </button>
+        {retentionError && <span className="text-rose-600">{retentionError}</span>}
+      </div>
+    </div>
+  );
 }
 
 // -----------------------------
 // Main App
 // -----------------------------
 export default function App() {
-  const [dictionary, setDictionary] = useState(() => loadLS(LS_KEYS.dict, DEFAULT_DICTIONARY));
-  const [snippets, setSnippets] = useState(() => loadLS(LS_KEYS.snippets, DEFAULT_SNIPPETS));
-  const [commands, setCommands] = useState(() => loadLS(LS_KEYS.commands, []));
-  const [brainRuns, setBrainRuns] = useState(() => loadLS(LS_KEYS.brainRuns, []));
+  const [backendName, setBackendName] = useState(loadBackendPref);
+  const [store, setStore] = useState(() => openStore(backendName));
+  const [hydrated, setHydrated] = useState(false);
+  const [storageError, setStorageError] = useState("");
+  const [serverUrl, setServerUrl] = useState(loadServerUrl);
+  const [workspaces, setWorkspaces] = useState(DEFAULT_WORKSPACES);
+
+  const [dictionary, setDictionary] = useState(DEFAULT_DICTIONARY);
+  const [snippets, setSnippets] = useState(DEFAULT_SNIPPETS);
+  const [commands, setCommands] = useState([]);
+  const [brainRuns, setBrainRuns] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [retention, setRetention] = useState(DEFAULT_RETENTION);
+  const [feedback, setFeedback] = useState(DEFAULT_FEEDBACK);
 
   const [input, setInput] = useState("");
+  const [locale, setLocale] = useState("auto");
   const [interpretation, setInterpretation] = useState("");
   const [enhancedInterpretation, setEnhancedInterpretation] = useState("");
+  const [enhanceTrace, setEnhanceTrace] = useState([]);
+  const [enhanceView, setEnhanceView] = useState("text");
+  // the command the next one follows up (threads.js), and what the last follow-up was read as
+  const [continueFrom, setContinueFrom] = useState(null);
+  const [threadInfo, setThreadInfo] = useState(null);
   const [similarList, setSimilarList] = useState([]);
   const [oppositeList, setOppositeList] = useState([]);
   const [differentList, setDifferentList] = useState([]);
   const [snippetPicks, setSnippetPicks] = useState([]);
+  // keywords of the last interpretation, which feedback on its lists is learned for; votes given on them
+  const [feedbackKeys, setFeedbackKeys] = useState([]);
+  const [votes, setVotes] = useState({});
+  const [program, setProgram] = useState(null);
   const [similarityScore, setSimilarityScore] = useState(0);
   const [differenceScore, setDifferenceScore] = useState(0);
   const [pseudocode, setPseudocode] = useState("");
+  const [plan, setPlan] = useState(null);
+  const [brainView, setBrainView] = useState("pseudo");
+  const [showRuns, setShowRuns] = useState(false);
+  const [schedule, setSchedule] = useState(loadSchedulePref);
+  const [scheduleStatus, setScheduleStatus] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [showDictionary, setShowDictionary] = useState(false);
+  const [showSnippets, setShowSnippets] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [showFeedback, setShowFeedback] = useState(false);
+  const [showWorkspaces, setShowWorkspaces] = useState(false);
+  const [templateChoice, setTemplateChoice] = useState("auto");
+  const [usedTemplateId, setUsedTemplateId] = useState(null);
+  const [lastContext, setLastContext] = useState(null);
+
+  const [scorer, setScorer] = useState(loadScorerPref);
+  const [semanticWeight, setSemanticWeight] = useState(loadSemanticPref);
+  const [pipelineOptions, setPipelineOptions] = useState(loadPipelinePref);
+  const allTemplates = useMemo(() => mergeTemplates(templates), [templates]);
+
+  // snippet tags join the fuzzy vocabulary; keyed on the tag set so editing code doesn't rebuild
+  const tagKey = snippetTags(snippets).join(",");
+  const pipeline = useMemo(
+    () => createPipeline(dictionary, pipelineOptions, tagKey ? tagKey.split(",") : []),
+    [dictionary, pipelineOptions, tagKey]
+  );
+
+  const detectedLocale = useMemo(() => (input.trim() ? pipeline.detect(input).locale : null), [input, pipeline]);
+  const following = continueFrom ? commands.find((c) => c.id === continueFrom) : null;
 
-  const intervalRef = useRef(null);
+  const schedulerRef = useRef(null);
+  const brainRef = useRef(null);
+  const indexRef = useRef(null);
+  const importInputRef = useRef(null);
 
-  // persist DB
-  useEffect(() => saveLS(LS_KEYS.commands, commands), [commands]);
-  useEffect(() => saveLS(LS_KEYS.brainRuns, brainRuns), [brainRuns]);
-  useEffect(() => saveLS(LS_KEYS.snippets, snippets), [snippets]);
-  useEffect(() => saveLS(LS_KEYS.dict, dictionary), [dictionary]);
+  // load DB (on start, after switching workspace and after switching to a backend that already holds data); nothing
+  // is written back until this succeeds, so a failed migration never overwrites stored data with defaults.
+  // The registry comes first: a store opened for another workspace (or sharing) is reopened, which loads again.
+  useEffect(() => {
+    if (hydrated) return;
+    let live = true;
+    store.load("workspaces").then(async (saved) => {
+      const list = normalizeWorkspaces(saved);
+      const workspace = findWorkspace(list, loadWorkspacePref()) || list[0];
+      if (scopeKey(workspace) !== scopeKey(store.workspace)) {
+        if (live) setStore(openStore(backendName, serverUrl, workspace));
+        return;
+      }
+      const data = await store.loadAll();
+      if (!live) return;
+      setWorkspaces(list);
+      setCommands(data.commands);
+      setBrainRuns(data.brainRuns);
+      setSnippets(data.snippets);
+      setTemplates(data.templates);
+      setDictionary(data.dict);
+      setRetention(data.retention);
+      setFeedback(data.feedback);
+      setHydrated(true);
+    }).catch((err) => setStorageError(`Could not load saved data: ${err.message}`));
+    return () => { live = false; };
+  }, [store, hydrated]);
+
+  // persist DB (switching to an empty backend re-runs these, which copies everything over)
+  const persist = (name, value) => {
+    if (!hydrated) return;
+    store.save(name, value).catch((err) => setStorageError(`Could not save ${name} to ${store.backend.name}: ${err.message}`));
+  };
+  // the store applies the retention policy on save; what it dropped leaves the state too, unless newer
+  // commands arrived meanwhile (their own save prunes them)
+  useEffect(() => {
+    if (!hydrated) return;
+    store.save("retention", retention)
+      .then(() => store.save("commands", commands))
+      .then((kept) => kept !== commands && setCommands((cur) => (cur === commands ? kept : cur)))
+      .catch((err) => setStorageError(`Could not save commands to ${store.backend.name}: ${err.message}`));
+  }, [hydrated, store, commands, retention]);
+  useEffect(() => persist("brainRuns", brainRuns), [hydrated, store, brainRuns]);
+  useEffect(() => persist("snippets", snippets), [hydrated, store, snippets]);
+  useEffect(() => persist("templates", templates), [hydrated, store, templates]);
+  useEffect(() => persist("dict", dictionary), [hydrated, store, dictionary]);
+  useEffect(() => persist("feedback", feedback), [hydrated, store, feedback]);
 
-  // brain scheduler: every 9 minutes
+  // brain scheduler: one instance per store, leader lease and state per workspace; `brainRef` always holds the
+  // latest render's run function
   useEffect(() => {
-    if (intervalRef.current) clearInterval(intervalRef.current);
-    intervalRef.current = setInterval(() => {
-      runBrain();
-    }, 9 * 60 * 1000);
-    return () => clearInterval(intervalRef.current);
-  }, [commands, dictionary]);
+    if (!hydrated) return;
+    const scheduler = createScheduler({
+      key: workspaceKey("cmdbrain.scheduler", store.workspace.id),
+      schedule: loadSchedulePref(),
+      run: () => brainRef.current(),
+      onStatus: setScheduleStatus,
+      onRemoteRun: () => store.load("brainRuns").then(setBrainRuns).catch(() => {}),
+    });
+    // a schedule edited in another tab applies here too
+    const onStorage = (e) => {
+      if (e.key !== SCHEDULE_PREF_KEY) return;
+      const next = loadSchedulePref();
+      setSchedule(next);
+      scheduler.setSchedule(next);
+    };
+    schedulerRef.current = scheduler;
+    scheduler.start();
+    window.addEventListener("storage", onStorage);
+    return () => {
+      window.removeEventListener("storage", onStorage);
+      scheduler.stop();
+      schedulerRef.current = null;
+    };
+  }, [hydrated, store]);
 
   // helpers
-  const computeSimilarityAgainstHistory = (tokens) => {
-    if (!commands.length) return { sim: 0, diff: 1000, similar: [], different: [], opposite: [] };
+  // Indexes follow commands/snippets incrementally; a dictionary change alters
+  // tokenization, so it starts fresh indexes.
+  const getIndexes = () => {
+    if (indexRef.current?.pipeline !== pipeline) indexRef.current = createIndexes(pipeline);
+    return syncIndexes(indexRef.current, commands, snippets);
+  };
 
-    const all = commands.map((c) => ({
-      ...c, tokens: tokenize(c.raw, dictionary.stop),
-    }));
+  const changePipelineStage = (stage, on) => {
+    const next = { ...pipelineOptions, [stage]: on };
+    localStorage.setItem(PIPELINE_PREF_KEY, JSON.stringify(next));
+    setPipelineOptions(next);
+  };
 
-    const withScores = all.map((c) => ({
-      ...c,
-      score: cosineSim(tokens, c.tokens),
-    }));
+  const plannerEnv = () => createPlannerEnv({ indexes: getIndexes(), snippets, scorer, semanticWeight, feedback });
 
-    const sorted = [...withScores].sort((a, b) => b.score - a.score);
-    const simTop = sorted.slice(0, 5);
-    const diffTop = sorted.slice(-5).reverse();
-
-    // Opposite: use antonyms overlap heuristic
-    const antonyms = antonymsOf(tokens, dictionary);
-    const oppList = all
-      .map((c) => ({
-        ...c,
-        opp: cosineSim(antonyms, c.tokens),
-      }))
-      .sort((a, b) => b.opp - a.opp)
-      .slice(0, 5);
-
-    return {
-      sim: spectrum01k(sorted[0]?.score || 0),
-      diff: spectrum01k(1 - (sorted[0]?.score || 0)),
-      similar: simTop,
-      different: diffTop,
-      opposite: oppList,
-    };
+  const changeScorer = (name) => {
+    localStorage.setItem(SCORER_PREF_KEY, name);
+    setScorer(name);
   };
 
-  const runInterpretation = () => {
-    const createdAt = nowISO();
-    const raw = input.trim();
-    if (!raw) return;
+  const changeSemanticWeight = (weight) => {
+    localStorage.setItem(SEMANTIC_PREF_KEY, String(weight));
+    setSemanticWeight(weight);
+  };
 
-    const tokens = tokenize(raw, dictionary.stop);
-    const expanded = expandSynonyms(tokens, dictionary);
-    const antonyms = antonymsOf(tokens, dictionary);
+  // interprets each { raw, rerunOf, continues, locale } in turn on top of the history and shows the last one
+  const runInterpretations = (items) => {
+    const indexes = getIndexes();
+    let nextCommands = commands;
+    let result = null;
+    for (const { raw, rerunOf, continues, locale } of items) {
+      result = interpret(raw, {
+        dictionary, commands: nextCommands, snippets, templates, templateChoice, scorer, semanticWeight, indexes, rerunOf, continues, locale,
+        feedback,
+      });
+      nextCommands = [...nextCommands, result.command];
+    }
+    const { similarity } = result;
+    setCommands(nextCommands);
+    setThreadInfo(result.thread);
 
-    const simData = computeSimilarityAgainstHistory(tokens);
+    setInterpretation(result.interpretation);
+    setEnhancedInterpretation(result.enhanced);
+    setEnhanceTrace(result.trace);
+    setLastContext(result.context);
+    setUsedTemplateId(result.template.id);
+    setSnippetPicks(result.ranked);
+    setFeedbackKeys(result.tokens);
+    setVotes({});
+    setProgram(result.program);
+    setSimilarityScore(similarity.sim);
+    setDifferenceScore(similarity.diff);
+    setSimilarList(similarity.similar);
+    setDifferentList(similarity.different);
+    setOppositeList(similarity.opposite);
 
-    // Build template
-    const templ = buildVerboseTemplate({
-      raw, tokens, expanded, antonyms,
-      similarScore: simData.sim, differentScore: simData.diff,
-    });
+    // Also refresh pseudocode preview based on accumulated commands
+    const brain = synthesizePseudocode(nextCommands, plannerEnv());
+    setPseudocode(brain.pseudo);
+    setPlan(brain.plan);
+    return result;
+  };
 
-    // Enhance (one-time logic)
-    const enhanced = enhanceOnce(templ, dictionary);
+  // a follow-up moves the conversation on: the next one follows up this one
+  const runInterpretation = () => {
+    const raw = input.trim();
+    if (!raw) return;
+    const continues = following?.id;
+    const result = runInterpretations([{ raw, continues, locale }]);
+    if (continues) setContinueFrom(result.command.id);
+  };
 
-    // Snippet ranking
-    const picks = [...snippets]
-      .map((s) => ({ s, score: scoreSnippet(s, expanded) }))
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 5)
-      .map((x) => x.s);
+  // past commands run again as new records linked to their first run, in the locale they were pinned to; a
+  // follow-up still follows up the same command while that is there
+  const rerunCommands = (list) => {
+    setInput(list[list.length - 1].raw);
+    runInterpretations(list.map((c) => ({
+      raw: c.raw,
+      rerunOf: rerunOrigin(c),
+      continues: c.continues && commands.some((x) => x.id === c.continues) ? c.continues : undefined,
+      locale: c.locale,
+    })));
+  };
 
-    // Save command
-    const cmd = { id: crypto.randomUUID(), raw, createdAt };
-    const nextCommands = [...commands, cmd];
-    setCommands(nextCommands);
+  // learns `signal` on `item` of `list` for the last interpretation's keywords (feedback.js); one vote per item
+  const giveFeedback = (list, item, signal) => {
+    const key = `${list}:${item.id}`;
+    if (signal !== "copied" && votes[key]) return;
+    const entry = { list, signal, keywords: feedbackKeys, item };
+    if (checkSignal(entry)) return;
+    setFeedback((cur) => recordFeedback(cur, entry));
+    if (signal !== "copied") setVotes((cur) => ({ ...cur, [key]: signal }));
+  };
+  const snippetItem = (s) => ({ id: s.id, label: s.title, tags: s.tags });
+  const commandItem = (c) => ({ id: c.id, label: c.raw, tags: c.tags });
 
+  // re-render the last interpretation with another template
+  const chooseTemplate = (id) => {
+    setTemplateChoice(id);
+    if (!lastContext) return;
+    const template = allTemplates.find((t) => t.id === id);
+    if (!template) return;
+    const templ = buildVerboseTemplate(template, lastContext);
+    const enhancement = enhance(templ, dictionary);
     setInterpretation(templ);
-    setEnhancedInterpretation(enhanced);
-    setSnippetPicks(picks);
-    setSimilarityScore(simData.sim);
-    setDifferenceScore(simData.diff);
-    setSimilarList(simData.similar);
-    setDifferentList(simData.different);
-    setOppositeList(simData.opposite);
+    setEnhancedInterpretation(enhancement.text);
+    setEnhanceTrace(enhancement.trace);
+    setUsedTemplateId(template.id);
+  };
 
-    // Also refresh pseudocode preview based on accumulated commands
-    setPseudocode(synthesizePseudocode(nextCommands, dictionary));
+  // plans `cmds` on top of `runs` and saves right away, so other tabs reload a complete list
+  const saveBrainRun = async (cmds, runs) => {
+    const { run, runs: nextRuns } = recordBrainRun(cmds, runs, plannerEnv());
+    setPseudocode(run.pseudo);
+    setPlan(run.plan);
+    setBrainRuns(nextRuns);
+    await store.save("brainRuns", nextRuns);
   };
 
   const runBrain = () => {
-    const createdAt = nowISO();
-    const pseudo = synthesizePseudocode(commands, dictionary);
-    setPseudocode(pseudo);
-    const run = { id: crypto.randomUUID(), createdAt, pseudo };
-    const nextRuns = [run, ...brainRuns].slice(0, 30);
-    setBrainRuns(nextRuns);
+    saveBrainRun(commands, brainRuns)
+      .then(() => schedulerRef.current?.markRan())
+      .catch((err) => setStorageError(`Could not save brainRuns to ${store.backend.name}: ${err.message}`));
+  };
+
+  // scheduled runs read the store, which every tab writes through, rather than this tab's state
+  const scheduledBrainRun = async () => {
+    const [cmds, runs] = await Promise.all([store.load("commands"), store.load("brainRuns")]);
+    if (!hasNewCommands(runs[0], cmds)) return "skipped";
+    await saveBrainRun(cmds, runs);
+    return "ran";
+  };
+  brainRef.current = scheduledBrainRun;
+
+  const changeSchedule = (next) => {
+    setSchedule(next);
+    if (checkSchedule(next)) return;
+    localStorage.setItem(SCHEDULE_PREF_KEY, JSON.stringify(next));
+    schedulerRef.current?.setSchedule(next);
+  };
+
+  // one baseline at a time; pinned runs survive trimming
+  const pinRun = (id) => {
+    setBrainRuns(brainRuns.map((r) => ({ ...r, pinned: r.id === id ? !r.pinned : false })));
   };
 
   const exportJSON = () => {
-    const blob = new Blob([
-      JSON.stringify({ commands, brainRuns, snippets, dictionary }, null, 2),
-    ], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `cmdbrain-export-${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadJSON(`cmdbrain-export-${Date.now()}.json`, serialize({ commands, brainRuns, snippets, templates, dictionary }, 2));
+  };
+
+  // a backend that already holds this workspace's history (e.g. the API server) is loaded; an empty one gets this
+  // session's data, and the workspace joins its registry
+  const switchBackend = async (name, url = serverUrl) => {
+    const next = openStore(name, url, store.workspace);
+    let stored;
+    try {
+      stored = await next.backend.get(scopedSchemas(STORE_SCHEMAS, store.workspace).commands.key);
+      const list = normalizeWorkspaces(await next.load("workspaces"));
+      if (!findWorkspace(list, store.workspace.id)) await next.save("workspaces", [...list, store.workspace]);
+    } catch (err) {
+      setStorageError(`Could not reach ${name}: ${err.message}`);
+      return;
+    }
+    localStorage.setItem(BACKEND_PREF_KEY, name);
+    localStorage.setItem(SERVER_URL_PREF_KEY, url);
+    setStorageError("");
+    setBackendName(name);
+    if (stored != null) setHydrated(false);
+    setStore(next);
+  };
+
+  // -----------------------------
+  // Workspaces: registry changes are saved right away, since loading a workspace reads the registry first
+  // -----------------------------
+  const workspace = workspaces.find((w) => w.id === store.workspace.id) || store.workspace;
+
+  const saveWorkspaces = async (list) => {
+    await store.save("workspaces", list);
+    setWorkspaces(list);
+  };
+  const workspaceAction = (label, fn) => (...args) =>
+    fn(...args).catch((err) => setStorageError(`Could not ${label} on ${store.backend.name}: ${err.message}`));
+
+  // the results on screen belong to the workspace being left
+  const openWorkspace = (w) => {
+    localStorage.setItem(WORKSPACE_PREF_KEY, w.id);
+    setInterpretation("");
+    setEnhancedInterpretation("");
+    setEnhanceTrace([]);
+    setContinueFrom(null);
+    setThreadInfo(null);
+    setSnippetPicks([]);
+    setFeedbackKeys([]);
+    setVotes({});
+    setProgram(null);
+    setSimilarList([]);
+    setDifferentList([]);
+    setOppositeList([]);
+    setPseudocode("");
+    setPlan(null);
+    setPendingImport(null);
+    setHydrated(false);
+    setStore(openStore(backendName, serverUrl, w));
   };
 
-  const addSnippet = () => {
-    const title = prompt("Snippet title?");
-    if (!title) return;
-    const language = prompt("Language (e.g., python, javascript)?") || "text";
-    const tags = (prompt("Comma‑separated tags?") || "").split(",").map((t) => normalize(t)).filter(Boolean);
-    const snippet = prompt("Paste snippet:") || "";
-    const s = { id: crypto.randomUUID(), title, language: normalize(language), tags, snippet };
-    const next = [...snippets, s];
-    setSnippets(next);
+  const createWorkspace = workspaceAction("create the workspace", async (name, from) => {
+    const problem = checkWorkspaceName(name, workspaces);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    const { workspace: created, list } = addWorkspace(workspaces, name, { share: from?.share });
+    if (from) await copyWorkspace(store.backend, STORE_SCHEMAS, from, created);
+    await saveWorkspaces(list);
+  });
+
+  const renameWorkspaceTo = workspaceAction("rename the workspace", async (w, name) => {
+    const problem = checkWorkspaceName(name, workspaces, w.id);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    await saveWorkspaces(renameWorkspace(workspaces, w.id, name));
+  });
+
+  // its schedule state lives in this browser's localStorage whatever the backend
+  const deleteWorkspace = workspaceAction("delete the workspace", async (w) => {
+    await clearWorkspace(store.backend, STORE_SCHEMAS, w);
+    const schedulerKey = workspaceKey("cmdbrain.scheduler", w.id);
+    localStorage.removeItem(`${schedulerKey}.leader`);
+    localStorage.removeItem(`${schedulerKey}.state`);
+    await saveWorkspaces(workspaces.filter((x) => x.id !== w.id));
+  });
+
+  // sharing changes which keys the current workspace reads, so it is loaded again
+  const shareWorkspaceStore = workspaceAction("change sharing", async (w, name, shared) => {
+    const updated = await setSharing(store.backend, STORE_SCHEMAS, w, name, shared);
+    await saveWorkspaces(workspaces.map((x) => (x.id === w.id ? updated : x)));
+    if (w.id !== store.workspace.id) return;
+    setHydrated(false);
+    setStore(openStore(backendName, serverUrl, updated));
+  });
+
+  const exportWorkspace = workspaceAction("export the workspace", async (w) => {
+    const data = await createStore(store.backend, scopedSchemas(STORE_SCHEMAS, w)).loadAll();
+    downloadJSON(`cmdbrain-${w.id}-${Date.now()}.json`, serialize(workspaceBundle(w, data), 2));
+  });
+
+  const importWorkspaceFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let data;
+    try {
+      data = deserialize(await file.text());
+    } catch {
+      alert(`Import failed: ${file.name} is not valid JSON.`);
+      return;
+    }
+    const { bundle, errors, warnings } = validateBundle(data);
+    if (errors.length) {
+      alert(`Import failed:\n- ${errors.join("\n- ")}`);
+      return;
+    }
+    try {
+      const { workspace: added, list } = await importWorkspace(store.backend, STORE_SCHEMAS, workspaces, bundle);
+      setWorkspaces(list);
+      alert(`Imported ${file.name} as workspace "${added.name}".${warnings.length ? `\n\nWarnings:\n- ${warnings.join("\n- ")}` : ""}`);
+    } catch (err) {
+      setStorageError(`Could not import the workspace to ${store.backend.name}: ${err.message}`);
+    }
   };
 
-  const removeCommand = (id) => {
-    setCommands(commands.filter((c) => c.id !== id));
+  const importJSON = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let data;
+    try {
+      data = deserialize(await file.text());
+    } catch {
+      alert(`Import failed: ${file.name} is not valid JSON.`);
+      return;
+    }
+    const { bundle, errors, warnings } = validateBundle(data);
+    if (errors.length) {
+      alert(`Import failed:\n- ${errors.join("\n- ")}`);
+      return;
+    }
+    const diffs = diffBundle({ commands, snippets, brainRuns, templates }, bundle);
+    setPendingImport({ fileName: file.name, bundle, warnings, diffs, mode: "merge", resolutions: {} });
+  };
+
+  const resolveConflict = (store, id, choice) => {
+    setPendingImport((p) => ({
+      ...p,
+      resolutions: { ...p.resolutions, [store]: { ...p.resolutions[store], [id]: choice } },
+    }));
+  };
+
+  const applyImport = () => {
+    const { bundle, diffs, mode, resolutions } = pendingImport;
+    const next = applyBundle({ commands, snippets, brainRuns, templates, dictionary }, bundle, { mode, diffs, resolutions });
+    setCommands(next.commands);
+    setSnippets(next.snippets);
+    setBrainRuns(next.brainRuns);
+    setTemplates(next.templates);
+    setDictionary(next.dictionary);
+    setPendingImport(null);
   };
 
   // -----------------------------
@@ -441,15 +1989,122 @@ export default function App() {
         <header className="flex flex-col gap-2 md:flex-row md:items-end md:justify-between">
           <div>
             <h1 className="text-2xl md:text-3xl font-bold tracking-tight">Command Interpreter & Pseudocode Brain</h1>
-            <p className="text-sm text-slate-600">Refine → Interpret → Reason → Rank Similarity (0–1000) → Suggest Snippets → Auto‑plan every 9 minutes</p>
+            <p className="text-sm text-slate-600">Refine → Interpret → Reason → Rank Similarity (0–1000) → Suggest Snippets → Auto‑plan on a schedule</p>
           </div>
           <div className="flex gap-2">
+            <select
+              value={workspace.id}
+              onChange={(e) => openWorkspace(workspaces.find((w) => w.id === e.target.value))}
+              disabled={!hydrated}
+              title="Workspace"
+              className="px-3 py-2 rounded-2xl bg-white shadow border disabled:opacity-50"
+            >
+              {workspaces.map((w) => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+            <button onClick={() => setShowWorkspaces(!showWorkspaces)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Workspaces</button>
             <button onClick={exportJSON} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Export JSON</button>
-            <button onClick={addSnippet} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Add Snippet</button>
-            <button onClick={runBrain} className="px-3 py-2 rounded-2xl bg-indigo-600 text-white shadow hover:shadow-md">Run Brain Now</button>
+            <button onClick={() => importInputRef.current.click()} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Import JSON</button>
+            <input ref={importInputRef} type="file" accept="application/json,.json" className="hidden" onChange={importJSON} />
+            <button onClick={() => setShowDictionary(!showDictionary)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Dictionary</button>
+            <button onClick={() => setShowTemplates(!showTemplates)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Templates</button>
+            <button onClick={() => setShowSnippets(!showSnippets)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Snippets</button>
+            <button onClick={() => setShowFeedback(!showFeedback)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Feedback</button>
+            <button onClick={runBrain} disabled={!hydrated} className="px-3 py-2 rounded-2xl bg-indigo-600 text-white shadow hover:shadow-md disabled:opacity-50">Run Brain Now</button>
           </div>
         </header>
 
+        {showWorkspaces && (
+          <WorkspacesPanel
+            workspaces={workspaces}
+            current={workspace}
+            onSwitch={openWorkspace}
+            onCreate={createWorkspace}
+            onRename={renameWorkspaceTo}
+            onDelete={deleteWorkspace}
+            onShare={shareWorkspaceStore}
+            onExport={exportWorkspace}
+            onImport={importWorkspaceFile}
+          />
+        )}
+        {showDictionary && <DictionaryPanel dictionary={dictionary} onChange={setDictionary} />}
+        {showSnippets && <SnippetManager snippets={snippets} onChange={setSnippets} />}
+        {showRuns && <BrainRunsPanel runs={brainRuns} onPin={pinRun} />}
+        {showFeedback && <FeedbackPanel feedback={feedback} surface={pipeline.surface} onReset={(channel) => setFeedback(resetFeedback(feedback, channel))} />}
+        {showTemplates && <TemplateEditor templates={allTemplates} saved={templates} onChange={setTemplates} context={lastContext || PREVIEW_CONTEXT} />}
+
+        {pendingImport && (
+          <section className="bg-white rounded-2xl shadow border p-4 space-y-3">
+            <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+              <h2 className="font-semibold">Import {pendingImport.fileName}</h2>
+              <div className="flex gap-3 text-sm">
+                {["merge", "replace"].map((m) => (
+                  <label key={m} className="flex items-center gap-1">
+                    <input
+                      type="radio"
+                      checked={pendingImport.mode === m}
+                      onChange={() => setPendingImport({ ...pendingImport, mode: m })}
+                    />
+                    {m === "merge" ? "Merge (dedupe by id)" : "Replace stores in file"}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-xs">
+              {Object.entries(pendingImport.diffs).map(([store, d]) => (
+                <div key={store} className="border rounded-xl p-2">
+                  <div className="font-semibold">{store}</div>
+                  {pendingImport.mode === "merge" ? (
+                    <div>{d.added.length} new · {d.identical.length} already present · {d.conflicts.length} conflicting</div>
+                  ) : (
+                    <div>{pendingImport.bundle[store].length} records replace the current {store}</div>
+                  )}
+                </div>
+              ))}
+              {pendingImport.bundle.dictionary && (
+                <div className="border rounded-xl p-2">
+                  <div className="font-semibold">dictionary</div>
+                  <div>{pendingImport.mode === "merge" ? "word groups, stopwords and rules are unioned" : "word groups, stopwords and rules in file replace current ones"}</div>
+                </div>
+              )}
+            </div>
+
+            {pendingImport.warnings.length > 0 && (
+              <ul className="text-xs text-amber-700 list-disc pl-5 max-h-24 overflow-auto">
+                {pendingImport.warnings.map((w, i) => <li key={i}>{w}</li>)}
+              </ul>
+            )}
+
+            {pendingImport.mode === "merge" && Object.entries(pendingImport.diffs).map(([store, d]) => d.conflicts.map((c) => {
+              const choice = pendingImport.resolutions[store]?.[c.id] || "current";
+              return (
+                <div key={`${store}:${c.id}`} className="border rounded-xl p-2 text-xs space-y-1">
+                  <div className="font-medium">{store} · {c.id}</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {["current", "incoming"].map((side) => (
+                      <label key={side} className={`border rounded-lg p-2 cursor-pointer ${choice === side ? "border-indigo-500 bg-indigo-50" : ""}`}>
+                        <input
+                          type="radio"
+                          className="mr-1"
+                          checked={choice === side}
+                          onChange={() => resolveConflict(store, c.id, side)}
+                        />
+                        keep {side}
+                        <pre className="whitespace-pre-wrap mt-1 max-h-32 overflow-auto">{JSON.stringify(c[side], null, 2)}</pre>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              );
+            }))}
+
+            <div className="flex gap-2 justify-end">
+              <button onClick={() => setPendingImport(null)} className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border">Cancel</button>
+              <button onClick={applyImport} className="px-3 py-2 rounded-2xl bg-indigo-600 text-white shadow hover:shadow-md">Apply Import</button>
+            </div>
+          </section>
+        )}
+
         <section className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Left: Input & History */}
           <div className="col-span-1 space-y-4">
@@ -461,42 +2116,109 @@ export default function App() {
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
               />
-              <div className="flex gap-2 justify-end mt-3">
-                <button onClick={runInterpretation} className="px-3 py-2 rounded-2xl bg-indigo-600 text-white shadow hover:shadow-md">Refine & Interpret</button>
+              {following && (
+                <div className="flex items-center gap-2 mt-2 rounded-lg bg-indigo-50 text-indigo-800 px-2 py-1 text-xs">
+                  <span className="flex-1 min-w-0 truncate" title={following.resolved || following.raw}>
+                    ↳ follow-up of "{following.raw}" · turn {threadChain(commands, following.id).length + 1}
+                  </span>
+                  <button onClick={() => setContinueFrom(null)} title="Start a new thread instead" className="px-1">✕</button>
+                </div>
+              )}
+              <div className="flex flex-wrap gap-3 text-xs text-slate-600 mt-2">
+                {Object.entries(PIPELINE_STAGES).map(([stage, label]) => (
+                  <label key={stage} className="flex items-center gap-1">
+                    <input type="checkbox" checked={pipelineOptions[stage]} onChange={(e) => changePipelineStage(stage, e.target.checked)} />
+                    {label}
+                  </label>
+                ))}
               </div>
-            </div>
-
-            <div className="bg-white rounded-2xl shadow border p-4">
-              <h3 className="font-semibold mb-2">Command History</h3>
-              <div className="space-y-2 max-h-72 overflow-auto pr-1">
-                {commands.length === 0 && (
-                  <p className="text-sm text-slate-500">No commands yet.</p>
+              <div className="flex gap-2 justify-end items-center mt-3">
+                <select value={locale} onChange={(e) => setLocale(e.target.value)} title="Language of the command" className="rounded-lg border px-2 py-1 text-xs">
+                  <option value="auto">auto{detectedLocale ? ` (${localeName(detectedLocale)})` : ""}</option>
+                  {pipeline.locales.map((l) => <option key={l} value={l}>{localeName(l)}</option>)}
+                </select>
+                {!following && commands.length > 0 && (
+                  <button
+                    onClick={() => setContinueFrom(commands[commands.length - 1].id)}
+                    title="Read the next command as a follow-up of the last one"
+                    className="px-3 py-2 rounded-2xl bg-white shadow hover:shadow-md border text-xs"
+                  >
+                    ↳ Follow up
+                  </button>
                 )}
-                {commands.slice().reverse().map((c) => (
-                  <div key={c.id} className="border rounded-xl p-2 flex items-start justify-between gap-2">
-                    <div>
-                      <div className="text-xs text-slate-500">{new Date(c.createdAt).toLocaleString()}</div>
-                      <div className="text-sm whitespace-pre-wrap">{c.raw}</div>
-                    </div>
-                    <button onClick={() => removeCommand(c.id)} className="text-xs px-2 py-1 bg-slate-100 rounded-lg hover:bg-rose-50 hover:text-rose-600">delete</button>
-                  </div>
-                ))}
+                <button onClick={runInterpretation} disabled={!hydrated} className="disabled:opacity-50 px-3 py-2 rounded-2xl bg-indigo-600 text-white shadow hover:shadow-md">Refine & Interpret</button>
               </div>
+              {threadInfo && (
+                <div className="mt-3 border-t pt-2 space-y-0.5 text-xs text-slate-600">
+                  <div><span className="font-medium">Reads as:</span> {threadInfo.resolved}</div>
+                  {threadInfo.references.map((r) => <div key={r.word}>"{r.word}" → {r.to}</div>)}
+                  {threadInfo.carried.length > 0 && <div>Carried over: {threadInfo.carried.join("; ")}</div>}
+                </div>
+              )}
             </div>
+
+            <HistoryPanel
+              commands={commands}
+              pipeline={pipeline}
+              retention={retention}
+              onChange={setCommands}
+              onRerun={rerunCommands}
+              onContinue={setContinueFrom}
+              onRetention={setRetention}
+            />
           </div>
 
           {/* Middle: Interpretation & Spectrum */}
           <div className="col-span-1 space-y-4">
             <div className="bg-white rounded-2xl shadow border p-4">
-              <h2 className="font-semibold mb-2">2) Verbose Interpretation (Template)</h2>
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="font-semibold">2) Verbose Interpretation (Template)</h2>
+                <select value={templateChoice} onChange={(e) => chooseTemplate(e.target.value)} className="rounded-lg border px-2 py-1 text-xs">
+                  <option value="auto">auto{usedTemplateId && templateChoice === "auto" ? ` (${allTemplates.find((t) => t.id === usedTemplateId)?.name || usedTemplateId})` : ""}</option>
+                  {allTemplates.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+                </select>
+              </div>
               <pre className="whitespace-pre-wrap text-sm bg-slate-50 rounded-xl p-3 border max-h-[320px] overflow-auto">{interpretation || "(Run an interpretation to see output)"}</pre>
             </div>
             <div className="bg-white rounded-2xl shadow border p-4">
-              <h2 className="font-semibold mb-2">3) After One‑Time Logic Enhancements</h2>
-              <pre className="whitespace-pre-wrap text-sm bg-slate-50 rounded-xl p-3 border max-h-[240px] overflow-auto">{enhancedInterpretation || "(No enhanced output yet)"}</pre>
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="font-semibold">3) After Enhancement Passes</h2>
+                <div className="flex gap-1">
+                  {[["text", "text"], ["diff", "side by side"], ["trace", "trace"]].map(([v, label]) => (
+                    <button key={v} onClick={() => setEnhanceView(v)} className={`px-2 py-1 rounded-lg text-xs ${enhanceView === v ? "bg-indigo-600 text-white" : "bg-slate-100"}`}>{label}</button>
+                  ))}
+                </div>
+              </div>
+              {enhanceView === "text" && (
+                <pre className="whitespace-pre-wrap text-sm bg-slate-50 rounded-xl p-3 border max-h-[240px] overflow-auto">{enhancedInterpretation || "(No enhanced output yet)"}</pre>
+              )}
+              {enhanceView === "diff" && (
+                <div className="max-h-[320px] overflow-auto">
+                  {interpretation ? <SideBySideDiff before={interpretation} after={enhancedInterpretation} /> : <p className="text-xs text-slate-500">(No enhanced output yet)</p>}
+                </div>
+              )}
+              {enhanceView === "trace" && <div className="max-h-[320px] overflow-auto"><TraceView trace={enhanceTrace} /></div>}
             </div>
             <div className="bg-white rounded-2xl shadow border p-4">
-              <h2 className="font-semibold">Similarity Spectrum</h2>
+              <div className="flex items-center justify-between">
+                <h2 className="font-semibold">Similarity Spectrum</h2>
+                <select value={scorer} onChange={(e) => changeScorer(e.target.value)} className="rounded-lg border px-2 py-1 text-xs">
+                  {Object.entries(SCORERS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+                </select>
+              </div>
+              <label className="flex items-center gap-2 text-xs text-slate-600 mt-2" title="Blend of embedding similarity (semantic.js) into the lexical scores; applies from the next run">
+                <span>Lexical</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={semanticWeight}
+                  onChange={(e) => changeSemanticWeight(Number(e.target.value))}
+                  className="flex-1"
+                />
+                <span>Semantic ({Math.round(semanticWeight * 100)}%)</span>
+              </label>
               <div className="mt-2">
                 <div className="text-xs text-slate-600">0 (different) → 1000 (same)</div>
                 <div className="w-full h-3 bg-slate-200 rounded-full overflow-hidden mt-1">
@@ -522,17 +2244,18 @@ export default function App() {
                 <p className="text-sm text-slate-500">(Will appear after an interpretation)</p>
               ) : (
                 <div className="space-y-3 max-h-[260px] overflow-auto pr-1">
-                  {snippetPicks.map((s) => (
-                    <div key={s.id} className="border rounded-xl p-3">
-                      <div className="text-sm font-medium">{s.title} <span className="text-xs text-slate-500">({s.language})</span></div>
-                      <div className="text-xs text-slate-500">tags: {s.tags.join(", ")}</div>
-                      <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border mt-1">{s.snippet}</pre>
-                    </div>
+                  {snippetPicks.map(({ s, learned }) => (
+                    <SnippetPick key={s.id} s={s} learned={learned} vote={votes[`snippets:${s.id}`]} onFeedback={(signal) => giveFeedback("snippets", snippetItem(s), signal)} />
                   ))}
                 </div>
               )}
             </div>
 
+            <div className="bg-white rounded-2xl shadow border p-4">
+              <h2 className="font-semibold mb-2">Generated Program{program?.language ? ` (${program.language})` : ""}</h2>
+              <ProgramPanel program={program} onCopy={(used) => used.forEach((s) => giveFeedback("snippets", snippetItem(s), "copied"))} />
+            </div>
+
             <div className="bg-white rounded-2xl shadow border p-4">
               <h2 className="font-semibold mb-2">5) Similar / Opposite / Different (from history)</h2>
               <div className="grid grid-cols-3 gap-3 text-xs">
@@ -540,7 +2263,10 @@ export default function App() {
                   <div className="font-semibold mb-1">Similar</div>
                   <ul className="space-y-1 max-h-40 overflow-auto pr-1">
                     {similarList.map((x) => (
-                      <li key={x.id} className="border rounded-lg p-2">{x.raw}</li>
+                      <li key={x.id} className="border rounded-lg p-2">
+                        <div>{x.raw}</div>
+                        <HistoryFeedback x={x} vote={votes[`similar:${x.id}`]} onVote={(signal) => giveFeedback("similar", commandItem(x), signal)} />
+                      </li>
                     ))}
                   </ul>
                 </div>
@@ -548,7 +2274,13 @@ export default function App() {
                   <div className="font-semibold mb-1">Opposite</div>
                   <ul className="space-y-1 max-h-40 overflow-auto pr-1">
                     {oppositeList.map((x) => (
-                      <li key={x.id} className="border rounded-lg p-2">{x.raw}</li>
+                      <li key={x.id} className="border rounded-lg p-2">
+                        <div>{x.raw}</div>
+                        <div className="text-[11px] text-rose-700 mt-1" title={`Opposition ${spectrum01k(x.opp)}/1000`}>
+                          {x.clashes.map((c) => c.text).join(" · ")}
+                        </div>
+                        <HistoryFeedback x={x} vote={votes[`opposite:${x.id}`]} onVote={(signal) => giveFeedback("opposite", commandItem(x), signal)} />
+                      </li>
                     ))}
                   </ul>
                 </div>
@@ -556,7 +2288,10 @@ export default function App() {
                   <div className="font-semibold mb-1">Different</div>
                   <ul className="space-y-1 max-h-40 overflow-auto pr-1">
                     {differentList.map((x) => (
-                      <li key={x.id} className="border rounded-lg p-2">{x.raw}</li>
+                      <li key={x.id} className="border rounded-lg p-2">
+                        <div>{x.raw}</div>
+                        <HistoryFeedback x={x} vote={votes[`different:${x.id}`]} onVote={(signal) => giveFeedback("different", commandItem(x), signal)} />
+                      </li>
                     ))}
                   </ul>
                 </div>
@@ -564,23 +2299,86 @@ export default function App() {
             </div>
 
             <div className="bg-white rounded-2xl shadow border p-4">
-              <h2 className="font-semibold mb-2">6) Brain (every 9 minutes)</h2>
-              <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border max-h-56 overflow-auto">{pseudocode || "(No plan yet)"}</pre>
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="font-semibold">6) Brain ({describeSchedule(schedule)})</h2>
+                <div className="flex gap-1">
+                  {[["pseudo", "pseudocode"], ["json", "JSON plan"]].map(([k, label]) => (
+                    <button key={k} onClick={() => setBrainView(k)} className={`px-2 py-1 rounded-lg text-xs ${brainView === k ? "bg-indigo-600 text-white" : "bg-slate-100"}`}>{label}</button>
+                  ))}
+                  <button onClick={() => setShowRuns(!showRuns)} className={`px-2 py-1 rounded-lg text-xs ${showRuns ? "bg-indigo-600 text-white" : "bg-slate-100"}`}>compare / timeline</button>
+                  <button
+                    disabled={!plan}
+                    onClick={() => downloadJSON(`cmdbrain-plan-${Date.now()}.json`, JSON.stringify(plan, null, 2))}
+                    className="px-2 py-1 rounded-lg text-xs bg-slate-100 disabled:opacity-50"
+                  >download</button>
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-xs mb-2">
+                <select value={schedule.mode} onChange={(e) => changeSchedule({ ...schedule, mode: e.target.value })} className="rounded-lg border px-2 py-1">
+                  <option value="interval">every N minutes</option>
+                  <option value="cron">cron rule</option>
+                </select>
+                {schedule.mode === "interval" ? (
+                  <input type="number" min="1" value={schedule.minutes} onChange={(e) => changeSchedule({ ...schedule, minutes: e.target.value })} className="w-20 rounded-lg border px-2 py-1" />
+                ) : (
+                  <input value={schedule.expr} onChange={(e) => changeSchedule({ ...schedule, expr: e.target.value })} placeholder="m h dom mon dow" className="w-36 rounded-lg border px-2 py-1 font-mono" />
+                )}
+                {checkSchedule(schedule) ? (
+                  <span className="text-rose-600">{checkSchedule(schedule)}</span>
+                ) : scheduleStatus && (
+                  <span className="text-slate-500">
+                    {scheduleStatus.leader ? "this tab runs the brain" : "another tab runs the brain"}
+                    {scheduleStatus.nextAt && ` · next ${new Date(scheduleStatus.nextAt).toLocaleTimeString()}`}
+                    {scheduleStatus.lastResult === "skipped" && " · last check: no new commands"}
+                    {scheduleStatus.lastResult?.startsWith("failed") && ` · last check ${scheduleStatus.lastResult}`}
+                  </span>
+                )}
+              </div>
+              <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border max-h-56 overflow-auto">
+                {brainView === "json" ? (plan ? JSON.stringify(plan, null, 2) : "(No plan yet)") : pseudocode || "(No plan yet)"}
+              </pre>
               <div className="text-xs text-slate-500 mt-2">History</div>
               <div className="space-y-2 max-h-44 overflow-auto pr-1">
-                {brainRuns.map((r) => (
-                  <details key={r.id} className="border rounded-lg p-2">
-                    <summary className="text-xs cursor-pointer select-none">{new Date(r.createdAt).toLocaleString()}</summary>
-                    <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border mt-2">{r.pseudo}</pre>
-                  </details>
-                ))}
+                {brainRuns.map((r, i) => {
+                  const delta = commandDelta(brainRuns[i + 1], r);
+                  return (
+                    <details key={r.id} className={`border rounded-lg p-2 ${r.pinned ? "border-indigo-400" : ""}`}>
+                      <summary className="text-xs cursor-pointer select-none flex items-center justify-between">
+                        <span>{new Date(r.createdAt).toLocaleString()}{r.pinned && <span className="ml-2 px-1 rounded bg-indigo-50 text-indigo-700">baseline</span>}</span>
+                        <span className="flex items-center gap-2">
+                          {delta && <span className="text-slate-500">+{delta.added.length} / −{delta.removed.length} cmds</span>}
+                          <button onClick={(e) => { e.preventDefault(); pinRun(r.id); }} className="px-2 py-0.5 rounded bg-slate-100">{r.pinned ? "unpin" : "pin"}</button>
+                        </span>
+                      </summary>
+                      <pre className="whitespace-pre-wrap text-xs bg-slate-50 rounded-lg p-2 border mt-2">{r.pseudo}</pre>
+                    </details>
+                  );
+                })}
               </div>
             </div>
           </div>
         </section>
 
         <footer className="text-xs text-slate-500 pt-4 border-t">
-          <p>All data persists locally in your browser (localStorage). Extend dictionaries & snippets inside the source. © {new Date().getFullYear()}</p>
+          {storageError && <p className="text-rose-600 mb-1">{storageError}</p>}
+          <p>
+            All data persists {backendName === "server" ? "on the local API server" : "locally in your browser"} (
+            <select value={backendName} onChange={(e) => switchBackend(e.target.value)} className="bg-transparent underline">
+              {Object.keys(BACKENDS).map((b) => <option key={b} value={b}>{b}</option>)}
+            </select>
+            {backendName === "server" && (
+              <>
+                {" at "}
+                <input
+                  value={serverUrl}
+                  onChange={(e) => setServerUrl(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && switchBackend("server", serverUrl.trim())}
+                  className="bg-transparent underline w-44"
+                />
+              </>
+            )}
+            ). Edit the dictionary in the Dictionary panel; extend snippets inside the source. © {new Date().getFullYear()}
+          </p>
         </footer>
       </div>
     </div>
@@ -0,0 +1,638 @@
+#!/usr/bin/env node
+/**
+ * Command line front end for the interpreter core (core.js), backed by a JSON file store.
+ *
+ *   node cli.js interpret "<command>" [--continue ID|last] [--template ID] [--scorer bm25|tfidf] [--semantic W] [--locale L]
+ *                         [--enhanced] [--trace] [--dry-run] [--json]
+ *   node cli.js brain [--if-new] [--semantic W] [--dry-run] [--json]
+ *   node cli.js snippets search "<query>" [--limit N] [--semantic W] [--json]
+ *   node cli.js snippets check [ID ...] [--json]
+ *   node cli.js snippets run ID [--timeout MS] [--json]
+ *   node cli.js generate "<command>" [--language L] [--locale L] [--set [STEP.]NAME=VALUE ...] [--json]
+ *   node cli.js history search ["<query>"] [--tag T ...] [--pinned] [--from DATE] [--to DATE] [--limit N] [--json]
+ *   node cli.js history pin|unpin|delete|rerun ID ... / history tag ID TAG ... / history thread ID
+ *   node cli.js history retention [--max-count N] [--max-age D]
+ *   node cli.js feedback [--limit N] / feedback up|down|copied LIST ID "<command>" / feedback reset [CHANNEL]
+ *   node cli.js workspace [list] / workspace create|duplicate|rename|delete|share|export|import …
+ *   node cli.js export [FILE]
+ *   node cli.js import FILE [--replace] [--prefer current|incoming]
+ *
+ * The store file defaults to ./cmdbrain.json (or $CMDBRAIN_STORE); `--store FILE` overrides it.
+ * It holds the same versioned stores as the browser app, so `export` / `import` bundles move freely
+ * between the two. Every command works in one workspace (workspaces.js): `--workspace NAME`, else
+ * $CMDBRAIN_WORKSPACE, else the default one. Exit status: 0 ok, 1 failure, 2 usage error.
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { checkValue, fillSnippet, renderProgram } from "./codegen.js";
+import {
+  applyBundle, buildPipeline, createIndexes, createPlannerEnv, diffBundle, expandSynonyms, generateProgram, interpret,
+  rankSnippets, recordBrainRun, spectrum01k, STORE_SCHEMAS, syncIndexes, validateBundle,
+} from "./core.js";
+import { CHANNELS, checkSignal, describeFeedback, FEEDBACK_LISTS, recordFeedback, resetFeedback, SIGNALS } from "./feedback.js";
+import { checkRetention, isDay, normalizeTags, rerunOrigin, searchHistory } from "./history.js";
+import { hasNewCommands } from "./planner.js";
+import { SCORERS } from "./ranking.js";
+import { describeTrace } from "./rules.js";
+import { canRun, runScript, validateSnippet } from "./sandbox.js";
+import { createStore, deserialize, fileBackend, serialize } from "./storage.js";
+import { describeFollowUp, threadCommands, threadOf } from "./threads.js";
+import { LOCALE_RE } from "./tokenizer.js";
+import {
+  addWorkspace, checkWorkspaceName, clearWorkspace, copyWorkspace, DEFAULT_WORKSPACE, findWorkspace, importWorkspace,
+  normalizeWorkspaces, renameWorkspace, scopedSchemas, setSharing, SHAREABLE_STORES, workspaceBundle,
+} from "./workspaces.js";
+
+const USAGE = `Usage: node cli.js [--store FILE] [--workspace WS] <command>
+
+Commands
+  interpret "<command>"      interpret a command and add it to the history
+      --continue ID          follow up command ID ("last": the newest command); the thread's intent, entities
+                             and language carry over and "it", "same", "instead" refer to it
+      --template ID          template id, or "auto" (default)
+      --scorer NAME          ${Object.keys(SCORERS).join(" | ")} (default bm25)
+      --locale L             language of the command (de, es, ja, …) instead of detecting it
+      --enhanced             print the text after the dictionary's enhancement passes
+      --trace                also print what every enhancement rule matched and changed
+      --dry-run              do not store the command
+  brain                      plan the whole history and store the run
+      --if-new               skip when no commands changed since the last run
+      --dry-run              print the plan without storing the run
+  snippets search "<query>"  rank the snippet library against a query
+      --limit N              number of results (default 5)
+  snippets check [ID ...]    syntax check snippets (all without ids); exit 1 on problems
+  snippets run ID            run a JavaScript snippet in the sandbox (mocked fetch and files)
+      --timeout MS           stop after MS milliseconds (default 3000)
+  generate "<command>"       fill snippet placeholders from the command, one snippet per step
+      --language L           language of the program (default: the one the command names)
+      --locale L             language of the command instead of detecting it
+      --set [STEP.]NAME=VAL  override a placeholder, in every step or only in STEP (1‑based)
+  history search ["<query>"] search the history (full text, stems and typos); newest first without a query
+      --tag T                only commands tagged T (repeatable)
+      --pinned               only pinned commands
+      --from / --to DATE     only commands from / up to DATE (YYYY-MM-DD, inclusive)
+      --limit N              number of results (default 5)
+  history pin|unpin ID ...   pin commands (retention never drops them) or unpin them
+  history tag ID TAG ...     set the tags of a command (no TAG clears them)
+  history delete ID ...      delete commands
+  history rerun ID ...       interpret commands again, as new records linked to their first run
+  history thread ID          the conversation thread command ID belongs to, turn by turn
+  history retention          show the retention policy, or change it
+      --max-count N          keep at most N commands (0 = no limit)
+      --max-age D            keep commands for D days (0 = no limit)
+  feedback                   show what thumbs up / down and copies taught the rankings, strongest first
+      --limit N              number of weights (default 5)
+  feedback up|down|copied LIST ID "<command>"
+                             teach the rankings that item ID was right or wrong for the command; LIST is
+                             ${Object.keys(FEEDBACK_LISTS).join(" | ")}, ID a snippet or command id
+  feedback reset [CHANNEL]   forget everything learned, or one channel (${CHANNELS.join(" | ")})
+  workspace [list]           list the workspaces (* marks the one --workspace selects)
+  workspace create NAME      add an empty workspace
+  workspace duplicate WS NAME  copy a workspace's history, brain runs and overrides into a new one
+  workspace rename WS NAME   rename a workspace
+  workspace delete WS        delete a workspace and its data (not the default one)
+  workspace share WS snippets|dict on|off
+                             share the snippet library / dictionary, or give the workspace its own copy
+  workspace export WS [FILE] write one workspace as a JSON bundle (stdout without FILE)
+  workspace import FILE      add the workspace in a bundle as a new one
+      --name NAME            name it NAME instead of the name in the bundle
+  export [FILE]              write every store as one JSON bundle (stdout without FILE)
+  import FILE                merge a bundle into the store
+      --replace              replace whole stores instead of merging
+      --prefer SIDE          on id conflicts keep "current" (default) or take "incoming"
+
+Options
+  --store FILE               JSON store file (default $CMDBRAIN_STORE or ./cmdbrain.json)
+  --workspace WS, -w WS      workspace name or id (default $CMDBRAIN_WORKSPACE or the default workspace)
+  --semantic W               blend weight 0..1 of semantic over lexical similarity (default 0)
+  --json                     machine‑readable output
+`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  store: { type: "string" },
+  workspace: { type: "string", short: "w" },
+  name: { type: "string" },
+  template: { type: "string", default: "auto" },
+  scorer: { type: "string", default: "bm25" },
+  semantic: { type: "string", default: "0" },
+  limit: { type: "string", default: "5" },
+  timeout: { type: "string", default: "3000" },
+  language: { type: "string" },
+  locale: { type: "string", default: "auto" },
+  set: { type: "string", multiple: true, default: [] },
+  tag: { type: "string", multiple: true, default: [] },
+  pinned: { type: "boolean" },
+  from: { type: "string" },
+  to: { type: "string" },
+  "max-count": { type: "string" },
+  "max-age": { type: "string" },
+  prefer: { type: "string", default: "current" },
+  "dry-run": { type: "boolean" },
+  enhanced: { type: "boolean" },
+  trace: { type: "boolean" },
+  "if-new": { type: "boolean" },
+  continue: { type: "string" },
+  replace: { type: "boolean" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// the store file and its workspace registry
+async function openRegistry(opts) {
+  const backend = fileBackend({ path: opts.store || process.env.CMDBRAIN_STORE || "cmdbrain.json" });
+  const base = createStore(backend, STORE_SCHEMAS);
+  return { backend, base, workspaces: normalizeWorkspaces(await base.load("workspaces")) };
+}
+
+function workspaceOf(workspaces, ref) {
+  const workspace = findWorkspace(workspaces, ref);
+  if (!workspace) throw new Error(`No workspace "${ref}"`);
+  return workspace;
+}
+
+// the same state the App keeps, plus the pipeline and indexes built over it, in the selected workspace
+async function openSession(opts) {
+  const { backend, workspaces } = await openRegistry(opts);
+  const workspace = workspaceOf(workspaces, opts.workspace || process.env.CMDBRAIN_WORKSPACE || DEFAULT_WORKSPACE);
+  const store = createStore(backend, scopedSchemas(STORE_SCHEMAS, workspace));
+  const data = await store.loadAll();
+  if (!SCORERS[opts.scorer]) throw new UsageError(`Unknown scorer "${opts.scorer}"`);
+  const semanticWeight = Number(opts.semantic);
+  if (!(semanticWeight >= 0 && semanticWeight <= 1)) throw new UsageError("--semantic must be a number from 0 to 1");
+  if (opts.locale !== "auto" && !LOCALE_RE.test(opts.locale)) throw new UsageError(`--locale expects a code like "de" or "pt-br", got "${opts.locale}"`);
+  const pipeline = buildPipeline(data.dict, data.snippets);
+  const indexes = syncIndexes(createIndexes(pipeline), data.commands, data.snippets);
+  return { store, data, pipeline, indexes, scorer: opts.scorer, semanticWeight };
+}
+
+function print(opts, json, text) {
+  process.stdout.write(opts.json ? `${JSON.stringify(json, null, 2)}\n` : `${text}\n`);
+}
+
+// -----------------------------
+// Subcommands
+// -----------------------------
+async function interpretCommand(opts, args) {
+  const raw = args.join(" ").trim();
+  if (!raw) throw new UsageError("interpret needs a command");
+  const { store, data, indexes, scorer, semanticWeight } = await openSession(opts);
+  let continues;
+  if (opts.continue === "last") {
+    if (!data.commands.length) throw new Error("No command to continue");
+    continues = data.commands[data.commands.length - 1].id;
+  } else if (opts.continue !== undefined) {
+    [{ id: continues }] = findCommands(data.commands, [opts.continue]);
+  }
+  const result = interpret(raw, {
+    dictionary: data.dict,
+    commands: data.commands,
+    snippets: data.snippets,
+    templates: data.templates,
+    templateChoice: opts.template,
+    scorer,
+    semanticWeight,
+    indexes,
+    continues,
+    locale: opts.locale,
+    feedback: data.feedback,
+  });
+  if (!opts["dry-run"]) await store.save("commands", [...data.commands, result.command]);
+  print(opts, {
+    command: result.command,
+    thread: result.thread,
+    template: result.template.id,
+    similarity: { similar: result.similarity.sim, different: result.similarity.diff },
+    snippets: result.ranked.map(({ s, score }) => ({ id: s.id, title: s.title, score: spectrum01k(score) })),
+    interpretation: result.interpretation,
+    enhanced: result.enhanced,
+    trace: result.trace,
+  }, [
+    opts.enhanced ? result.enhanced : result.interpretation,
+    ...(result.thread ? ["", ...describeFollowUp(result.thread)] : []),
+    ...(opts.trace ? ["", "Enhancement passes", ...describeTrace(result.trace).map((l) => `  ${l}`)] : []),
+  ].join("\n"));
+}
+
+async function brainCommand(opts) {
+  const { store, data, indexes, scorer, semanticWeight } = await openSession(opts);
+  if (opts["if-new"] && !hasNewCommands(data.brainRuns[0], data.commands)) {
+    print(opts, { skipped: true }, "No new commands since the last brain run.");
+    return;
+  }
+  const env = createPlannerEnv({ indexes, snippets: data.snippets, scorer, semanticWeight, feedback: data.feedback });
+  const { run, runs } = recordBrainRun(data.commands, data.brainRuns, env);
+  if (!opts["dry-run"]) await store.save("brainRuns", runs);
+  print(opts, run.plan, run.pseudo);
+}
+
+function findSnippets(snippets, ids) {
+  return ids.map((id) => {
+    const s = snippets.find((x) => x.id === id);
+    if (!s) throw new Error(`No snippet "${id}"`);
+    return s;
+  });
+}
+
+async function checkSnippets(opts, ids) {
+  const { data } = await openSession(opts);
+  const results = (ids.length ? findSnippets(data.snippets, ids) : data.snippets)
+    .map((s) => ({ id: s.id, title: s.title, language: s.language, ...validateSnippet(s) }));
+  const text = results.map((r) => [
+    `${r.status === "ok" ? "ok   " : "error"}  ${r.title} (${r.language}, ${r.level})  ${r.id}`,
+    ...r.errors.map((e) => `         ${e.line ? `line ${e.line}: ` : ""}${e.message}`),
+  ].join("\n")).join("\n");
+  print(opts, results, text || "No snippets.");
+  if (results.some((r) => r.status === "error")) process.exitCode = 1;
+}
+
+async function runSnippet(opts, [id]) {
+  if (!id) throw new UsageError("snippets run needs a snippet id");
+  const timeoutMs = Number(opts.timeout);
+  if (!(timeoutMs > 0)) throw new UsageError("--timeout must be a positive number");
+  const { data } = await openSession(opts);
+  const [s] = findSnippets(data.snippets, [id]);
+  if (!canRun(s.language)) throw new Error(`Only JavaScript snippets can run; "${s.id}" is ${s.language}`);
+  const result = await runScript(fillSnippet(s.snippet), { timeoutMs });
+  print(opts, result, [
+    ...result.logs.map((l) => `${l.level === "log" ? "" : `[${l.level}] `}${l.text}`),
+    result.status === "ok" ? `(ran in ${result.ms} ms)` : result.error,
+  ].join("\n"));
+  if (result.status !== "ok") process.exitCode = 1;
+}
+
+async function snippetsCommand(opts, [action, ...args]) {
+  if (action === "check") return checkSnippets(opts, args);
+  if (action === "run") return runSnippet(opts, args);
+  if (action !== "search") throw new UsageError(`Unknown snippets action "${action || ""}"`);
+  const query = args.join(" ").trim();
+  if (!query) throw new UsageError("snippets search needs a query");
+  const limit = Number(opts.limit);
+  if (!(limit > 0)) throw new UsageError("--limit must be a positive number");
+  const { data, pipeline, indexes, scorer, semanticWeight } = await openSession(opts);
+  const locale = pipeline.localeOf(query);
+  const tokens = expandSynonyms(pipeline.tokenize(query, { locale }), pipeline.lexiconFor(locale));
+  const hits = rankSnippets(indexes, data.snippets, tokens, { scorer, semanticWeight, feedback: data.feedback })
+    .filter((x) => x.score > 0)
+    .slice(0, limit)
+    .map(({ s, score }) => ({ ...s, score: spectrum01k(score) }));
+  const text = hits.length
+    ? hits.map((s) => `${String(s.score).padStart(4)}  ${s.title} (${s.language}) [${s.tags.join(", ")}]  ${s.id}`).join("\n")
+    : "No matching snippets.";
+  print(opts, hits, text);
+}
+
+// --set "2.url=https://x.io" / "timeout=5" -> per-step edits for renderProgram
+function parseEdits(sets, steps) {
+  const edits = steps.map(() => ({}));
+  for (const set of sets) {
+    const m = /^(?:(\d+)\.)?([A-Za-z_]\w*)=(.*)$/s.exec(set);
+    if (!m) throw new UsageError(`--set expects [STEP.]NAME=VALUE, got "${set}"`);
+    const [, step, name, value] = m;
+    const targets = step ? [Number(step) - 1] : steps.map((_, i) => i);
+    if (step && !steps[targets[0]]) throw new UsageError(`--set: there is no step ${step}`);
+    let used = false;
+    for (const i of targets) {
+      const p = steps[i].placeholders.find((x) => x.name === name);
+      if (!p) continue;
+      const problem = checkValue(p.type, value);
+      if (problem) throw new UsageError(`--set ${name}: ${p.type} ${problem}`);
+      edits[i][name] = value;
+      used = true;
+    }
+    if (!used) throw new UsageError(`--set: no placeholder "${name}"${step ? ` in step ${step}` : ""}`);
+  }
+  return edits;
+}
+
+async function generateCommand(opts, args) {
+  const raw = args.join(" ").trim();
+  if (!raw) throw new UsageError("generate needs a command");
+  const { data, indexes, scorer, semanticWeight } = await openSession(opts);
+  const program = generateProgram(raw, {
+    indexes, snippets: data.snippets, scorer, semanticWeight, feedback: data.feedback, language: opts.language, locale: opts.locale,
+  });
+  if (!program.steps.length) throw new Error("No snippet matches this command.");
+  const { steps, code } = renderProgram(program.steps, parseEdits(opts.set, program.steps));
+  print(opts, {
+    language: program.language,
+    mixed: program.mixed,
+    steps: steps.map((x) => ({ clause: x.clause, snippet: x.snippet.id, placeholders: x.placeholders, code: x.code })),
+    code,
+  }, code);
+}
+
+// ids may be abbreviated to any unique prefix (the listing shows 8 characters)
+function findCommands(commands, ids) {
+  if (!ids.length) throw new UsageError("needs at least one command id");
+  return ids.map((id) => {
+    const hits = commands.filter((c) => c.id.startsWith(id));
+    if (hits.length > 1) throw new Error(`Command id "${id}" is ambiguous`);
+    if (!hits.length) throw new Error(`No command "${id}"`);
+    return hits[0];
+  });
+}
+
+function commandLine(c) {
+  const tags = (c.tags || []).map((t) => ` #${t}`).join("");
+  const links = [c.rerunOf && `re-run of ${c.rerunOf.slice(0, 8)}`, c.continues && `follow-up of ${c.continues.slice(0, 8)}`].filter(Boolean);
+  return `${c.pinned ? "★" : " "} ${c.id.slice(0, 8)}  ${c.createdAt.slice(0, 16).replace("T", " ")}  ${c.raw}${tags}${links.map((l) => `  (${l})`).join("")}`;
+}
+
+async function searchCommands(opts, args) {
+  const limit = Number(opts.limit);
+  if (!(limit > 0)) throw new UsageError("--limit must be a positive number");
+  for (const day of [opts.from, opts.to]) {
+    if (day && !isDay(day)) throw new UsageError(`Dates are YYYY-MM-DD, got "${day}"`);
+  }
+  const { data, pipeline } = await openSession(opts);
+  const hits = searchHistory(data.commands, {
+    query: args.join(" "), tags: opts.tag, pinned: opts.pinned, from: opts.from, to: opts.to,
+  }, pipeline).slice(0, limit);
+  print(opts, hits.map(({ command, score }) => ({ ...command, score })),
+    hits.length ? hits.map(({ command }) => commandLine(command)).join("\n") : "No matching commands.");
+}
+
+async function rerunCommands(opts, ids) {
+  const { store, data, indexes, scorer, semanticWeight } = await openSession(opts);
+  let commands = data.commands;
+  for (const c of findCommands(commands, ids)) {
+    // a follow-up is re-run as a follow-up of the same command, while that is still there
+    const continues = c.continues && commands.some((x) => x.id === c.continues) ? c.continues : undefined;
+    const result = interpret(c.raw, {
+      dictionary: data.dict, commands, snippets: data.snippets, templates: data.templates, templateChoice: opts.template,
+      scorer, semanticWeight, indexes, rerunOf: rerunOrigin(c), continues, locale: c.locale, feedback: data.feedback,
+    });
+    commands = [...commands, result.command];
+  }
+  const added = commands.slice(data.commands.length);
+  if (!opts["dry-run"]) await store.save("commands", commands);
+  print(opts, added, added.map(commandLine).join("\n"));
+}
+
+async function threadCommand(opts, ids) {
+  const { data } = await openSession(opts);
+  const [command] = findCommands(data.commands, ids.slice(0, 1));
+  const turns = threadCommands(data.commands, threadOf(command));
+  const lines = turns.map((c, i) => {
+    const line = `${i ? "  ↳" : ""}${commandLine(c)}`;
+    return c.resolved ? `${line}\n${" ".repeat(i ? 14 : 12)}reads as: ${c.resolved}` : line;
+  });
+  print(opts, { thread: threadOf(command), commands: turns }, lines.join("\n"));
+}
+
+async function retentionCommand(opts) {
+  const { store, data } = await openSession(opts);
+  const changing = opts["max-count"] !== undefined || opts["max-age"] !== undefined;
+  const policy = { ...data.retention };
+  if (opts["max-count"] !== undefined) policy.maxCount = Number(opts["max-count"]);
+  if (opts["max-age"] !== undefined) policy.maxAgeDays = Number(opts["max-age"]);
+  const problem = checkRetention(policy);
+  if (problem) throw new UsageError(problem);
+  let dropped = 0;
+  if (changing) {
+    await store.save("retention", policy);
+    dropped = data.commands.length - (await store.save("commands", data.commands)).length;
+  }
+  const limits = [
+    policy.maxCount ? `at most ${policy.maxCount} commands` : null,
+    policy.maxAgeDays ? `commands for ${policy.maxAgeDays} days` : null,
+  ].filter(Boolean);
+  print(opts, { ...policy, dropped },
+    `Retention: ${limits.length ? `keep ${limits.join(" and ")} (pinned ones always)` : "keep everything"}${dropped ? `\nDropped ${dropped} command(s).` : ""}`);
+}
+
+async function historyCommand(opts, [action, ...args]) {
+  if (action === "search") return searchCommands(opts, args);
+  if (action === "rerun") return rerunCommands(opts, args);
+  if (action === "thread") return threadCommand(opts, args);
+  if (action === "retention") return retentionCommand(opts);
+  if (!["pin", "unpin", "tag", "delete"].includes(action)) throw new UsageError(`Unknown history action "${action || ""}"`);
+
+  const { store, data } = await openSession(opts);
+  const [first, ...tags] = args;
+  const targets = findCommands(data.commands, action === "tag" ? (first ? [first] : []) : args);
+  const ids = new Set(targets.map((c) => c.id));
+  const change = {
+    pin: (c) => ({ ...c, pinned: true }),
+    unpin: (c) => ({ ...c, pinned: false }),
+    tag: (c) => ({ ...c, tags: normalizeTags(tags.join(",")) }),
+  }[action];
+  const commands = action === "delete"
+    ? data.commands.filter((c) => !ids.has(c.id))
+    : data.commands.map((c) => (ids.has(c.id) ? change(c) : c));
+  if (!opts["dry-run"]) await store.save("commands", commands);
+  const changed = commands.filter((c) => ids.has(c.id));
+  print(opts, action === "delete" ? { deleted: targets.map((c) => c.id) } : changed,
+    action === "delete" ? `Deleted ${targets.length} command(s).` : changed.map(commandLine).join("\n"));
+}
+
+async function feedbackCommand(opts, [action, ...args]) {
+  const { store, data, pipeline } = await openSession(opts);
+  if (action === "reset") {
+    const [channel] = args;
+    if (channel && !CHANNELS.includes(channel)) throw new UsageError(`Unknown channel "${channel}"`);
+    await store.save("feedback", resetFeedback(data.feedback, channel));
+    print(opts, { reset: channel || "all" }, `Forgot ${channel ? `the ${channel} feedback` : "all feedback"}.`);
+    return;
+  }
+  if (action && !SIGNALS[action]) throw new UsageError(`Unknown feedback action "${action}"`);
+
+  if (action) {
+    const [list, id, ...words] = args;
+    const raw = words.join(" ").trim();
+    if (!list || !id || !raw) throw new UsageError(`feedback ${action} needs a list, an id and the command`);
+    let item;
+    if (list === "snippets") {
+      const [s] = findSnippets(data.snippets, [id]);
+      item = { id: s.id, label: s.title, tags: s.tags };
+    } else if (FEEDBACK_LISTS[list]) {
+      const [c] = findCommands(data.commands, [id]);
+      item = { id: c.id, label: c.raw, tags: c.tags };
+    }
+    const signal = { list, signal: action, keywords: pipeline.tokenize(raw, { locale: pipeline.localeOf(raw, opts.locale) }), item };
+    const problem = checkSignal(signal);
+    if (problem) throw new UsageError(problem);
+    data.feedback = recordFeedback(data.feedback, signal);
+    if (!opts["dry-run"]) await store.save("feedback", data.feedback);
+  }
+
+  const limit = Number(opts.limit);
+  if (!(limit > 0)) throw new UsageError("--limit must be a positive number");
+  const weights = describeFeedback(data.feedback).slice(0, limit);
+  const text = weights.map((w) => `${w.weight >= 0 ? "+" : ""}${w.weight.toFixed(2)}  ${w.channel.padEnd(8)}  ${pipeline.surface(w.keyword)} → ${
+    w.kind === "tag" ? `#${w.target}` : `${w.label || w.target} (${w.up} up, ${w.down} down${w.copied ? `, ${w.copied} copied` : ""})`}`);
+  print(opts, weights, text.length ? text.join("\n") : "Nothing learned yet.");
+}
+
+async function workspaceCommand(opts, [action = "list", ...args]) {
+  const { backend, base, workspaces } = await openRegistry(opts);
+  const selected = findWorkspace(workspaces, opts.workspace || process.env.CMDBRAIN_WORKSPACE || DEFAULT_WORKSPACE);
+  // a missing name is a usage mistake; a taken or too long one is not
+  const nameOf = (name, exceptId) => {
+    if (!String(name ?? "").trim()) throw new UsageError(`workspace ${action} needs a name`);
+    const problem = checkWorkspaceName(name, workspaces, exceptId);
+    if (problem) throw new Error(problem);
+    return name.trim();
+  };
+  const line = (w) => `${w === selected ? "*" : " "} ${w.id.padEnd(16)}  ${w.name}${
+    SHAREABLE_STORES.some((n) => w.share[n] === false) ? `  (own ${SHAREABLE_STORES.filter((n) => w.share[n] === false).join(", ")})` : ""}`;
+
+  if (action === "list") {
+    print(opts, workspaces, workspaces.map(line).join("\n"));
+    return;
+  }
+  if (action === "create" || action === "duplicate") {
+    if (action === "duplicate" && !args[0]) throw new UsageError("workspace duplicate needs a workspace");
+    const from = action === "duplicate" ? workspaceOf(workspaces, args.shift()) : null;
+    const { workspace, list } = addWorkspace(workspaces, nameOf(args.join(" ")), { share: from?.share });
+    if (from) await copyWorkspace(backend, STORE_SCHEMAS, from, workspace);
+    await base.save("workspaces", list);
+    print(opts, workspace, line(workspace));
+    return;
+  }
+  if (action === "import") {
+    const [file] = args;
+    if (!file) throw new UsageError("workspace import needs a file");
+    const { bundle, errors, warnings } = validateBundle(await readBundle(file));
+    warnings.forEach((w) => process.stderr.write(`warning: ${w}\n`));
+    if (errors.length) throw new Error(`Import failed:\n- ${errors.join("\n- ")}`);
+    if (opts.name !== undefined) nameOf(opts.name);
+    const { workspace } = await importWorkspace(backend, STORE_SCHEMAS, workspaces, bundle, { name: opts.name });
+    print(opts, workspace, `Imported ${file} as workspace "${workspace.name}" (${workspace.id})`);
+    return;
+  }
+
+  const [ref, ...rest] = args;
+  if (!ref) throw new UsageError(`workspace ${action} needs a workspace`);
+  const workspace = workspaceOf(workspaces, ref);
+  if (action === "rename") {
+    const list = renameWorkspace(workspaces, workspace.id, nameOf(rest.join(" "), workspace.id));
+    await base.save("workspaces", list);
+    print(opts, findWorkspace(list, workspace.id), line(findWorkspace(list, workspace.id)));
+  } else if (action === "delete") {
+    await clearWorkspace(backend, STORE_SCHEMAS, workspace);
+    await base.save("workspaces", workspaces.filter((w) => w.id !== workspace.id));
+    print(opts, { deleted: workspace.id }, `Deleted workspace "${workspace.name}".`);
+  } else if (action === "share") {
+    const [name, state] = rest;
+    if (!SHAREABLE_STORES.includes(name) || !["on", "off"].includes(state)) {
+      throw new UsageError(`workspace share needs ${SHAREABLE_STORES.join("|")} and on|off`);
+    }
+    const updated = await setSharing(backend, STORE_SCHEMAS, workspace, name, state === "on");
+    await base.save("workspaces", workspaces.map((w) => (w.id === updated.id ? updated : w)));
+    print(opts, updated, line(updated));
+  } else if (action === "export") {
+    const data = await createStore(backend, scopedSchemas(STORE_SCHEMAS, workspace)).loadAll();
+    const bundle = serialize(workspaceBundle(workspace, data), 2);
+    const [file] = rest;
+    if (!file) {
+      process.stdout.write(`${bundle}\n`);
+      return;
+    }
+    await writeFile(file, bundle);
+    process.stderr.write(`Exported workspace "${workspace.name}" to ${file}\n`);
+  } else {
+    throw new UsageError(`Unknown workspace action "${action}"`);
+  }
+}
+
+async function exportCommand(opts, [file]) {
+  const { data } = await openSession(opts);
+  const bundle = serialize({
+    commands: data.commands,
+    brainRuns: data.brainRuns,
+    snippets: data.snippets,
+    templates: data.templates,
+    dictionary: data.dict,
+  }, 2);
+  if (!file) {
+    process.stdout.write(`${bundle}\n`);
+    return;
+  }
+  await writeFile(file, bundle);
+  process.stderr.write(`Exported to ${file}\n`);
+}
+
+async function readBundle(file) {
+  try {
+    return deserialize(await readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(err.code === "ENOENT" ? `${file} does not exist` : `${file} is not valid JSON`);
+  }
+}
+
+async function importCommand(opts, [file]) {
+  if (!file) throw new UsageError("import needs a file");
+  if (!["current", "incoming"].includes(opts.prefer)) throw new UsageError('--prefer must be "current" or "incoming"');
+  const { bundle, errors, warnings } = validateBundle(await readBundle(file));
+  warnings.forEach((w) => process.stderr.write(`warning: ${w}\n`));
+  if (errors.length) throw new Error(`Import failed:\n- ${errors.join("\n- ")}`);
+
+  const { store, data } = await openSession(opts);
+  const current = { commands: data.commands, snippets: data.snippets, brainRuns: data.brainRuns, templates: data.templates, dictionary: data.dict };
+  const diffs = diffBundle(current, bundle);
+  const resolutions = {};
+  for (const [name, d] of Object.entries(diffs)) {
+    resolutions[name] = Object.fromEntries(d.conflicts.map((c) => [c.id, opts.prefer]));
+  }
+  const mode = opts.replace ? "replace" : "merge";
+  const next = applyBundle(current, bundle, { mode, diffs, resolutions });
+
+  for (const name of ["commands", "snippets", "brainRuns", "templates"]) {
+    if (bundle[name]) await store.save(name, next[name]);
+  }
+  if (bundle.dictionary) await store.save("dict", next.dictionary);
+
+  const summary = Object.fromEntries(Object.entries(diffs).map(([name, d]) => [name, {
+    added: d.added.length,
+    identical: d.identical.length,
+    conflicts: d.conflicts.length,
+  }]));
+  print(opts, { mode, prefer: opts.prefer, stores: summary, dictionary: Boolean(bundle.dictionary), warnings },
+    [
+      `Imported ${file} (${mode}${mode === "merge" ? `, conflicts keep ${opts.prefer}` : ""})`,
+      ...Object.entries(summary).map(([name, c]) => (mode === "merge"
+        ? `  ${name}: ${c.added} new · ${c.identical} already present · ${c.conflicts} conflicting`
+        : `  ${name}: replaced with ${bundle[name].length} records`)),
+      ...(bundle.dictionary ? [`  dictionary: ${mode === "merge" ? "merged" : "replaced"}`] : []),
+    ].join("\n"));
+}
+
+const COMMANDS = {
+  interpret: interpretCommand,
+  brain: brainCommand,
+  snippets: snippetsCommand,
+  generate: generateCommand,
+  history: historyCommand,
+  feedback: feedbackCommand,
+  workspace: workspaceCommand,
+  export: exportCommand,
+  import: importCommand,
+};
+
+// -----------------------------
+// Entry point
+// -----------------------------
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values: opts, positionals: [name, ...args] } = parsed;
+  if (opts.help || !name) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!COMMANDS[name]) throw new UsageError(`Unknown command "${name}"`);
+  await COMMANDS[name](opts, args);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  process.stderr.write(`${err.message}\n`);
+  if (err instanceof UsageError) process.stderr.write(`\n${USAGE}`);
+  process.exitCode = err instanceof UsageError ? 2 : 1;
+});
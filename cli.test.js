@@ -0,0 +1,39 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+let dir;
+const cli = (...args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, ["cli.js", "--store", join(dir, "store.json"), ...args], {
+    cwd: new URL(".", import.meta.url),
+    encoding: "utf8",
+    timeout: 30000,
+  });
+  return { status, stdout, stderr };
+};
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "cmdbrain-"));
+});
+after(() => rm(dir, { recursive: true, force: true }));
+
+test("workspace failures print their message only and exit 1", () => {
+  assert.equal(cli("workspace", "create", "Client A").status, 0);
+  for (const args of [["create", "client a"], ["rename", "default", "Client A"], ["delete", "nowhere"], ["duplicate", "nowhere", "Copy"]]) {
+    const { status, stderr } = cli("workspace", ...args);
+    assert.equal(status, 1, args.join(" "));
+    assert.equal(stderr.trim().split("\n").length, 1, stderr);
+  }
+  assert.match(cli("workspace", "create", "Client A").stderr, /^there already is a workspace "Client A"\n$/);
+});
+
+test("bad workspace arguments are still usage errors", () => {
+  for (const args of [["create"], ["rename"], ["duplicate"], ["frobnicate", "default"]]) {
+    const { status, stderr } = cli("workspace", ...args);
+    assert.equal(status, 2, args.join(" "));
+    assert.match(stderr, /Usage: node cli\.js/);
+  }
+});
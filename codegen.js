@@ -0,0 +1,152 @@
+/**
+ * Snippet placeholders and program assembly.
+ *
+ * A snippet declares typed placeholders inline in its code:
+ *
+ *   requests.get("{{url:url=https://example.com}}", timeout={{timeout:seconds=10}})
+ *
+ * `{{name:type=default}}` declares one (the default is optional); a bare `{{name}}` repeats an earlier
+ * declaration. Anything else in double braces (JSX `style={{ … }}`, Jinja) is left alone.
+ * Values are bound from the entities of a command (intent.js), consumed in order, so the first URL goes
+ * to the first url placeholder and the second URL to the next one, across chained steps too.
+ * On rendering, a value is escaped for the spot it lands in: inside '…' or "…" quotes, or a /…/ regex.
+ */
+
+export const PLACEHOLDER_TYPES = {
+  url: "URL",
+  path: "file path",
+  db: "database file",
+  table: "table name",
+  seconds: "duration in seconds",
+  ms: "duration in milliseconds",
+  number: "number",
+  regex: "regular expression",
+  text: "text",
+};
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_]\w*)\s*(?::\s*([a-z]+)\s*(?:=([^}]*))?)?\}\}/g;
+const DB_FILE = /\.(?:db|sqlite3?)$/i;
+const FILE_NAME = /\.\w{1,5}$/;
+const QUOTED_RE = /"([^"]+)"|'([^']+)'|`([^`]+)`/g;
+
+const COMMENT = { python: "#", bash: "#", ruby: "#", r: "#", sql: "--", lua: "--", haskell: "--" };
+export function commentPrefix(language) {
+  return COMMENT[language] || "//";
+}
+
+/**
+ * Placeholders declared in `code`, in order of first appearance.
+ * @returns {{ name, type, default }[]}
+ */
+export function parsePlaceholders(code) {
+  const out = new Map();
+  for (const m of code.matchAll(PLACEHOLDER_RE)) {
+    const [, name, type, def] = m;
+    if (!type || !PLACEHOLDER_TYPES[type] || out.has(name)) continue;
+    out.set(name, { name, type, default: (def ?? "").trim() });
+  }
+  return Array.from(out.values());
+}
+
+// Message for a value that does not fit its type, or null.
+export function checkValue(type, value) {
+  const v = String(value ?? "").trim();
+  if (!v) return "is empty";
+  if (type === "url" && !/^https?:\/\/\S+$/i.test(v)) return "must be an http(s) URL";
+  if (["seconds", "ms", "number"].includes(type) && !Number.isFinite(Number(v))) return "must be a number";
+  if (type === "table" && !/^[A-Za-z_][\w.]*$/.test(v)) return "must be a plain identifier";
+  if (type === "regex") {
+    try {
+      new RegExp(v);
+    } catch {
+      return "is not a valid regular expression";
+    }
+  }
+  return null;
+}
+
+// numbers print without float noise: 0.5, 5, 1500
+function formatNumber(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+/**
+ * Values the command offers per placeholder type, in the order they appear.
+ * `entities` come from intent.js; quoted strings feed `text` and `regex`, unless they name a file
+ * ("out.txt"): a quoted "a/b" is a pattern, not a path.
+ */
+export function valuePool(raw, entities) {
+  const quoted = Array.from((raw || "").matchAll(QUOTED_RE), (m) => m[1] ?? m[2] ?? m[3])
+    .filter((q) => !entities.urls.includes(q) && !(entities.paths.includes(q) && FILE_NAME.test(q)));
+  const paths = entities.paths.filter((p) => !quoted.includes(p));
+  return {
+    url: [...entities.urls],
+    path: paths.filter((p) => !DB_FILE.test(p)),
+    db: paths.filter((p) => DB_FILE.test(p)),
+    table: entities.tables.filter((t) => !DB_FILE.test(t) && !t.includes("/")),
+    seconds: entities.durations.map((d) => formatNumber(d.ms / 1000)),
+    ms: entities.durations.map((d) => formatNumber(d.ms)),
+    number: entities.numbers.map(formatNumber),
+    regex: [...quoted],
+    text: [...quoted],
+  };
+}
+
+/**
+ * Fills each placeholder from `pool`, taking values off the front so the next snippet gets the next one.
+ * Durations feed both `seconds` and `ms`, quotes both `regex` and `text`: taking one drops its twin.
+ * @returns {{ name, type, default, value, source: "command" | "default" }[]}
+ */
+export function bindPlaceholders(placeholders, pool) {
+  const twins = { seconds: "ms", ms: "seconds", regex: "text", text: "regex" };
+  return placeholders.map((p) => {
+    const list = pool[p.type] || [];
+    while (list.length && checkValue(p.type, list[0])) list.shift();
+    if (!list.length) return { ...p, value: p.default, source: "default" };
+    const value = list.shift();
+    pool[twins[p.type]]?.shift();
+    return { ...p, value, source: "command" };
+  });
+}
+
+function escapeFor(before, value) {
+  const quote = before.slice(-1);
+  if (quote === '"' || quote === "'") return value.replace(/\\/g, "\\\\").replace(new RegExp(quote, "g"), `\\${quote}`);
+  if (quote === "/") return value.replace(/\//g, "\\/");
+  return value;
+}
+
+/**
+ * `code` with every declared placeholder replaced by `values[name]` (the default when missing).
+ */
+export function fillSnippet(code, values = {}) {
+  const declared = new Map(parsePlaceholders(code).map((p) => [p.name, p]));
+  return code.replace(PLACEHOLDER_RE, (match, name, type, def, offset) => {
+    if (!declared.has(name) || (type && !PLACEHOLDER_TYPES[type])) return match;
+    const value = String(values[name] ?? declared.get(name).default);
+    return escapeFor(code.slice(0, offset), value);
+  });
+}
+
+/**
+ * One copyable program from rendered steps `{ clause, snippet, code }`, each under a comment header
+ * in its snippet's language.
+ */
+export function composeProgram(steps) {
+  if (steps.length === 1) return steps[0].code;
+  return steps
+    .map((step, i) => `${commentPrefix(step.snippet.language)} Step ${i + 1}: ${step.clause}\n${step.code}`)
+    .join("\n\n");
+}
+
+/**
+ * Re-renders bound steps (see core.js `generateProgram`) with the user's edits on top:
+ * `edits[i][name]` overrides the bound value of step i.
+ */
+export function renderProgram(steps, edits = []) {
+  const rendered = steps.map((step, i) => {
+    const values = Object.fromEntries(step.placeholders.map((p) => [p.name, edits[i]?.[p.name] ?? p.value]));
+    return { ...step, code: fillSnippet(step.snippet.snippet, values) };
+  });
+  return { steps: rendered, code: composeProgram(rendered) };
+}
@@ -0,0 +1,1001 @@
+/**
+ * Headless core of the command interpreter: everything between the raw command and the rendered
+ * interpretation / brain plan, with no React, DOM or storage in it. chatgnu.js, index.html and
+ * cli.js all build on this module.
+ *
+ * Callers own the state (commands, snippets, dictionary, templates) and pass it in; the only
+ * long‑lived objects are the pipeline (tokenizer.js) and the search indexes (`createIndexes`),
+ * which callers keep around so repeated calls stay incremental.
+ */
+import { bindPlaceholders, parsePlaceholders, renderProgram, valuePool } from "./codegen.js";
+import { applyLearned, DEFAULT_FEEDBACK, learnedFactor } from "./feedback.js";
+import { applyRetention, checkRetention, DEFAULT_RETENTION } from "./history.js";
+import { analyzeCommand, describeIntent, entityFacts, intentVocabulary, summarizeConstraints } from "./intent.js";
+import { buildPlan, renderPlan, snapshotCommands, trimRuns } from "./planner.js";
+import { describeClash, opposition, polarityOf } from "./polarity.js";
+import { createIndex, scoreQuery } from "./ranking.js";
+import { enhance, mergePasses, passFromReplacements, validatePasses } from "./rules.js";
+import { blendScores, createEmbedder, createVectorStore } from "./semantic.js";
+import { mergeTemplates, pickTemplate, renderTemplate, TemplateError } from "./templates.js";
+import { preferLanguage, resolveFollowUp, threadContext, turnText } from "./threads.js";
+import { createPipeline, DEFAULT_LOCALE, DEFAULT_PIPELINE, LOCALE_RE, localeName } from "./tokenizer.js";
+import { DEFAULT_WORKSPACES } from "./workspaces.js";
+
+// -----------------------------
+// Dictionary (synonyms, antonyms, stopwords, enhancement passes)
+// Extend as needed. Keep short for demo purposes.
+// -----------------------------
+// canonicalizes the Facts section's keyword lists; off by default, since it rewrites the user's own words
+const SYNONYM_PASS = {
+  id: "canonical", name: "Canonical synonyms", enabled: false, scope: "facts", fixpoint: false, rules: [{ type: "synonyms" }],
+};
+
+export const DEFAULT_DICTIONARY = {
+  synonyms: {
+    build: ["create", "make", "construct", "generate"],
+    website: ["webapp", "site", "web site", "frontend"],
+    command: ["instruction", "prompt", "order"],
+    interpret: ["parse", "understand", "analyze"],
+    refine: ["improve", "polish", "clarify"],
+    keywords: ["terms", "tokens", "tags"],
+    template: ["schema", "blueprint", "pattern"],
+    logic: ["rules", "reasoning", "inference"],
+    code: ["program", "source", "implementation"],
+    snippet: ["example", "sample", "fragment"],
+    schedule: ["cron", "interval", "timer"],
+  },
+  antonyms: {
+    build: ["destroy"],
+    similar: ["different", "opposite"],
+    create: ["delete"],
+    include: ["exclude"],
+    allow: ["forbid", "deny"],
+  },
+  stop: new Set([
+    "the","a","an","and","or","but","of","to","in","on","for","with","by","is","are","be","it","this","that",
+  ]),
+  // enhancement passes over the interpretation, in order (rules.js)
+  passes: [
+    {
+      id: "wording", name: "Wording", enabled: true, scope: "all", fixpoint: false,
+      rules: [
+        { type: "regex", pattern: /\bkind of\b/gi, replace: "somewhat" },
+        { type: "regex", pattern: /\bsort of\b/gi, replace: "partially" },
+        { type: "regex", pattern: /\bvery\b/gi, replace: "highly" },
+      ],
+    },
+    {
+      id: "spacing", name: "Spacing & punctuation", enabled: true, scope: "all", fixpoint: true,
+      rules: [
+        { type: "regex", pattern: /\b\s+and\s+and\b/gi, replace: " and " },
+        { type: "regex", pattern: /[ \t]{2,}/g, replace: " " },
+        { type: "regex", pattern: /[ \t]+([,.;:])/g, replace: "$1" },
+      ],
+    },
+    SYNONYM_PASS,
+  ],
+  // other locales (tokenizer.js): English heads extend the English groups, other heads start their own
+  locales: {
+    de: {
+      synonyms: {
+        build: ["erstellen", "bauen", "erzeugen", "anlegen"],
+        website: ["webseite", "homepage", "seite"],
+        fetch: ["holen", "abrufen", "herunterladen"],
+        delete: ["löschen", "entfernen"],
+        code: ["programm", "quelltext"],
+        command: ["befehl", "anweisung"],
+        file: ["datei"],
+      },
+      antonyms: { erstellen: ["löschen", "zerstören"], einschließen: ["ausschließen"], erlauben: ["verbieten"] },
+      stop: new Set([
+        "der","die","das","den","dem","des","ein","eine","einen","einem","einer","und","oder","aber","mit","von","zu","zur","zum",
+        "im","in","am","an","auf","für","ist","sind","es","dies","diese","dieser","bitte","mir","mich",
+      ]),
+    },
+    es: {
+      synonyms: {
+        build: ["crear", "construir", "generar", "hacer"],
+        website: ["sitio", "página", "web"],
+        fetch: ["obtener", "descargar", "traer"],
+        delete: ["borrar", "eliminar", "quitar"],
+        code: ["código", "programa"],
+        command: ["comando", "orden", "instrucción"],
+        file: ["archivo", "fichero"],
+      },
+      antonyms: { crear: ["borrar", "eliminar", "destruir"], incluir: ["excluir"], permitir: ["prohibir", "denegar"] },
+      stop: new Set([
+        "el","la","los","las","un","una","unos","unas","y","o","pero","de","del","a","al","en","con","por","para","es","son",
+        "esto","este","esta","lo","que","se","me","mi",
+      ]),
+    },
+    fr: {
+      synonyms: {
+        build: ["créer", "construire", "générer", "faire"],
+        website: ["site", "page", "web"],
+        fetch: ["récupérer", "télécharger", "obtenir"],
+        delete: ["supprimer", "effacer", "enlever"],
+        code: ["programme", "source"],
+        command: ["commande", "instruction"],
+        file: ["fichier"],
+      },
+      antonyms: { créer: ["supprimer", "détruire"], inclure: ["exclure"], autoriser: ["interdire"] },
+      stop: new Set([
+        "le","la","les","l","un","une","des","et","ou","mais","de","du","d","à","au","aux","en","avec","par","pour","est","sont",
+        "ce","cette","cet","que","qui","me","moi","s","il",
+      ]),
+    },
+    pt: {
+      synonyms: {
+        build: ["criar", "construir", "gerar", "fazer"],
+        website: ["site", "página"],
+        fetch: ["obter", "baixar", "buscar"],
+        delete: ["apagar", "excluir", "remover"],
+        code: ["código", "programa"],
+        command: ["comando", "instrução"],
+        file: ["arquivo", "ficheiro"],
+      },
+      antonyms: { criar: ["apagar", "destruir"], incluir: ["excluir"], permitir: ["proibir", "negar"] },
+      stop: new Set([
+        "o","a","os","as","um","uma","e","ou","mas","de","do","da","dos","das","em","no","na","com","por","para","é","são",
+        "isso","este","esta","que","se","me",
+      ]),
+    },
+    ru: {
+      synonyms: {
+        build: ["создать", "создай", "построить", "сделать", "сделай"],
+        website: ["сайт", "страница", "веб-сайт"],
+        fetch: ["получить", "скачать", "загрузить", "скачай"],
+        delete: ["удалить", "удали", "стереть"],
+        code: ["код", "программа"],
+        command: ["команда", "инструкция"],
+        file: ["файл"],
+      },
+      antonyms: { создать: ["удалить", "уничтожить"], включить: ["исключить"], разрешить: ["запретить"] },
+      stop: new Set([
+        "и","или","но","в","во","на","с","со","по","для","из","к","ко","от","это","этот","эта","что","как","а","же","бы","ли",
+        "мне","пожалуйста",
+      ]),
+    },
+    zh: {
+      synonyms: {
+        build: ["创建", "生成", "制作"],
+        website: ["网站", "网页"],
+        fetch: ["获取", "下载", "抓取"],
+        delete: ["删除", "移除"],
+        code: ["代码", "程序"],
+        file: ["文件"],
+      },
+      antonyms: { 创建: ["删除", "销毁"], 包含: ["排除"], 允许: ["禁止"] },
+      stop: new Set(["的","了","和","是","在","把","将","一个","我","请","给","与"]),
+    },
+    ja: {
+      synonyms: {
+        build: ["作成", "構築", "生成", "作る"],
+        website: ["サイト", "ウェブサイト", "ページ"],
+        fetch: ["取得", "ダウンロード"],
+        delete: ["削除", "消す"],
+        code: ["コード", "プログラム"],
+        file: ["ファイル"],
+      },
+      antonyms: { 作成: ["削除", "破壊"], 含める: ["除外"], 許可: ["禁止"] },
+      // "ください" as Intl.Segmenter splits it
+      stop: new Set(["の","に","は","を","が","と","で","も","へ","から","まで","です","ます","する","して","し","て","くだ","さい"]),
+    },
+  },
+};
+
+// -----------------------------
+// Tiny cross‑language code snippet library (tagged)
+// Extend richly in real projects
+// -----------------------------
+export const DEFAULT_SNIPPETS = [
+  {
+    id: "py-requests-get",
+    language: "python",
+    title: "HTTP GET via requests",
+    tags: ["http","get","network","fetch"],
+    snippet: `import requests\nresp = requests.get("{{url:url=https://example.com}}", timeout={{timeout:seconds=10}})\ntext = resp.text\nprint(text)`
+  },
+  {
+    id: "js-fetch-get",
+    language: "javascript",
+    title: "HTTP GET via fetch",
+    tags: ["http","get","network","fetch"],
+    snippet: `const resp = await fetch("{{url:url=https://example.com}}", { signal: AbortSignal.timeout({{timeout:ms=10000}}) });\nlet text = await resp.text();\nconsole.log(text);`
+  },
+  {
+    id: "py-sqlite",
+    language: "python",
+    title: "SQLite query",
+    tags: ["db","sqlite","query","select"],
+    snippet: `import sqlite3\ncon = sqlite3.connect('{{db:db=app.db}}')\ncur = con.cursor()\nfor row in cur.execute('SELECT * FROM {{table:table=items}}'):\n    print(row)`
+  },
+  {
+    id: "js-sqlite-wasm",
+    language: "javascript",
+    title: "SQLite (WASM) demo",
+    tags: ["db","sqlite","query","select"],
+    snippet: `// using sql.js (WASM) \n// const db = new SQL.Database();\n// const res = db.exec('SELECT * FROM {{table:table=items}}');\n// console.log(res);`
+  },
+  {
+    id: "py-regex",
+    language: "python",
+    title: "Regex substitution",
+    tags: ["regex","replace","text"],
+    snippet: `import re\ntext = re.sub(r"{{pattern:regex=foo}}", "{{replacement:text=bar}}", text)`
+  },
+  {
+    id: "js-regex",
+    language: "javascript",
+    title: "Regex replacement",
+    tags: ["regex","replace","text"],
+    snippet: `text = text.replace(/{{pattern:regex=foo}}/g, '{{replacement:text=bar}}');`
+  },
+  {
+    id: "py-write-file",
+    language: "python",
+    title: "Write text to a file",
+    tags: ["file","write","save","output"],
+    snippet: `with open("{{path:path=out.txt}}", "w") as f:\n    f.write(text)`
+  },
+  {
+    id: "js-write-file",
+    language: "javascript",
+    title: "Write text to a file (Node)",
+    tags: ["file","write","save","output"],
+    snippet: `import { writeFile } from "node:fs/promises";\nawait writeFile("{{path:path=out.txt}}", text);`
+  },
+];
+
+// -----------------------------
+// Store schemas
+// v1 = raw JSON under the old `cmdbrain.*.v1` keys; v2 = envelope with Sets/RegExps preserved.
+// Dictionary v4 turned the flat `replacements` list into passes; v5 spacing rules keep line breaks.
+// -----------------------------
+function migrateDictionaryV1(d) {
+  // v1 went through plain JSON.stringify, so `stop` and every rule pattern came back as {}.
+  const replacements = (Array.isArray(d.replacements) ? d.replacements : [])
+    .filter((r) => typeof r.pattern === "string")
+    .map((r) => ({ pattern: new RegExp(r.pattern, r.flags ?? "g"), replace: r.replace ?? "" }));
+  return {
+    synonyms: d.synonyms || DEFAULT_DICTIONARY.synonyms,
+    antonyms: d.antonyms || DEFAULT_DICTIONARY.antonyms,
+    stop: Array.isArray(d.stop) ? new Set(d.stop) : DEFAULT_DICTIONARY.stop,
+    replacements,
+  };
+}
+const same = (d) => d;
+// no rules left (or a v1 dictionary whose rules were all lost) means the default passes
+function migrateDictionaryV3({ replacements, ...d }) {
+  return { ...d, passes: replacements?.length ? [passFromReplacements(replacements), SYNONYM_PASS] : DEFAULT_DICTIONARY.passes };
+}
+
+// v4 spacing rules matched \s, so they joined lines and glued headings onto the text before them
+const V4_SPACING = { "\\s{2,}": "[ \\t]{2,}", "\\s+([,.;:])": "[ \\t]+([,.;:])" };
+function migrateDictionaryV4(d) {
+  const fix = (rule) => (rule.type === "regex" && rule.pattern instanceof RegExp && V4_SPACING[rule.pattern.source]
+    ? { ...rule, pattern: new RegExp(V4_SPACING[rule.pattern.source], rule.pattern.flags) }
+    : rule);
+  return { ...d, passes: (d.passes || []).map((pass) => ({ ...pass, rules: (pass.rules || []).map(fix) })) };
+}
+
+// v2 snippets were verbatim code; defaults the user never edited get their typed placeholders (codegen.js)
+const V2_DEFAULT_CODE = {
+  "py-requests-get": `import requests\nresp = requests.get(url, timeout=10)\nprint(resp.text)`,
+  "js-fetch-get": `const resp = await fetch(url);\nconst text = await resp.text();\nconsole.log(text);`,
+  "py-sqlite": `import sqlite3\ncon = sqlite3.connect('app.db')\ncur = con.cursor()\nfor row in cur.execute('SELECT * FROM items'):\n    print(row)`,
+  "js-sqlite-wasm": `// using sql.js (WASM) \n// const db = new SQL.Database();\n// const res = db.exec('SELECT 1');\n// console.log(res);`,
+  "py-regex": `import re\ntext = re.sub(r"foo","bar", text)`,
+  "js-regex": `const result = text.replace(/foo/g, 'bar');`,
+};
+function migrateSnippetsV2(list) {
+  return list.map((s) => {
+    if (V2_DEFAULT_CODE[s.id] !== s.snippet) return s;
+    return { ...s, snippet: DEFAULT_SNIPPETS.find((d) => d.id === s.id).snippet };
+  });
+}
+
+export const STORE_SCHEMAS = {
+  commands: {
+    key: "cmdbrain.commands", legacyKey: "cmdbrain.commands.v1", version: 2, fallback: [], migrations: { 1: same },
+    retain: async (commands, load) => applyRetention(commands, await load("retention")),
+  },
+  retention: { key: "cmdbrain.retention", version: 1, fallback: DEFAULT_RETENTION },
+  feedback: { key: "cmdbrain.feedback", version: 1, fallback: DEFAULT_FEEDBACK },
+  // the registry; which stores each workspace keeps apart is decided in workspaces.js
+  workspaces: { key: "cmdbrain.workspaces", version: 1, fallback: DEFAULT_WORKSPACES },
+  brainRuns: { key: "cmdbrain.brainruns", legacyKey: "cmdbrain.brainruns.v1", version: 2, fallback: [], migrations: { 1: same } },
+  snippets: {
+    key: "cmdbrain.snippets", legacyKey: "cmdbrain.snippets.v1", version: 3, fallback: DEFAULT_SNIPPETS,
+    migrations: { 1: same, 2: migrateSnippetsV2 },
+  },
+  templates: { key: "cmdbrain.templates", version: 1, fallback: [] },
+  dict: {
+    key: "cmdbrain.dictionary", legacyKey: "cmdbrain.dictionary.v1", version: 5, fallback: DEFAULT_DICTIONARY,
+    migrations: {
+      1: migrateDictionaryV1, 2: (d) => ({ ...d, locales: DEFAULT_DICTIONARY.locales }), 3: migrateDictionaryV3, 4: migrateDictionaryV4,
+    },
+  },
+};
+
+// -----------------------------
+// Utilities
+// -----------------------------
+export function uniq(arr) {
+  return Array.from(new Set(arr));
+}
+export function expandSynonyms(keywords, dict) {
+  const out = new Set(keywords);
+  for (const k of keywords) {
+    const syns = dict.synonyms[k];
+    if (syns) syns.forEach((s) => out.add(s));
+  }
+  return Array.from(out);
+}
+export function antonymsOf(keywords, dict) {
+  const out = new Set();
+  for (const k of keywords) {
+    const ants = dict.antonyms[k];
+    if (ants) ants.forEach((a) => out.add(a));
+  }
+  return Array.from(out);
+}
+export function spectrum01k(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return Math.round(v * 1000);
+}
+
+export function nowISO() { return new Date().toISOString(); }
+
+// -----------------------------
+// Ranking (inverted index + scorers live in ranking.js)
+// History is one plain field; snippets are searched over title, tags, code and language.
+// -----------------------------
+export const HISTORY_FIELDS = { text: 1 };
+export const SNIPPET_FIELDS = { title: 2, tags: 3, code: 1, language: 1 };
+
+// a command's tokens in its pinned locale, or the detected one
+export function commandTokens(c, pipeline) {
+  return pipeline.tokenize(c.raw, { locale: c.locale });
+}
+
+export function commandFields(c, pipeline) {
+  return { text: commandTokens(c, pipeline) };
+}
+// code is not fuzzy‑matched: identifiers are not typos of dictionary words
+export function snippetFields(s, pipeline) {
+  return {
+    title: pipeline.tokenize(s.title),
+    tags: s.tags.map(pipeline.term),
+    code: pipeline.tokenize(s.snippet, { fuzzy: false }),
+    language: [s.language],
+  };
+}
+
+// what a snippet's vector is built from: its title, tags and language (code would drown the meaning)
+function snippetConcepts(s, pipeline) {
+  const f = snippetFields(s, pipeline);
+  return [...f.title, ...f.tags, ...f.language];
+}
+
+/**
+ * 0..1 scores of the `kind` ("history" | "snippets") records for `tokens`.
+ * With `semanticWeight` > 0 the lexical scores are blended with embedding cosine (semantic.js);
+ * the vectors are only computed (and then cached) once a caller asks for them.
+ */
+export function scoreRecords(indexes, kind, tokens, { scorer, semanticWeight = 0 } = {}) {
+  const lexical = scoreQuery(indexes[kind], tokens, scorer);
+  if (!(semanticWeight > 0)) return lexical;
+  const { pipeline, embedder, vectors, records } = indexes;
+  vectors[kind].sync(records[kind], kind === "history" ? (c) => commandTokens(c, pipeline) : (s) => snippetConcepts(s, pipeline));
+  return blendScores(lexical, vectors[kind].scores(embedder.embed(tokens)), semanticWeight);
+}
+
+// Every snippet with its 0..1 score, best first. `options`: { scorer, semanticWeight, feedback }
+// `learned` is the factor the learned feedback (feedback.js) scaled the score by.
+export function rankSnippets(indexes, snippets, tokens, options = {}) {
+  const scores = scoreRecords(indexes, "snippets", tokens, options);
+  return snippets
+    .map((s) => {
+      const learned = learnedFactor(options.feedback, "snippets", tokens, s);
+      return { s, score: applyLearned(scores.get(s.id) || 0, learned), learned };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// -----------------------------
+// Pipeline and indexes
+// -----------------------------
+// snippet tags join the fuzzy vocabulary
+export function snippetTags(snippets) {
+  return uniq(snippets.flatMap((s) => s.tags)).sort();
+}
+
+export function buildPipeline(dictionary, snippets, options = DEFAULT_PIPELINE) {
+  return createPipeline(dictionary, options, snippetTags(snippets));
+}
+
+export function tokenize(text, pipeline) {
+  return pipeline.tokenize(text);
+}
+
+// Indexes belong to one pipeline: a different pipeline tokenizes differently, so it needs fresh ones.
+// The embedding vectors (semantic.js) live alongside and share that lifetime.
+export function createIndexes(pipeline) {
+  const embedder = createEmbedder(pipeline);
+  return {
+    pipeline,
+    embedder,
+    history: createIndex(HISTORY_FIELDS),
+    snippets: createIndex(SNIPPET_FIELDS),
+    vectors: { history: createVectorStore(embedder), snippets: createVectorStore(embedder) },
+    records: { history: [], snippets: [] },
+    polarity: new WeakMap(),
+  };
+}
+
+// a command's polarity (polarity.js), cached per record like the vectors
+function polarityFor(indexes, c) {
+  if (!indexes.polarity.has(c)) indexes.polarity.set(c, polarityOf(c.raw, indexes.pipeline, c.locale));
+  return indexes.polarity.get(c);
+}
+
+// Brings both indexes up to date with the given records (incremental, see ranking.js).
+// Vectors catch up lazily in `scoreRecords`.
+export function syncIndexes(indexes, commands, snippets) {
+  const { pipeline } = indexes;
+  indexes.history.sync(commands, (c) => commandFields(c, pipeline));
+  indexes.snippets.sync(snippets, (s) => snippetFields(s, pipeline));
+  indexes.records = { history: commands, snippets };
+  return indexes;
+}
+
+// opposition = clash strength × shared topic: a clash only means "opposite" when both talk about the same thing
+const OPPOSITION_TOPIC_FLOOR = 0.4;
+
+/**
+ * Similar / different / opposite prior commands for `tokens` (of `raw`), scores on the 0–1000 spectrum.
+ * Similar / different (and the spectrum) blend in semantic scores by `semanticWeight` (0 = lexical only).
+ * Opposite compares polarities (polarity.js): each match lists the term pairs that clashed, antonyms
+ * on the same side or one term asserted here and negated there, and the clash strength is scaled by
+ * the topic both commands share.
+ * `feedback` (feedback.js) re-ranks both: similarity through the "similar" channel, opposition through "opposite".
+ */
+export function computeSimilarityAgainstHistory(tokens, { raw, locale, commands, indexes, scorer, semanticWeight = 0, feedback }) {
+  if (!commands.length) return { sim: 0, diff: 1000, similar: [], different: [], opposite: [] };
+
+  const { pipeline } = indexes;
+  const scores = scoreRecords(indexes, "history", tokens, { scorer, semanticWeight });
+  const withScores = commands.map((c) => {
+    const learned = learnedFactor(feedback, "similar", tokens, c);
+    return { ...c, score: applyLearned(scores.get(c.id) || 0, learned), learned };
+  });
+
+  const sorted = [...withScores].sort((a, b) => b.score - a.score);
+  const simTop = sorted.slice(0, 5);
+  const diffTop = sorted.slice(-5).reverse();
+
+  const polarity = polarityOf(raw, pipeline, locale);
+  const oppList = withScores
+    .map((c) => {
+      const { strength, clashes } = opposition(polarity, polarityFor(indexes, c), pipeline.lexicon);
+      const learned = learnedFactor(feedback, "opposite", tokens, c);
+      return {
+        ...c,
+        learned,
+        opp: applyLearned(strength * (OPPOSITION_TOPIC_FLOOR + (1 - OPPOSITION_TOPIC_FLOOR) * c.score), learned),
+        clashes: clashes.map((x) => ({ ...x, text: describeClash(x, pipeline.surface) })),
+      };
+    })
+    .filter((c) => c.opp > 0)
+    .sort((a, b) => b.opp - a.opp)
+    .slice(0, 5);
+
+  return {
+    sim: spectrum01k(sorted[0]?.score || 0),
+    diff: spectrum01k(1 - (sorted[0]?.score || 0)),
+    similar: simTop,
+    different: diffTop,
+    opposite: oppList,
+  };
+}
+
+// -----------------------------
+// Pseudocode generator (clusters the whole history into goals, see planner.js)
+// -----------------------------
+// what the planner needs from the pipeline, analysis and snippet ranking
+export function createPlannerEnv({ indexes, snippets, scorer, semanticWeight = 0, feedback }) {
+  const { pipeline } = indexes;
+  // a follow-up is planned as what it reads as (threads.js), not its bare words
+  return {
+    tokenize: (c) => pipeline.tokenize(turnText(c), { locale: c.locale }),
+    surface: pipeline.surface,
+    analyze: (c) => c.analysis || analyzeCommand(c.raw, commandTokens(c, pipeline), pipeline, c.locale),
+    matchSnippets: (tokens, c) => {
+      const lexicon = pipeline.lexiconFor(pipeline.localeOf(turnText(c), c.locale));
+      return rankSnippets(indexes, snippets, expandSynonyms(tokens, lexicon), { scorer, semanticWeight, feedback })
+        .filter((x) => x.score > 0)
+        .slice(0, 2);
+    },
+  };
+}
+
+export function synthesizePseudocode(allCommands, env) {
+  const plan = buildPlan(allCommands, env);
+  return { plan, pseudo: renderPlan(plan) };
+}
+
+// A new brain run on top of `runs` (newest first); returns the run and the trimmed list.
+export function recordBrainRun(commands, runs, env, { now = nowISO() } = {}) {
+  const { plan, pseudo } = synthesizePseudocode(commands, env);
+  const run = { id: crypto.randomUUID(), createdAt: now, pseudo, plan, commands: snapshotCommands(commands), pinned: false };
+  return { run, runs: trimRuns([run, ...runs]) };
+}
+
+// -----------------------------
+// Verbose interpretation template builder
+// -----------------------------
+const INTENT_STEPS = {
+  create: ["Scaffold the {topic}", "Implement the core behaviour", "Check the result against the command"],
+  fetch: ["Send the request to {source}", "Read and parse the response", "Handle failures (status codes, timeouts, retries)"],
+  query: ["Open {source}", "Build the query for {topic}", "Run it and collect the results"],
+  transform: ["Load the input from {source}", "Apply the transformation to {topic}", "Write the transformed output"],
+  delete: ["Locate {source}", "Confirm the scope and keep a backup", "Delete and verify nothing else changed"],
+  unknown: ["Clarify the goal of the command", "Break it into concrete actions for {topic}"],
+};
+
+function capitalize(text) {
+  return text ? text[0].toUpperCase() + text.slice(1) : text;
+}
+
+function buildSummary(ctx, analysis) {
+  const { entities } = analysis;
+  const parts = [ctx.intent.text ? capitalize(ctx.intent.text) : "Interpret the command"];
+  if (ctx.topics.length) parts.push(`around ${ctx.topics.slice(0, 4).join(", ")}`);
+  if (ctx.sources.length) parts.push(`using ${ctx.sources.join(", ")}`);
+  if (entities.languages.length) parts.push(`in ${entities.languages.join(" / ")}`);
+  let text = `${parts.join(" ")}.`;
+  if (ctx.constraints.length) text += ` Constraints: ${ctx.constraints.join("; ")}.`;
+  if (ctx.similar.length) text += ` Closest earlier command: "${ctx.similar[0].raw}" (${ctx.similar[0].score}/1000).`;
+  return text;
+}
+
+function buildSteps(ctx, analysis) {
+  const fill = (step) => step
+    .replace("{topic}", ctx.topics.slice(0, 3).join(", ") || "requested item")
+    .replace("{source}", ctx.sources[0] || "the target");
+  const steps = (INTENT_STEPS[analysis.intent] || INTENT_STEPS.unknown).map(fill);
+  analysis.constraints.forEach((c) => steps.push(`Respect the constraint "${c.text}"`));
+  const pick = ctx.snippets[0];
+  if (pick) steps.push(`Adapt snippet "${pick.title}" (${pick.language})`);
+  return steps;
+}
+
+/**
+ * Everything a template can reference. Scores are already on the 0–1000 spectrum.
+ * `similar` holds history rows with their 0..1 score, `picks` holds { s, score } snippet ranks.
+ * `thread` is set for a follow-up: { turn, previous, resolved, references: { word, kind, to }[], carried }.
+ */
+export function buildTemplateContext({
+  raw, tokens, expanded, antonyms, negated = [], analysis, similarScore, differentScore, similar, picks, thread = null,
+}) {
+  const { entities } = analysis;
+  const verbs = new Set(analysis.verbs);
+  const ctx = {
+    raw,
+    locale: analysis.locale ? `${localeName(analysis.locale)} (${analysis.locale})` : "",
+    tokens,
+    expanded,
+    antonyms,
+    negated,
+    topics: tokens.filter((t) => !verbs.has(t)),
+    entities: entityFacts(entities),
+    constraints: summarizeConstraints(analysis.constraints),
+    sources: uniq([...entities.urls, ...entities.paths, ...entities.tables]),
+    intent: {
+      name: analysis.intent,
+      text: describeIntent(analysis),
+      confidence: analysis.confidence,
+      verbs: analysis.verbs,
+      alternatives: analysis.alternatives,
+    },
+    similarScore,
+    differentScore,
+    similar: similar.filter((c) => c.score > 0).map((c) => ({ raw: c.raw, score: spectrum01k(c.score) })),
+    // like `similar`, only what matched at all: an empty list lets a template say there is no match
+    snippets: picks.map(({ s, score }) => ({ ...s, score: spectrum01k(score) })).filter((s) => s.score > 0),
+    thread,
+  };
+  ctx.summary = buildSummary(ctx, analysis);
+  ctx.steps = buildSteps(ctx, analysis);
+  return ctx;
+}
+
+export function buildVerboseTemplate(template, ctx) {
+  try {
+    return renderTemplate(template.body, ctx);
+  } catch (err) {
+    if (!(err instanceof TemplateError)) throw err;
+    return `# Template "${template.name}" failed\n- ${err.message}`;
+  }
+}
+
+// Shown in the template editor before the first interpretation.
+export const PREVIEW_CONTEXT = {
+  raw: "fetch https://example.com/data.json in python with a 5s timeout",
+  locale: "English (en)",
+  tokens: ["fetch", "example", "data", "python", "5s", "timeout"],
+  expanded: ["fetch", "get", "retrieve"],
+  antonyms: [],
+  negated: [],
+  topics: ["example", "data", "timeout"],
+  entities: [{ label: "URLs", value: "https://example.com/data.json" }, { label: "Languages", value: "python" }, { label: "Durations", value: "5s" }],
+  constraints: ["language: in python"],
+  sources: ["https://example.com/data.json"],
+  intent: { name: "fetch", text: "retrieve data from a source", confidence: 1, verbs: ["fetch"], alternatives: [] },
+  similarScore: 0,
+  differentScore: 1000,
+  similar: [],
+  snippets: [{ title: "HTTP GET via requests", language: "python", tags: ["http", "get"], score: 812 }],
+  thread: null,
+  summary: "Retrieve data from a source around example, data, timeout using https://example.com/data.json in python.",
+  steps: ["Send the request to https://example.com/data.json", "Read and parse the response", "Handle failures (status codes, timeouts, retries)"],
+};
+
+// -----------------------------
+// Import (reads the bundle written by exportJSON)
+// Validates each store, then either replaces or merges by id.
+// -----------------------------
+export const BUNDLE_STORES = {
+  commands: { required: { raw: "string", createdAt: "string" } },
+  snippets: { required: { title: "string", language: "string", tags: "array", snippet: "string" } },
+  brainRuns: { required: { createdAt: "string", pseudo: "string" } },
+  templates: { required: { name: "string", body: "string" } },
+};
+
+export function fieldOk(value, type) {
+  return type === "array" ? Array.isArray(value) : typeof value === type;
+}
+
+// synonyms, antonyms and stop of one locale; `at` prefixes the warnings
+function validateWordLists(d, at, warnings) {
+  const out = {};
+  for (const kind of ["synonyms", "antonyms"]) {
+    const groups = d[kind];
+    if (groups === undefined) continue;
+    if (!groups || typeof groups !== "object" || Array.isArray(groups)) {
+      warnings.push(`${at}.${kind}: not an object, ignored.`);
+      continue;
+    }
+    out[kind] = {};
+    for (const [k, list] of Object.entries(groups)) {
+      if (Array.isArray(list) && list.every((w) => typeof w === "string")) out[kind][k] = list;
+      else warnings.push(`${at}.${kind}.${k}: not a list of words, skipped.`);
+    }
+  }
+  if (d.stop instanceof Set || Array.isArray(d.stop)) out.stop = new Set([...d.stop].filter((w) => typeof w === "string"));
+  else if (d.stop !== undefined) warnings.push(`${at}.stop: not a list of words, keeping current stopwords.`);
+  return out;
+}
+
+export function validateDictionary(d, warnings) {
+  if (!d || typeof d !== "object" || Array.isArray(d)) {
+    warnings.push("dictionary: not an object, ignored.");
+    return null;
+  }
+  const out = validateWordLists(d, "dictionary", warnings);
+  if (d.locales && typeof d.locales === "object" && !Array.isArray(d.locales)) {
+    out.locales = {};
+    for (const [locale, lists] of Object.entries(d.locales)) {
+      if (!LOCALE_RE.test(locale) || locale === DEFAULT_LOCALE || !lists || typeof lists !== "object") {
+        warnings.push(`dictionary.locales.${locale}: not a locale dictionary, skipped.`);
+        continue;
+      }
+      out.locales[locale] = validateWordLists(lists, `dictionary.locales.${locale}`, warnings);
+    }
+  } else if (d.locales !== undefined) {
+    warnings.push("dictionary.locales: not an object, keeping current locales.");
+  }
+  if (Array.isArray(d.passes)) {
+    out.passes = validatePasses(d.passes, "dictionary.passes", warnings);
+  } else if (d.passes !== undefined) {
+    warnings.push("dictionary.passes: not a list of passes, keeping current passes.");
+  } else if (Array.isArray(d.replacements)) {
+    // exports from before passes
+    const replacements = d.replacements.filter((r, i) => {
+      const ok = r && r.pattern instanceof RegExp && typeof r.replace === "string";
+      if (!ok) warnings.push(`dictionary.replacements[${i}]: not a regex rule, skipped.`);
+      return ok;
+    });
+    out.passes = [passFromReplacements(replacements)];
+  } else if (d.replacements !== undefined) {
+    warnings.push("dictionary.replacements: not a list of rules, keeping current passes.");
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+export function validateBundle(data) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { bundle: null, errors: ["File does not contain a JSON object."], warnings };
+  }
+
+  const bundle = {};
+  for (const [store, { required }] of Object.entries(BUNDLE_STORES)) {
+    const list = data[store];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      errors.push(`${store}: expected an array.`);
+      continue;
+    }
+    const seen = new Set();
+    bundle[store] = list.filter((rec, i) => {
+      const bad = !rec || typeof rec !== "object" || typeof rec.id !== "string"
+        || Object.entries(required).some(([f, type]) => !fieldOk(rec[f], type));
+      if (bad) {
+        warnings.push(`${store}[${i}]: missing or invalid fields, skipped.`);
+        return false;
+      }
+      if (seen.has(rec.id)) {
+        warnings.push(`${store}[${i}]: duplicate id "${rec.id}" in file, skipped.`);
+        return false;
+      }
+      seen.add(rec.id);
+      return true;
+    });
+  }
+  if (data.dictionary !== undefined) {
+    const dict = validateDictionary(data.dictionary, warnings);
+    if (dict) bundle.dictionary = dict;
+  }
+  // single-workspace exports (workspaces.js) also carry the workspace's name and retention policy
+  if (data.retention !== undefined) {
+    const problem = data.retention && typeof data.retention === "object" ? checkRetention(data.retention) : "not an object";
+    if (problem) warnings.push(`retention: ${problem}, ignored.`);
+    else bundle.retention = { ...DEFAULT_RETENTION, ...data.retention };
+  }
+  if (typeof data.workspace?.name === "string") bundle.workspace = { name: data.workspace.name };
+
+  if (!errors.length && !Object.keys(bundle).length) {
+    errors.push("Nothing to import: expected commands, brainRuns, snippets or dictionary.");
+  }
+  return { bundle: errors.length ? null : bundle, errors, warnings };
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Splits incoming records into new ones, exact duplicates and conflicts (same id, different content).
+export function diffById(current, incoming) {
+  const byId = new Map(current.map((r) => [r.id, r]));
+  const added = [];
+  const identical = [];
+  const conflicts = [];
+  for (const rec of incoming) {
+    const mine = byId.get(rec.id);
+    if (!mine) added.push(rec);
+    else if (stableStringify(mine) === stableStringify(rec)) identical.push(rec);
+    else conflicts.push({ id: rec.id, current: mine, incoming: rec });
+  }
+  return { added, identical, conflicts };
+}
+
+// resolutions: { [id]: "current" | "incoming" }; unresolved conflicts keep the current record.
+export function mergeById(current, diff, resolutions = {}) {
+  const take = new Map(
+    diff.conflicts.filter((c) => resolutions[c.id] === "incoming").map((c) => [c.id, c.incoming])
+  );
+  return [...current.map((r) => take.get(r.id) || r), ...diff.added];
+}
+
+export function mergeDictionary(current, incoming) {
+  const mergeGroups = (a = {}, b = {}) => {
+    const out = { ...a };
+    for (const [k, list] of Object.entries(b)) out[k] = uniq([...(out[k] || []), ...list]);
+    return out;
+  };
+  const mergeStop = (a = new Set(), b) => (b ? new Set([...a, ...b]) : a);
+  const locales = { ...current.locales };
+  for (const [locale, lists] of Object.entries(incoming.locales || {})) {
+    const mine = locales[locale] || {};
+    locales[locale] = {
+      synonyms: mergeGroups(mine.synonyms, lists.synonyms),
+      antonyms: mergeGroups(mine.antonyms, lists.antonyms),
+      stop: mergeStop(mine.stop, lists.stop),
+    };
+  }
+  return {
+    ...current,
+    synonyms: mergeGroups(current.synonyms, incoming.synonyms),
+    antonyms: mergeGroups(current.antonyms, incoming.antonyms),
+    stop: mergeStop(current.stop, incoming.stop),
+    locales,
+    passes: incoming.passes ? mergePasses(current.passes, incoming.passes) : current.passes,
+  };
+}
+
+export function byCreatedAt(a, b) {
+  return a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0;
+}
+
+// per‑store diffs of an incoming bundle against `current` ({ commands, snippets, brainRuns, templates })
+export function diffBundle(current, bundle) {
+  const diffs = {};
+  for (const store of Object.keys(BUNDLE_STORES)) {
+    if (bundle[store]) diffs[store] = diffById(current[store], bundle[store]);
+  }
+  return diffs;
+}
+
+// `current` with the bundle applied; mode "replace" swaps whole stores, "merge" goes through mergeById.
+export function applyBundle(current, bundle, { mode = "merge", diffs = diffBundle(current, bundle), resolutions = {} } = {}) {
+  const next = (store) => {
+    if (!bundle[store]) return current[store];
+    if (mode === "replace") return bundle[store];
+    return mergeById(current[store], diffs[store], resolutions[store]);
+  };
+  let { dictionary } = current;
+  if (bundle.dictionary) {
+    dictionary = mode === "replace" ? { ...dictionary, ...bundle.dictionary } : mergeDictionary(dictionary, bundle.dictionary);
+  }
+  return {
+    commands: next("commands").slice().sort(byCreatedAt),
+    snippets: next("snippets"),
+    brainRuns: trimRuns(next("brainRuns").slice().sort(byCreatedAt).reverse()),
+    templates: next("templates"),
+    dictionary,
+  };
+}
+
+// -----------------------------
+// Code generation (snippet placeholders filled from the command, see codegen.js)
+// -----------------------------
+const STEP_BREAK = /\s*(?:[;\n]|,?\s+(?:and\s+)?then\s+|,?\s+after that,?\s+|,?\s+finally,?\s+)\s*/i;
+const STEP_JOIN = /(,\s+|\s+and\s+)/i;
+
+// "fetch X, replace 'a' with 'b' and save it to out.txt" -> three steps; a comma or "and" only
+// starts a new step when a verb follows ("tests and docs" stays one)
+export function splitSteps(raw, pipeline, locale) {
+  const verbs = intentVocabulary(pipeline);
+  const lang = pipeline.localeOf(raw, locale);
+  const steps = [];
+  for (const part of raw.split(STEP_BREAK)) {
+    const pieces = part.split(STEP_JOIN);
+    let current = pieces[0];
+    for (let i = 1; i < pieces.length; i += 2) {
+      const next = pieces[i + 1];
+      if (verbs.has(pipeline.tokenize(next, { locale: lang })[0])) {
+        steps.push(current);
+        current = next;
+      } else {
+        current += pieces[i] + next;
+      }
+    }
+    steps.push(current);
+  }
+  return steps.map((x) => x.trim()).filter(Boolean);
+}
+
+/**
+ * A program for `raw`: one snippet per step, in the command's language when it names one
+ * (else the language of the best first match), placeholders bound from the command's entities.
+ * The command is tokenized in `locale` (detected when missing).
+ * Steps keep their bound placeholders so a caller can re-render with edits (codegen.js `renderProgram`).
+ * @returns {{ language, mixed, steps: { clause, snippet, score, placeholders, code }[], code }}
+ */
+export function generateProgram(raw, { indexes, snippets, scorer, semanticWeight = 0, feedback, analysis, language, locale }) {
+  const { pipeline } = indexes;
+  const used = pipeline.localeOf(raw, locale);
+  const { entities } = analysis || analyzeCommand(raw, pipeline.tokenize(raw, { locale: used }), pipeline, used);
+  const clauses = splitSteps(raw, pipeline, used);
+  const ranked = clauses.map((clause) => rankSnippets(indexes, snippets, expandSynonyms(pipeline.tokenize(clause, { locale: used }), pipeline.lexiconFor(used)), {
+    scorer, semanticWeight, feedback,
+  }).filter((x) => x.score > 0));
+  const lang = language || entities.languages[0] || ranked.find((r) => r.length)?.[0].s.language || null;
+
+  const pool = valuePool(raw, entities);
+  const bound = [];
+  clauses.forEach((clause, i) => {
+    const hit = ranked[i].find((x) => x.s.language === lang) || ranked[i][0];
+    if (!hit) return;
+    bound.push({ clause, snippet: hit.s, score: hit.score, placeholders: bindPlaceholders(parsePlaceholders(hit.s.snippet), pool) });
+  });
+  const { steps, code } = renderProgram(bound);
+  return { language: lang, mixed: uniq(steps.map((x) => x.snippet.language)).length > 1, steps, code };
+}
+
+// -----------------------------
+// Interpretation (the whole Refine & Interpret pass)
+// -----------------------------
+/**
+ * Interprets `raw` against the current history and library. Nothing is mutated: the new command
+ * record comes back as `command` for the caller to store.
+ * `templateChoice` is a template id or "auto"; `templates` are the user's saved ones (merged with built‑ins).
+ * `semanticWeight` (0..1) blends embedding similarity into the history and snippet scores.
+ * `rerunOf` is the id of the command being re-run; the new record links back to it (history.js).
+ * `continues` is the id of the command this one follows up (threads.js): the thread's intent, entities and
+ * locale carry over, "it" / "same" / "instead" are resolved, and the snippets are ranked on the whole request
+ * so far, in the thread's language first. `thread` describes that; it is null for a command of its own.
+ * `locale` pins the command's locale (tokenizer.js) and is stored on the record; "auto" detects it, or takes
+ * the thread's for a follow-up.
+ * `feedback` is what the user taught so far (feedback.js); it re-ranks the snippets and the history lists.
+ * `enhanced` is the interpretation after the dictionary's enhancement passes, `trace` what each rule did (rules.js).
+ */
+export function interpret(raw, {
+  dictionary, commands, snippets, templates = [], templateChoice = "auto", scorer, semanticWeight = 0, indexes, rerunOf,
+  continues, locale = "auto", feedback, now = nowISO(),
+}) {
+  const { pipeline } = indexes;
+  syncIndexes(indexes, commands, snippets);
+
+  const thread = continues
+    ? threadContext(commands, continues, (c) => analyzeCommand(c.raw, commandTokens(c, pipeline), pipeline, c.locale))
+    : null;
+  const pinned = locale !== "auto" ? locale : thread?.locale;
+  const used = pipeline.localeOf(raw, pinned);
+  const followUp = thread && resolveFollowUp(raw, thread, {
+    analyze: (text) => analyzeCommand(text, pipeline.tokenize(text, { locale: used }), pipeline, used),
+    locale: used,
+  });
+  // a follow-up's own words leave its references out
+  const own = pipeline.tokenize(followUp ? followUp.added : raw, { locale: used });
+  const antonyms = antonymsOf(own, pipeline.lexiconFor(used));
+  const negated = polarityOf(raw, pipeline, used).terms.filter((t) => t.negated).map((t) => t.term);
+  const analysis = followUp ? followUp.analysis : analyzeCommand(raw, own, pipeline, used);
+  const request = followUp ? followUp.text : raw;
+  // a follow-up is matched on the whole request so far; similar commands stay about its own words
+  const tokens = followUp ? uniq([...own, ...pipeline.tokenize(request, { locale: used })]) : own;
+  const expanded = expandSynonyms(tokens, pipeline.lexiconFor(used));
+  const similarity = computeSimilarityAgainstHistory(own, { raw, locale: used, commands, indexes, scorer, semanticWeight, feedback });
+  const ranks = rankSnippets(indexes, snippets, expanded, { scorer, semanticWeight, feedback });
+  const ranked = (followUp ? preferLanguage(ranks, analysis.entities.languages[0]) : ranks).slice(0, 5);
+  const program = generateProgram(request, { indexes, snippets, scorer, semanticWeight, feedback, analysis, locale: used });
+
+  // stems are shown in their dictionary / surface spelling
+  const show = (ts) => uniq(ts.map(pipeline.surface));
+  const turn = followUp && {
+    id: thread.thread,
+    parent: thread.parent,
+    turn: thread.turn + 1,
+    previous: thread.previous,
+    resolved: request,
+    references: followUp.references,
+    carried: followUp.carried,
+  };
+  const context = buildTemplateContext({
+    raw, tokens: show(tokens), expanded: show(expanded), antonyms: show(antonyms), negated: show(negated), analysis,
+    similarScore: similarity.sim, differentScore: similarity.diff,
+    similar: similarity.similar, picks: ranked, thread: turn,
+  });
+  const all = mergeTemplates(templates);
+  const template = (templateChoice !== "auto" && all.find((t) => t.id === templateChoice))
+    || pickTemplate(all, { tokens, intent: analysis.intent, term: pipeline.term });
+  const interpretation = buildVerboseTemplate(template, context);
+  const enhancement = enhance(interpretation, dictionary);
+
+  return {
+    command: {
+      id: crypto.randomUUID(), raw, createdAt: now, analysis, ...(pinned && { locale: pinned }), ...(rerunOf && { rerunOf }),
+      ...(turn && { continues: turn.parent, thread: turn.id, resolved: request }),
+    },
+    tokens,
+    expanded,
+    antonyms,
+    analysis,
+    similarity,
+    ranked,
+    program,
+    context,
+    template,
+    interpretation,
+    enhanced: enhancement.text,
+    trace: enhancement.trace,
+    thread: turn,
+  };
+}
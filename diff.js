@@ -0,0 +1,130 @@
+/**
+ * Sequence diff (LCS) used for brain run comparisons and the interpretation / enhanced text comparison.
+ * Output is a flat list of `{ op: "same" | "add" | "del", value }` in display order.
+ */
+
+// Above this many LCS cells the middle part is reported as a plain delete + add.
+const MAX_CELLS = 4_000_000;
+
+export function diffSeq(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((value) => ({ op: "same", value }));
+  const tail = a.slice(endA).map((value) => ({ op: "same", value }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_CELLS) {
+    return [
+      ...head,
+      ...midA.map((value) => ({ op: "del", value })),
+      ...midB.map((value) => ({ op: "add", value })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+  const w = m + 1;
+  const lcs = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * w + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * w + j + 1] + 1
+        : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const mid = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      mid.push({ op: "same", value: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) {
+      mid.push({ op: "del", value: midA[i++] });
+    } else {
+      mid.push({ op: "add", value: midB[j++] });
+    }
+  }
+  while (i < n) mid.push({ op: "del", value: midA[i++] });
+  while (j < m) mid.push({ op: "add", value: midB[j++] });
+
+  return [...head, ...mid, ...tail];
+}
+
+export function diffLines(a, b) {
+  return diffSeq((a || "").split("\n"), (b || "").split("\n"));
+}
+
+// words and the whitespace between them, so joining the values of either side gives its text back
+export function diffWords(a, b) {
+  const split = (s) => (s || "").split(/(\s+)/).filter(Boolean);
+  return diffSeq(split(a), split(b));
+}
+
+/**
+ * A line diff laid out in two columns: unchanged lines side by side, and each run of deleted lines next to the
+ * run of added lines that replaced it, paired in order. Paired lines are "change" rows; the longer run's rest
+ * stands alone as "del" (right null) or "add" (left null) rows.
+ * @returns {{ op: "same" | "change" | "del" | "add", left: string | null, right: string | null }[]}
+ */
+export function sideBySide(ops) {
+  const rows = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(dels.length, adds.length); i++) {
+      const left = dels[i] ?? null;
+      const right = adds[i] ?? null;
+      rows.push({ op: left === null ? "add" : right === null ? "del" : "change", left, right });
+    }
+    dels = [];
+    adds = [];
+  };
+  for (const { op, value } of ops) {
+    if (op === "del") dels.push(value);
+    else if (op === "add") adds.push(value);
+    else {
+      flush();
+      rows.push({ op: "same", left: value, right: value });
+    }
+  }
+  flush();
+  return rows;
+}
+
+// Folds long unchanged stretches into `{ op: "skip", count }`, keeping `context` lines around changes.
+export function foldUnchanged(ops, context = 2) {
+  const out = [];
+  let run = [];
+  const flush = (atEnd) => {
+    const keepHead = out.length ? context : 0;
+    const keepTail = atEnd ? 0 : context;
+    if (run.length > keepHead + keepTail + 1) {
+      out.push(...run.slice(0, keepHead), { op: "skip", count: run.length - keepHead - keepTail }, ...run.slice(run.length - keepTail));
+    } else {
+      out.push(...run);
+    }
+    run = [];
+  };
+  for (const op of ops) {
+    if (op.op === "same") run.push(op);
+    else {
+      flush(false);
+      out.push(op);
+    }
+  }
+  flush(true);
+  return out;
+}
@@ -0,0 +1,116 @@
+/**
+ * Relevance feedback: thumbs up / down and "copied" signals, learned as weights that re-rank later results.
+ *
+ * A signal is given on one item of a result list, for the keywords (pipeline tokens) of the command that
+ * produced the list. Three channels learn independently:
+ *   snippets   Suggested Snippets and the snippets of a copied program
+ *   similar    the Similar list; a thumbs up on the Different list means "not similar" and counts the other way
+ *   opposite   the Opposite list
+ * Each channel keeps a weight per keyword/item pair and per keyword/tag (snippet tags, command tags), so
+ * liking an "http" snippet for "fetch" lifts the other "http" snippets for "fetch" a little too.
+ * Weights move online towards ±1 by RATE · |signal| per signal, so they stay within −1..1 and a
+ * later change of mind wins over a long streak quickly.
+ *
+ * `learnedFactor` is what core.js multiplies a 0..1 score by: 2^w for the mean learned weight w of the query
+ * keywords that have one (keywords without feedback don't water it down), so between ½ and 2. Feedback
+ * reorders what matched; it never makes an unrelated item match, nor hides one completely.
+ */
+
+export const SIGNALS = { up: 1, down: -1, copied: 0.5 };
+// result list -> channel it teaches, and which way a thumbs up points
+export const FEEDBACK_LISTS = {
+  snippets: { channel: "snippets", sign: 1 },
+  similar: { channel: "similar", sign: 1 },
+  different: { channel: "similar", sign: -1 },
+  opposite: { channel: "opposite", sign: 1 },
+};
+export const CHANNELS = ["snippets", "similar", "opposite"];
+export const DEFAULT_FEEDBACK = Object.fromEntries(CHANNELS.map((c) => [c, { pairs: {}, tags: {} }]));
+
+const RATE = 0.25;
+const TAG_FACTOR = 0.5;
+const LABEL_MAX = 80;
+
+// Message for a signal that cannot be recorded, or null.
+export function checkSignal({ list, signal, keywords, item } = {}) {
+  if (!FEEDBACK_LISTS[list]) return `list must be one of ${Object.keys(FEEDBACK_LISTS).join(", ")}`;
+  if (!SIGNALS[signal]) return `signal must be one of ${Object.keys(SIGNALS).join(", ")}`;
+  if (signal === "copied" && list !== "snippets") return "only snippets can be copied";
+  if (!keywords?.length) return "the command has no keywords to learn from";
+  if (!item?.id) return "no item to give feedback on";
+  return null;
+}
+
+function nudge(w = 0, amount) {
+  return w + RATE * Math.abs(amount) * (Math.sign(amount) - w);
+}
+
+/**
+ * `feedback` with one more signal learned. Nothing is mutated.
+ * @param item  { id, label?, tags? }  the snippet or command the signal is about
+ */
+export function recordFeedback(feedback, { list, signal, keywords, item }, now = new Date().toISOString()) {
+  const { channel, sign } = FEEDBACK_LISTS[list];
+  const amount = SIGNALS[signal] * sign;
+  const current = feedback?.[channel] || DEFAULT_FEEDBACK[channel];
+  const pairs = { ...current.pairs };
+  const tags = { ...current.tags };
+  const label = String(item.label ?? "").slice(0, LABEL_MAX);
+  for (const k of new Set(keywords)) {
+    const old = pairs[k]?.[item.id] || { weight: 0, up: 0, down: 0, copied: 0 };
+    const counts = { ...old, [signal]: (old[signal] || 0) + 1 };
+    pairs[k] = { ...pairs[k], [item.id]: { ...counts, weight: nudge(old.weight, amount), label, at: now } };
+    if (!item.tags?.length) continue;
+    tags[k] = { ...tags[k] };
+    for (const t of item.tags) tags[k][t] = nudge(tags[k][t], amount * TAG_FACTOR);
+  }
+  return { ...DEFAULT_FEEDBACK, ...feedback, [channel]: { pairs, tags } };
+}
+
+/**
+ * How much `channel` has learned to scale the score of `item` (a record with `id` and optional `tags`) for
+ * `keywords`: ½..2, 1 without feedback.
+ */
+export function learnedFactor(feedback, channel, keywords, item) {
+  const learned = feedback?.[channel];
+  if (!learned) return 1;
+  let sum = 0;
+  let known = 0;
+  for (const k of new Set(keywords)) {
+    const pair = learned.pairs[k]?.[item.id];
+    const tagWeights = (item.tags || []).map((t) => learned.tags[k]?.[t]).filter((w) => w !== undefined);
+    if (!pair && !tagWeights.length) continue;
+    const tagMean = tagWeights.length ? tagWeights.reduce((a, b) => a + b, 0) / tagWeights.length : 0;
+    sum += (pair?.weight || 0) + TAG_FACTOR * tagMean;
+    known++;
+  }
+  return known ? 2 ** Math.max(-1, Math.min(1, sum / known)) : 1;
+}
+
+// a 0..1 score scaled by a learned factor, still within 0..1
+export function applyLearned(score, factor) {
+  return Math.min(1, score * factor);
+}
+
+/**
+ * Everything learned, strongest first, for display.
+ * @returns {{ channel, kind: "pair" | "tag", keyword, target, label?, weight, up?, down?, copied?, at? }[]}
+ */
+export function describeFeedback(feedback) {
+  const out = [];
+  for (const channel of CHANNELS) {
+    const { pairs = {}, tags = {} } = feedback?.[channel] || {};
+    for (const [keyword, items] of Object.entries(pairs)) {
+      for (const [target, p] of Object.entries(items)) out.push({ channel, kind: "pair", keyword, target, ...p });
+    }
+    for (const [keyword, weights] of Object.entries(tags)) {
+      for (const [target, weight] of Object.entries(weights)) out.push({ channel, kind: "tag", keyword, target, weight });
+    }
+  }
+  return out.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+}
+
+// `feedback` with `channel` forgotten, or everything without one
+export function resetFeedback(feedback, channel) {
+  return channel ? { ...DEFAULT_FEEDBACK, ...feedback, [channel]: DEFAULT_FEEDBACK[channel] } : DEFAULT_FEEDBACK;
+}
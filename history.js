@@ -0,0 +1,146 @@
+/**
+ * Command history: search, tags and pins, date ranges, retention.
+ *
+ * Commands may carry three optional fields on top of `{ id, raw, createdAt, analysis }`:
+ *   tags: string[]   user labels (lowercase, see `normalizeTags`)
+ *   pinned: true     favourite; pinned commands are never dropped by retention
+ *   rerunOf: id      the command this one re-ran (always the first run, not a re-run of a re-run)
+ * Follow-ups also carry `continues`, `thread` and `resolved` (threads.js).
+ *
+ * `searchHistory` matches every query word against the command's words and tags: exactly, as a prefix,
+ * through the pipeline's stems ("fetching" finds "fetched"), or within a few typos (tokenizer.js budget).
+ * `applyRetention` is hooked into the commands store (core.js STORE_SCHEMAS), so every front end that
+ * saves the history through storage.js enforces the same policy.
+ */
+import { editDistance, fuzzyBudget, normalize, splitWords } from "./tokenizer.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0 means "no limit"
+export const DEFAULT_RETENTION = { maxCount: 0, maxAgeDays: 0 };
+
+// "Deploy, infra  ,deploy" -> ["deploy", "infra"]
+export function normalizeTags(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split(",");
+  return Array.from(new Set(list.map((t) => String(t).trim().toLowerCase().replace(/\s+/g, "-")).filter(Boolean)));
+}
+
+// Message for an invalid retention policy, or null.
+export function checkRetention(policy) {
+  for (const field of ["maxCount", "maxAgeDays"]) {
+    const v = policy?.[field] ?? 0;
+    if (!Number.isInteger(v) || v < 0) return `${field} must be a whole number ≥ 0 (0 = no limit)`;
+  }
+  return null;
+}
+
+/**
+ * `commands` (oldest first) without the ones the policy drops: anything older than `maxAgeDays`, then the
+ * oldest until at most `maxCount` remain. Pinned commands always stay, and count towards `maxCount`.
+ * Returns the same array when nothing is dropped.
+ */
+export function applyRetention(commands, policy, now = Date.now()) {
+  const { maxCount = 0, maxAgeDays = 0 } = policy || {};
+  const cutoff = maxAgeDays > 0 ? now - maxAgeDays * DAY_MS : -Infinity;
+  const drop = new Set(commands.filter((c) => !c.pinned && Date.parse(c.createdAt) < cutoff).map((c) => c.id));
+  if (maxCount > 0) {
+    let excess = commands.length - drop.size - maxCount;
+    for (const c of commands) {
+      if (excess <= 0) break;
+      if (c.pinned || drop.has(c.id)) continue;
+      drop.add(c.id);
+      excess--;
+    }
+  }
+  return drop.size ? commands.filter((c) => !drop.has(c.id)) : commands;
+}
+
+// A YYYY-MM-DD day that is on the calendar: "2020-13-45" and "2021-02-30" are not.
+export function isDay(day) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(day ?? ""));
+  if (!m) return false;
+  const [year, month, date] = m.slice(1).map(Number);
+  const d = new Date(year, month - 1, date);
+  return d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === date;
+}
+
+// "2026-10-18" as local midnight, or the last millisecond of that day
+function dayBound(day, end) {
+  if (!day) return end ? Infinity : -Infinity;
+  if (!isDay(day)) throw new Error(`Invalid date "${day}" (expected YYYY-MM-DD)`);
+  const t = new Date(`${day}T00:00:00`).getTime();
+  return end ? t + DAY_MS - 1 : t;
+}
+
+// "Café-Bar", "café bar" and "cafe_bar" all give cafe, bar; Chinese and Japanese are cut into words
+function words(text, locale) {
+  return splitWords(normalize(String(text || "")), locale).flatMap((w) => w.split(/[-_]+/)).filter(Boolean);
+}
+
+// 3 exact / same stem, 2 prefix, 1 typo; 0 when `q` matches nothing
+function matchWord(q, qStems, target) {
+  if (target.words.includes(q) || (qStems.length && qStems.every((s) => target.stems.has(s)))) return 3;
+  if (target.words.some((w) => w.startsWith(q))) return 2;
+  const budget = fuzzyBudget(q);
+  if (budget && target.words.some((w) => editDistance(q, w, budget) <= budget)) return 1;
+  return 0;
+}
+
+/**
+ * Commands matching all filters. With a query, best matches come first; without one, pinned commands
+ * first, then newest first.
+ * @param filters   { query?, tags?: string[], pinned?: boolean, from?: "YYYY-MM-DD", to?: "YYYY-MM-DD" }
+ * @param pipeline  token pipeline (tokenizer.js), for stem matches
+ * @returns {{ command, score }[]}
+ */
+export function searchHistory(commands, { query = "", tags = [], pinned = false, from, to } = {}, pipeline) {
+  const lo = dayBound(from, false);
+  const hi = dayBound(to, true);
+  const wanted = normalizeTags(tags);
+  const phrase = normalize(query);
+  // the query is one text in one locale, even though its words are tokenized one by one
+  const locale = pipeline?.localeOf(query);
+  // stop words ("the", "a") only count when they are there
+  const terms = words(query, locale).map((q) => ({ q, stems: pipeline ? pipeline.tokenize(q, { locale }) : [] }))
+    .map((t) => ({ ...t, optional: Boolean(pipeline) && !t.stems.length }));
+
+  const out = [];
+  for (const command of commands) {
+    const t = Date.parse(command.createdAt);
+    if (t < lo || t > hi) continue;
+    if (pinned && !command.pinned) continue;
+    const own = command.tags || [];
+    if (!wanted.every((tag) => own.includes(tag))) continue;
+
+    let score = 0;
+    if (terms.length) {
+      const lang = command.locale || command.analysis?.locale;
+      const target = {
+        words: [...words(command.raw, lang), ...own.flatMap((t) => words(t))],
+        stems: new Set(pipeline ? pipeline.tokenize(command.raw, { locale: command.locale }) : []),
+      };
+      let missed = false;
+      for (const { q, stems, optional } of terms) {
+        const s = matchWord(q, stems, target);
+        if (!s && !optional) {
+          missed = true;
+          break;
+        }
+        score += s;
+      }
+      if (missed) continue;
+      if (terms.length > 1 && normalize(command.raw).includes(phrase)) score += 2;
+    }
+    out.push({ command, score });
+  }
+
+  const newer = (a, b) => (a.command.createdAt < b.command.createdAt ? 1 : a.command.createdAt > b.command.createdAt ? -1 : 0);
+  return out.sort(terms.length
+    ? (a, b) => b.score - a.score || newer(a, b)
+    : (a, b) => Number(Boolean(b.command.pinned)) - Number(Boolean(a.command.pinned)) || newer(a, b));
+}
+
+// The first run of `command`: re-running a re-run links back to the original.
+export function rerunOrigin(command) {
+  return command.rerunOf || command.id;
+}
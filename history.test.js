@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isDay, searchHistory } from "./history.js";
+
+test("only calendar days are days", () => {
+  assert.ok(isDay("2026-10-18"));
+  assert.ok(isDay("2024-02-29"));
+  for (const day of ["2020-13-45", "2021-02-30", "2026-00-10", "2026-1-5", "18.10.2026", "", undefined]) assert.ok(!isDay(day), day);
+});
+
+test("searching from or to an out-of-range date throws", () => {
+  assert.throws(() => searchHistory([], { from: "2020-13-45" }), /Invalid date "2020-13-45"/);
+  assert.throws(() => searchHistory([], { to: "2021-02-30" }), /Invalid date "2021-02-30"/);
+});
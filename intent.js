@@ -0,0 +1,230 @@
+/**
+ * Rule‑based command analysis: intent, entities and constraints.
+ *
+ * - Intent: each intent has a few seed verbs; the dictionary's synonym groups widen them
+ *   (so `make` and `construct` count as create). Verbs are matched on pipeline tokens, so
+ *   "fetching" and "fetched" hit the same seed.
+ * - Entities and constraints are pulled from the raw text with regexes, since URLs, paths
+ *   and durations don't survive normalization.
+ */
+
+export const INTENTS = {
+  create: { seeds: ["build", "create", "make", "generate", "add", "write", "save", "scaffold"], text: "create or generate something new" },
+  fetch: { seeds: ["fetch", "get", "download", "retrieve", "request", "call", "scrape"], text: "retrieve data from a source" },
+  query: { seeds: ["query", "select", "search", "find", "filter", "count", "list", "lookup"], text: "query or search stored data" },
+  transform: { seeds: ["transform", "convert", "replace", "refine", "parse", "format", "rename", "sort", "clean"], text: "transform, convert or refine existing content" },
+  delete: { seeds: ["delete", "remove", "destroy", "drop", "purge", "clear"], text: "remove or destroy something" },
+};
+
+export const LANGUAGES = {
+  python: ["python", "py", "python3"],
+  javascript: ["javascript", "js", "node", "nodejs"],
+  typescript: ["typescript", "ts"],
+  bash: ["bash", "shell", "sh", "zsh"],
+  sql: ["sql", "sqlite", "postgres", "mysql"],
+  ruby: ["ruby"],
+  go: ["golang"],
+  rust: ["rust"],
+  java: ["java"],
+};
+
+const UNIT_MS = {
+  ms: 1, millisecond: 1, milliseconds: 1,
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+  d: 86400000, day: 86400000, days: 86400000,
+};
+const DURATION = /\b(\d+(?:\.\d+)?)\s*(milliseconds?|ms|seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|hr|h|days?|d)\b/gi;
+const URL_RE = /\bhttps?:\/\/[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/gi;
+const FILE_EXTS = "txt|json|csv|tsv|md|py|js|mjs|ts|html|css|ya?ml|xml|log|db|sqlite3?|sql|sh|ini|toml|env";
+const PATH_RE = new RegExp(
+  `(?:^|[\\s"'(])((?:~|\\.{1,2})?\\/[\\w.\\/-]+|[A-Za-z]:\\\\[\\w.\\\\ -]+|[\\w-]+(?:\\/[\\w.-]+)+|[\\w-]+\\.(?:${FILE_EXTS}))(?=$|[\\s"'),;:])`,
+  "gi"
+);
+const SQL_WORD = /\b(?:select|insert|update|delete|from|join|where)\b/i;
+const TABLE_RES = [
+  /\b(?:table|collection)\s+[`"']?([a-z_][\w.]*)/gi,
+  /\b([a-z_][\w]*)\s+table\b/gi,
+  /\bdatabase\s+[`"']?([a-z_][\w.-]*)/gi,
+  /\b(?:into|update|join)\s+[`"']?([a-z_][\w.]*)/gi,
+];
+const FROM_TABLE = /\bfrom\s+[`"']?([a-z_][\w.]*)/gi;
+const NOT_NAMES = new Set([
+  "the", "a", "an", "my", "our", "this", "that", "it", "them", "all", "each", "every", "some", "table", "database",
+  "in", "on", "at", "of", "for", "with", "to", "from", "and", "or", "into", "by", "as",
+]);
+
+const EXCLUDE_MARKERS = new Set(["without", "except", "excluding", "no", "skip", "skipping"]);
+const LIMIT_RE = /\b(under|below|less than|within|at most|no more than|max(?:imum)?|up to)\s+(\d+(?:\.\d+)?)\s*([a-z]+)?/gi;
+const ONLY_RE = /\bonly\s+([a-z0-9_.-]+)/gi;
+const IN_LANGUAGE_RE = /\b(?:in|using|with|via)\s+([a-z0-9+#]+)/gi;
+
+function matchAll(re, text, group = 1) {
+  re.lastIndex = 0;
+  return Array.from(text.matchAll(re), (m) => m[group]);
+}
+
+function languageOf(word) {
+  const w = word.toLowerCase();
+  return Object.keys(LANGUAGES).find((lang) => LANGUAGES[lang].includes(w)) || null;
+}
+
+// stem -> intent, seeds plus every synonym linked to them in either direction
+export function intentVocabulary(pipeline) {
+  const vocab = new Map();
+  const { synonyms } = pipeline.lexicon;
+  for (const [intent, { seeds }] of Object.entries(INTENTS)) {
+    for (const seed of seeds) {
+      const t = pipeline.term(seed);
+      const related = new Set([t, ...(synonyms[t] || [])]);
+      for (const [head, words] of Object.entries(synonyms)) {
+        if (words.includes(t)) [head, ...words].forEach((w) => related.add(w));
+      }
+      related.forEach((w) => { if (!vocab.has(w)) vocab.set(w, intent); });
+    }
+  }
+  return vocab;
+}
+
+export function detectIntent(tokens, pipeline) {
+  const vocab = intentVocabulary(pipeline);
+  const hits = {};
+  const verbs = [];
+  tokens.forEach((t, i) => {
+    const intent = vocab.get(t);
+    if (!intent) return;
+    // earlier verbs weigh more: "fetch the page and then parse it" is mostly a fetch
+    hits[intent] = (hits[intent] || 0) + 1 / (1 + i * 0.1);
+    verbs.push(pipeline.surface(t));
+  });
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  if (!ranked.length) return { intent: "unknown", confidence: 0, verbs: [], alternatives: [] };
+  const total = ranked.reduce((sum, [, v]) => sum + v, 0);
+  return {
+    intent: ranked[0][0],
+    confidence: Math.round((ranked[0][1] / total) * 100) / 100,
+    verbs: Array.from(new Set(verbs)),
+    alternatives: ranked.slice(1).map(([k]) => k),
+  };
+}
+
+export function extractEntities(raw, { intent } = {}) {
+  const urls = Array.from(new Set(matchAll(URL_RE, raw, 0)));
+  const rest = urls.reduce((text, u) => text.split(u).join(" "), raw);
+
+  const paths = Array.from(new Set(matchAll(PATH_RE, rest)));
+
+  const languages = Array.from(new Set(
+    rest.split(/[^A-Za-z0-9+#]+/).map(languageOf).filter(Boolean)
+  ));
+
+  const durations = [];
+  const durationSpans = [];
+  DURATION.lastIndex = 0;
+  for (const m of rest.matchAll(DURATION)) {
+    const value = Number(m[1]);
+    const unit = m[2].toLowerCase();
+    durations.push({ text: m[0], value, unit, ms: value * UNIT_MS[unit] });
+    durationSpans.push([m.index, m.index + m[0].length]);
+  }
+  const numbers = [];
+  // whole numbers only: nothing out of a version ("v1.2.3") or a dotted name; a full stop may follow
+  for (const m of rest.matchAll(/(?<![\w.])\d+(?:\.\d+)?(?!\w|\.\w)/g)) {
+    if (durationSpans.some(([a, b]) => m.index >= a && m.index < b)) continue;
+    if (paths.some((p) => p.includes(m[0]))) continue;
+    numbers.push(Number(m[0]));
+  }
+
+  const tableRes = intent === "query" || SQL_WORD.test(rest) ? [...TABLE_RES, FROM_TABLE] : TABLE_RES;
+  const tables = new Set();
+  for (const re of tableRes) {
+    matchAll(re, rest).forEach((name) => { if (!NOT_NAMES.has(name.toLowerCase())) tables.add(name); });
+  }
+  paths.filter((p) => /\.(?:db|sqlite3?)$/i.test(p)).forEach((p) => tables.add(p));
+
+  return { urls, paths, languages, durations, numbers, tables: Array.from(tables) };
+}
+
+export function extractConstraints(raw, stop = new Set()) {
+  const constraints = [];
+  // "no more than 5" is a limit, not an exclusion
+  LIMIT_RE.lastIndex = 0;
+  const limitsAt = new Set(Array.from(raw.matchAll(LIMIT_RE), (m) => m.index));
+  const spans = Array.from(raw.matchAll(/\S+/g));
+  const words = spans.map((m) => m[0]);
+  spans.forEach(({ 0: w, index }, i) => {
+    const marker = w.toLowerCase().replace(/[^a-z]/g, "");
+    if (!EXCLUDE_MARKERS.has(marker) || limitsAt.has(index)) return;
+    const target = [];
+    for (let j = i + 1; j < words.length && target.length < 2; j++) {
+      const word = words[j].replace(/[^\w.-]/g, "");
+      const lower = word.toLowerCase();
+      if (!word || EXCLUDE_MARKERS.has(lower) || ["and", "or", "but", "then"].includes(lower)) break;
+      // leading stopwords are skipped ("without the logs"); after the target one ends it ("without react in ts")
+      if (stop.has(lower)) {
+        if (target.length) break;
+        continue;
+      }
+      target.push(word);
+      if (/[,.;:]$/.test(words[j])) break;
+    }
+    if (target.length) constraints.push({ type: "exclude", value: target.join(" "), text: `${marker} ${target.join(" ")}` });
+  });
+
+  LIMIT_RE.lastIndex = 0;
+  for (const m of raw.matchAll(LIMIT_RE)) {
+    const value = Number(m[2]);
+    const unit = m[3]?.toLowerCase();
+    const ms = unit && UNIT_MS[unit] ? value * UNIT_MS[unit] : undefined;
+    constraints.push({ type: "limit", value, unit, ms, text: m[0].trim() });
+  }
+
+  IN_LANGUAGE_RE.lastIndex = 0;
+  for (const m of raw.matchAll(IN_LANGUAGE_RE)) {
+    const lang = languageOf(m[1]);
+    if (lang) constraints.push({ type: "language", value: lang, text: m[0] });
+  }
+
+  ONLY_RE.lastIndex = 0;
+  for (const m of raw.matchAll(ONLY_RE)) constraints.push({ type: "only", value: m[1], text: m[0] });
+  return constraints;
+}
+
+/**
+ * Full analysis stored on each command record as `analysis`. `locale` is the one the command was
+ * tokenized in (tokenizer.js): the pinned one, or detected when `locale` is missing or "auto".
+ * @returns {{ intent, confidence, verbs, alternatives, entities, constraints, locale }}
+ */
+export function analyzeCommand(raw, tokens, pipeline, locale) {
+  const intent = detectIntent(tokens, pipeline);
+  return {
+    ...intent,
+    entities: extractEntities(raw, intent),
+    constraints: extractConstraints(raw, pipeline.lexicon.stop),
+    locale: pipeline.localeOf(raw, locale),
+  };
+}
+
+export function describeIntent(analysis) {
+  if (!analysis || analysis.intent === "unknown") return null;
+  return INTENTS[analysis.intent].text;
+}
+
+// labelled entity lists for templates and plans
+export function entityFacts(entities) {
+  const facts = [];
+  if (entities.urls.length) facts.push({ label: "URLs", value: entities.urls.join(", ") });
+  if (entities.paths.length) facts.push({ label: "Paths", value: entities.paths.join(", ") });
+  if (entities.languages.length) facts.push({ label: "Languages", value: entities.languages.join(", ") });
+  if (entities.tables.length) facts.push({ label: "Tables/DBs", value: entities.tables.join(", ") });
+  if (entities.durations.length) facts.push({ label: "Durations", value: entities.durations.map((d) => d.text).join(", ") });
+  if (entities.numbers.length) facts.push({ label: "Numbers", value: entities.numbers.join(", ") });
+  return facts;
+}
+export function summarizeEntities(entities) {
+  return entityFacts(entities).map((f) => `${f.label}: ${f.value}`);
+}
+export function summarizeConstraints(constraints) {
+  return constraints.map((c) => `${c.type}: ${c.text}`);
+}
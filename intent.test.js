@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_DICTIONARY } from "./core.js";
+import { extractConstraints, extractEntities } from "./intent.js";
+
+const constraints = (raw) => extractConstraints(raw, DEFAULT_DICTIONARY.stop).map((c) => [c.type, c.value]);
+
+test("an exclusion ends at the first stopword after its target", () => {
+  assert.deepEqual(constraints("without react in typescript"), [["exclude", "react"], ["language", "typescript"]]);
+  assert.deepEqual(constraints("export users except admins to csv"), [["exclude", "admins"]]);
+  assert.deepEqual(constraints("without regex for the logs"), [["exclude", "regex"]]);
+  assert.deepEqual(constraints("skip the header row"), [["exclude", "header row"]]);
+});
+
+test("\"no more than\" is a limit only", () => {
+  assert.deepEqual(constraints("fetch no more than 5 orders"), [["limit", 5]]);
+  assert.deepEqual(constraints("no images"), [["exclude", "images"]]);
+});
+
+test("numbers are whole, never pieces of a version", () => {
+  assert.deepEqual(extractEntities("upgrade to v1.2.3").numbers, []);
+  assert.deepEqual(extractEntities("retry 3 times, wait 2.5.").numbers, [3, 2.5]);
+});
@@ -0,0 +1,278 @@
+/**
+ * Brain planner: turns the whole command history into a structured plan.
+ *
+ * 1. Cluster commands by TF‑IDF cosine (single link: a command joins the cluster of its most
+ *    similar earlier command when the score clears the threshold). The turns of a conversation thread
+ *    (threads.js) always share a cluster.
+ * 2. Each cluster is a goal; clusters holding more than one thread are recurring goals. A thread is one evolving
+ *    goal: its later turns refine the earlier ones, so only its latest turns (the ones nothing follows up) and
+ *    what they read as make the inputs, constraints and steps.
+ * 3. Each goal gets ordered steps: one per (intent, best snippet) pair, ordered by phase
+ *    (acquire → query → transform → create → delete), each depending on the previous phase.
+ *    Operations come from the tags of the snippets matched for that step's commands.
+ *
+ * The result is a JSON plan AST (`buildPlan`) and its pseudocode rendering (`renderPlan`).
+ *
+ * `env` supplies the pipeline pieces so this module stays UI‑free:
+ *   { tokenize(command), surface(token), analyze(command), matchSnippets(tokens, command) -> [{ s, score }] }
+ */
+import { createIndex, scoreQuery } from "./ranking.js";
+import { threadOf, turnText } from "./threads.js";
+
+export const PLAN_VERSION = 1;
+const CLUSTER_THRESHOLD = 0.3;
+const PHASES = ["fetch", "query", "transform", "create", "delete", "unknown"];
+
+// -----------------------------
+// Clustering
+// -----------------------------
+export function clusterCommands(commands, tokensOf, threshold = CLUSTER_THRESHOLD) {
+  const index = createIndex({ text: 1 });
+  commands.forEach((c) => index.add(c.id, { text: tokensOf.get(c.id) }));
+
+  const parent = new Map(commands.map((c) => [c.id, c.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  commands.forEach((c) => {
+    const first = [threadOf(c), c.continues].find((id) => id !== c.id && parent.has(id));
+    if (first) parent.set(find(c.id), find(first));
+  });
+  commands.forEach((c, i) => {
+    if (!i) return;
+    const scores = scoreQuery(index, tokensOf.get(c.id), "tfidf");
+    let best = null;
+    let bestScore = threshold;
+    for (const earlier of commands.slice(0, i)) {
+      const s = scores.get(earlier.id) || 0;
+      if (s >= bestScore) {
+        best = earlier.id;
+        bestScore = s;
+      }
+    }
+    if (best) parent.set(find(c.id), find(best));
+  });
+
+  const groups = new Map();
+  for (const c of commands) {
+    const root = find(c.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(c);
+  }
+  return Array.from(groups.values());
+}
+
+// -----------------------------
+// Plan AST
+// -----------------------------
+function countBy(items) {
+  const counts = new Map();
+  items.forEach((x) => counts.set(x, (counts.get(x) || 0) + 1));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+function goalInputs(analyses) {
+  const inputs = [];
+  const seen = new Set();
+  const add = (kind, value) => {
+    const key = `${kind}:${value}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    inputs.push({ kind, value });
+  };
+  for (const a of analyses) {
+    a.entities.urls.forEach((v) => add("url", v));
+    a.entities.paths.forEach((v) => add("path", v));
+    a.entities.tables.forEach((v) => add("table", v));
+    a.entities.languages.forEach((v) => add("language", v));
+    a.entities.durations.forEach((d) => add("duration", d.text));
+  }
+  return inputs;
+}
+
+function threadCount(cluster) {
+  return new Set(cluster.map(threadOf)).size;
+}
+
+function buildGoal(cluster, n, env, tokensOf) {
+  const id = `g${n}`;
+  // a turn some other command follows up has been refined by it
+  const followed = new Set(cluster.map((c) => c.continues).filter(Boolean));
+  const latest = cluster.filter((c) => !followed.has(c.id));
+  const analyses = latest.map((c) => env.analyze(c));
+  const verbs = new Set(analyses.flatMap((a) => a.verbs));
+  // URL/path fragments ("https", "io") make poor goal names
+  const located = analyses.flatMap((a) => [...a.entities.urls, ...a.entities.paths]).map((x) => x.toLowerCase());
+  const keywords = countBy(latest.flatMap((c) => Array.from(new Set(tokensOf.get(c.id)))))
+    .map(([t]) => env.surface(t))
+    .filter((t) => !verbs.has(t) && !located.some((x) => x.includes(t)))
+    .slice(0, 3);
+  const intent = countBy(analyses.map((a) => a.intent).filter((i) => i !== "unknown"))[0]?.[0] || "unknown";
+
+  // one step per (intent, best snippet); repeated commands fold into the same step
+  const byKey = new Map();
+  latest.forEach((c, i) => {
+    const a = analyses[i];
+    const matches = env.matchSnippets(tokensOf.get(c.id), c);
+    const key = `${a.intent}:${matches[0]?.s.id || "-"}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { intent: a.intent, commands: [], matches: new Map(), firstAt: c.createdAt });
+    }
+    const step = byKey.get(key);
+    step.commands.push(c);
+    matches.forEach(({ s, score }) => {
+      const prev = step.matches.get(s.id);
+      if (!prev || prev.score < score) step.matches.set(s.id, { s, score });
+    });
+  });
+
+  const ordered = Array.from(byKey.values()).sort((x, y) =>
+    PHASES.indexOf(x.intent) - PHASES.indexOf(y.intent) || (x.firstAt < y.firstAt ? -1 : 1)
+  );
+
+  const steps = [];
+  ordered.forEach((st, i) => {
+    const matches = Array.from(st.matches.values()).sort((a, b) => b.score - a.score);
+    const phase = PHASES.indexOf(st.intent);
+    const prevPhase = Math.max(-1, ...steps.map((x) => PHASES.indexOf(x.action)).filter((p) => p < phase));
+    steps.push({
+      type: "Step",
+      id: `${id}.s${i + 1}`,
+      action: st.intent,
+      description: turnText(st.commands[st.commands.length - 1]).replace(/\s+/g, " "),
+      commands: st.commands.map((c) => c.id),
+      operations: matches.map(({ s, score }) => ({
+        snippetId: s.id,
+        title: s.title,
+        language: s.language,
+        tags: s.tags,
+        score: Math.round(score * 1000),
+      })),
+      dependsOn: prevPhase < 0 ? [] : steps.filter((x) => PHASES.indexOf(x.action) === prevPhase).map((x) => x.id),
+    });
+  });
+
+  return {
+    type: "Goal",
+    id,
+    label: [intent, ...keywords].join(" · "),
+    intent,
+    keywords,
+    recurring: threadCount(cluster) > 1,
+    threads: threadCount(cluster),
+    refined: cluster.filter((c) => c.continues).length,
+    commands: cluster.map((c) => c.id),
+    inputs: goalInputs(analyses),
+    constraints: Array.from(new Set(analyses.flatMap((a) => a.constraints.map((x) => `${x.type}: ${x.text}`)))),
+    steps,
+  };
+}
+
+export function buildPlan(commands, env, { now = new Date().toISOString() } = {}) {
+  const tokensOf = new Map(commands.map((c) => [c.id, env.tokenize(c)]));
+  const clusters = clusterCommands(commands, tokensOf)
+    // recurring goals first, then most recent activity
+    .sort((a, b) => threadCount(b) - threadCount(a) || (a[a.length - 1].createdAt < b[b.length - 1].createdAt ? 1 : -1));
+  return {
+    type: "Plan",
+    version: PLAN_VERSION,
+    generatedAt: now,
+    commandCount: commands.length,
+    goals: clusters.map((cluster, i) => buildGoal(cluster, i + 1, env, tokensOf)),
+  };
+}
+
+// -----------------------------
+// Pseudocode rendering
+// -----------------------------
+export function renderPlan(plan) {
+  if (!plan.commandCount) return "# No commands yet. Add one above.";
+  const recurring = plan.goals.filter((g) => g.recurring).length;
+  const lines = [
+    "# PSEUDOCODE PLAN (auto-generated)",
+    `# ${plan.commandCount} command(s) → ${plan.goals.length} goal(s), ${recurring} recurring · ${plan.generatedAt}`,
+  ];
+  for (const g of plan.goals) {
+    const marks = [
+      g.recurring && `recurring ×${g.threads ?? g.commands.length}`,
+      g.refined && `refined ×${g.refined}`,
+    ].filter(Boolean);
+    lines.push("", `GOAL ${g.id}: ${g.label}${marks.length ? `   [${marks.join(", ")}]` : ""}`);
+    if (g.inputs.length) {
+      lines.push("  INPUTS");
+      g.inputs.forEach((x) => lines.push(`    ${x.kind} = ${x.value}`));
+    }
+    if (g.constraints.length) {
+      lines.push("  CONSTRAINTS");
+      g.constraints.forEach((c) => lines.push(`    ${c}`));
+    }
+    lines.push("  STEPS");
+    g.steps.forEach((s, i) => {
+      const tags = Array.from(new Set(s.operations.flatMap((o) => o.tags)));
+      const after = s.dependsOn.length ? `   AFTER ${s.dependsOn.join(", ")}` : "";
+      lines.push(`    ${i + 1}. [${s.id}] ${s.action.toUpperCase()}${tags.length ? ` ${tags.join(", ")}` : ""}${after}`);
+      lines.push(`         ← "${s.description}"${s.commands.length > 1 ? ` (+${s.commands.length - 1} similar)` : ""}`);
+      s.operations.slice(0, 2).forEach((o) => lines.push(`         use ${o.title} (${o.language}, ${o.score}/1000)`));
+    });
+  }
+  return lines.join("\n");
+}
+
+// -----------------------------
+// Run history: command snapshots, plan facets and trimming
+// -----------------------------
+export const MAX_RUNS = 30;
+
+// compact record of the history a run was planned from
+export function snapshotCommands(commands) {
+  return commands.map((c) => ({ id: c.id, raw: c.raw.slice(0, 160) }));
+}
+
+// commands added/removed since `prev` (no `prev`: everything is new); null when a run has no snapshot
+export function commandDelta(prev, run) {
+  if (!run.commands || (prev && !prev.commands)) return null;
+  if (!prev) return { added: run.commands, removed: [] };
+  const had = new Set(prev.commands.map((c) => c.id));
+  const has = new Set(run.commands.map((c) => c.id));
+  return {
+    added: run.commands.filter((c) => !had.has(c.id)),
+    removed: prev.commands.filter((c) => !has.has(c.id)),
+  };
+}
+
+// whether `commands` differ from what the last run was planned from
+export function hasNewCommands(lastRun, commands) {
+  if (!lastRun) return commands.length > 0;
+  const delta = commandDelta(lastRun, { commands: snapshotCommands(commands) });
+  return !delta || delta.added.length > 0 || delta.removed.length > 0;
+}
+
+export function planFacets(plan) {
+  if (!plan) return { goals: [], keywords: [], steps: [] };
+  return {
+    goals: plan.goals.map((g) => g.label),
+    keywords: Array.from(new Set(plan.goals.flatMap((g) => g.keywords))),
+    steps: plan.goals.flatMap((g) => g.steps.map((s) => `${s.action}: ${s.description}`)),
+  };
+}
+
+// what appeared / disappeared between two plans, per facet
+export function comparePlans(before, after) {
+  const a = planFacets(before);
+  const b = planFacets(after);
+  const added = {};
+  const removed = {};
+  for (const k of Object.keys(a)) {
+    added[k] = b[k].filter((x) => !a[k].includes(x));
+    removed[k] = a[k].filter((x) => !b[k].includes(x));
+  }
+  return { added, removed };
+}
+
+// newest first; pinned runs are kept regardless of age
+export function trimRuns(runs, max = MAX_RUNS) {
+  const pinned = runs.filter((r) => r.pinned).length;
+  let budget = Math.max(0, max - pinned);
+  return runs.filter((r) => r.pinned || budget-- > 0);
+}
@@ -0,0 +1,134 @@
+/**
+ * Polarity and opposition between commands.
+ *
+ * `polarityOf` marks every pipeline token as asserted or negated. A negation cue (not, no, never,
+ * without, except, …, and "n't") opens a scope that runs to the next clause boundary (punctuation,
+ * "but", "and", "then", …) and covers at most SCOPE_MAX content words: in "don't include logs, compress
+ * the rest" only `include` and `log` are negated.
+ *
+ * `opposition` compares two polarities and lists the term pairs that clash:
+ *   - antonym:  the same polarity on opposite words ("build a site" / "destroy the site"),
+ *   - negation: the same word (or a synonym) with flipped polarity ("include logs" / "without logs").
+ * An antonym under negation agrees rather than clashes ("don't destroy" / "build"). The caller weighs the
+ * clash strength against the topic both commands share (core.js).
+ */
+
+import { normalize } from "./tokenizer.js";
+
+// English first, then the dictionary locales (tokenizer.js); words are compared normalized ("não" -> "nao")
+const CUES = new Set([
+  "not", "no", "never", "without", "except", "excluding", "nor", "neither", "none",
+  "nicht", "kein", "keine", "keinen", "ohne", "nie", "ausser",
+  "sin", "nunca", "ni", "excepto",
+  "ne", "pas", "sans", "jamais", "sauf",
+  "nao", "sem", "nem",
+  "не", "без", "нет", "никогда", "кроме",
+]);
+const BOUNDARY_WORDS = new Set([
+  "but", "and", "then", "however", "although", "though", "while", "instead",
+  "aber", "und", "dann", "sondern", "pero", "y", "luego", "sino", "mais", "et", "puis", "mas", "e", "depois", "но", "и", "потом", "а",
+]);
+const SCOPE_MAX = 3;
+
+// "don't" -> "not", "can’t" -> "ca not"; the apostrophe would otherwise split off a lone "t"
+function expandContractions(raw) {
+  return (raw || "").replace(/\b(?:do|does|did)n['’]t\b/gi, "not").replace(/n['’]t\b/gi, " not");
+}
+
+/**
+ * `locale` pins the command's locale (tokenizer.js); without it the whole command is detected once,
+ * so every word is tokenized in the same locale.
+ * @returns {{ terms: { term, negated, cue?, scope? }[], cues: string[] }}  one entry per content token, in order;
+ *   negated terms carry the index of their cue in `cues` as `scope`
+ */
+export function polarityOf(raw, pipeline, locale) {
+  const terms = [];
+  const cues = [];
+  const lang = pipeline.localeOf(raw, locale);
+  for (const clause of expandContractions(raw).split(/[,;:!?()\n。、，；！？]+|\.(?=\s|$)/)) {
+    let cue = null;
+    let left = 0;
+    for (const word of clause.split(/\s+/).filter(Boolean)) {
+      const lower = normalize(word).replace(/[^\p{L}]/gu, "");
+      if (CUES.has(lower)) {
+        cue = lower;
+        left = SCOPE_MAX;
+        cues.push(lower);
+        continue;
+      }
+      if (BOUNDARY_WORDS.has(lower)) {
+        left = 0;
+        continue;
+      }
+      for (const term of pipeline.tokenize(word, { locale: lang })) {
+        terms.push(left > 0 ? { term, negated: true, cue, scope: cues.length - 1 } : { term, negated: false });
+        left = Math.max(0, left - 1);
+      }
+    }
+  }
+  return { terms, cues };
+}
+
+function sameConcept(a, b, synonyms) {
+  return a === b || Boolean(synonyms[a]?.includes(b) || synonyms[b]?.includes(a));
+}
+
+// antonyms of `t` and of every synonym group it belongs to ("make" opposes "destroy" through "build")
+function opposites(t, lexicon) {
+  const out = new Set(lexicon.antonyms[t] || []);
+  for (const [head, words] of Object.entries(lexicon.synonyms)) {
+    if (head !== t && !words.includes(t)) continue;
+    [head, ...words].forEach((w) => (lexicon.antonyms[w] || []).forEach((a) => out.add(a)));
+  }
+  return out;
+}
+
+/**
+ * Term pairs where `a` and `b` contradict each other, and how strongly they do overall (0..1).
+ * A negation scope counts once however many of its words clash ("not the site" vs "the site" is no
+ * second disagreement), and not at all when an antonym inside it agrees ("don't destroy" vs "build").
+ * Every counted clash halves the remaining distance to 1.
+ * @returns {{ strength, clashes: { kind: "antonym" | "negation", a: { term, negated }, b: { term, negated } }[] }}
+ */
+export function opposition(a, b, lexicon) {
+  const oppositesOf = new Map();
+  const pairs = [];
+  for (const x of a.terms) {
+    if (!oppositesOf.has(x.term)) oppositesOf.set(x.term, opposites(x.term, lexicon));
+    for (const y of b.terms) pairs.push([x, y, oppositesOf.get(x.term).has(y.term)]);
+  }
+
+  // scopes whose negation is resolved by an antonym on the other side
+  const agreeing = new Set();
+  for (const [x, y, opposed] of pairs) {
+    if (!opposed || x.negated === y.negated) continue;
+    agreeing.add(x.negated ? `a${x.scope}` : `b${y.scope}`);
+  }
+
+  const clashes = [];
+  const units = new Set();
+  const seen = new Set();
+  for (const [x, y, opposed] of pairs) {
+    let kind = null;
+    let unit = null;
+    if (x.negated === y.negated && opposed) {
+      kind = "antonym";
+      unit = `${x.term}:${y.term}`;
+    } else if (x.negated !== y.negated && sameConcept(x.term, y.term, lexicon.synonyms)) {
+      unit = x.negated ? `a${x.scope}` : `b${y.scope}`;
+      if (!agreeing.has(unit)) kind = "negation";
+    }
+    const key = `${kind}:${x.term}:${x.negated}:${y.term}:${y.negated}`;
+    if (!kind || seen.has(key)) continue;
+    seen.add(key);
+    units.add(unit);
+    clashes.push({ kind, a: { term: x.term, negated: x.negated }, b: { term: y.term, negated: y.negated } });
+  }
+  return { strength: 1 - 0.5 ** units.size, clashes };
+}
+
+// a clash pair for display: "build ⟷ destroy", "include ⟷ not include"
+export function describeClash({ a, b }, surface = (t) => t) {
+  const side = ({ term, negated }) => `${negated ? "not " : ""}${surface(term)}`;
+  return `${side(a)} ⟷ ${side(b)}`;
+}
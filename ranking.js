@@ -0,0 +1,176 @@
+/**
+ * Ranking engine: incremental inverted index + pluggable scorers.
+ *
+ * Documents are indexed as already‑tokenized fields (`{ title: [...], tags: [...], code: [...] }`),
+ * so the index stays independent of the tokenizer. Each index has fixed field weights; a term's
+ * weighted frequency in a document is Σ weight(field) · tf(field).
+ *
+ * Every scorer returns scores in 0..1 so callers can keep mapping them onto spectrum01k.
+ */
+
+// -----------------------------
+// Inverted index
+// -----------------------------
+export function createIndex(fieldWeights) {
+  const postings = new Map(); // term -> Map<docId, Map<field, tf>>
+  const docs = new Map(); // docId -> { src, lengths: { field: n }, terms: Set<term> }
+  const totals = Object.fromEntries(Object.keys(fieldWeights).map((f) => [f, 0]));
+
+  function add(id, fields, src = null) {
+    if (docs.has(id)) remove(id);
+    const lengths = {};
+    const terms = new Set();
+    for (const field of Object.keys(fieldWeights)) {
+      const tokens = fields[field] || [];
+      lengths[field] = tokens.length;
+      totals[field] += tokens.length;
+      for (const t of tokens) {
+        terms.add(t);
+        if (!postings.has(t)) postings.set(t, new Map());
+        const perDoc = postings.get(t);
+        if (!perDoc.has(id)) perDoc.set(id, new Map());
+        const perField = perDoc.get(id);
+        perField.set(field, (perField.get(field) || 0) + 1);
+      }
+    }
+    docs.set(id, { src, lengths, terms });
+  }
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const t of doc.terms) {
+      const perDoc = postings.get(t);
+      perDoc.delete(id);
+      if (!perDoc.size) postings.delete(t);
+    }
+    for (const [field, n] of Object.entries(doc.lengths)) totals[field] -= n;
+    docs.delete(id);
+  }
+
+  // Brings the index in line with `records`: adds new ids, drops missing ones and
+  // re‑indexes records whose object identity changed (i.e. were edited).
+  function sync(records, toFields) {
+    const seen = new Set();
+    for (const r of records) {
+      seen.add(r.id);
+      if (docs.get(r.id)?.src !== r) add(r.id, toFields(r), r);
+    }
+    for (const id of Array.from(docs.keys())) {
+      if (!seen.has(id)) remove(id);
+    }
+  }
+
+  function clear() {
+    postings.clear();
+    docs.clear();
+    for (const f of Object.keys(totals)) totals[f] = 0;
+  }
+
+  return {
+    fieldWeights,
+    add,
+    remove,
+    sync,
+    clear,
+    get size() { return docs.size; },
+    has: (id) => docs.has(id),
+    docFreq: (t) => postings.get(t)?.size || 0,
+    postings: (t) => postings.get(t),
+    doc: (id) => docs.get(id),
+    avgLength: (field) => (docs.size ? totals[field] / docs.size : 0),
+  };
+}
+
+function weightedTf(index, perField) {
+  let tf = 0;
+  perField.forEach((n, field) => { tf += index.fieldWeights[field] * n; });
+  return tf;
+}
+
+function queryCounts(tokens) {
+  const q = new Map();
+  tokens.forEach((t) => q.set(t, (q.get(t) || 0) + 1));
+  return q;
+}
+
+// -----------------------------
+// Scorers: (index, queryTokens) -> Map<docId, score in 0..1>
+// -----------------------------
+function tfidfIdf(index, t) {
+  return Math.log((index.size + 1) / (index.docFreq(t) + 1)) + 1;
+}
+
+export function tfidfCosine(index, queryTokens) {
+  const scores = new Map();
+  if (!queryTokens.length || !index.size) return scores;
+
+  const q = queryCounts(queryTokens);
+  let qNorm = 0;
+  const qWeights = new Map();
+  q.forEach((n, t) => {
+    const w = (1 + Math.log(n)) * tfidfIdf(index, t);
+    qWeights.set(t, w);
+    qNorm += w * w;
+  });
+
+  const dots = new Map();
+  qWeights.forEach((qw, t) => {
+    const idf = tfidfIdf(index, t);
+    index.postings(t)?.forEach((perField, id) => {
+      const dw = (1 + Math.log(weightedTf(index, perField))) * idf;
+      dots.set(id, (dots.get(id) || 0) + qw * dw);
+    });
+  });
+
+  dots.forEach((dot, id) => {
+    let dNorm = 0;
+    for (const t of index.doc(id).terms) {
+      const dw = (1 + Math.log(weightedTf(index, index.postings(t).get(id)))) * tfidfIdf(index, t);
+      dNorm += dw * dw;
+    }
+    scores.set(id, Math.min(1, dot / Math.sqrt(qNorm * dNorm)));
+  });
+  return scores;
+}
+
+// BM25F: per‑field length normalization, weighted sum, then the usual saturation.
+// Normalized by the score of an average‑length document holding each query term once in its
+// heaviest field, so an identical single‑field document still reaches 1.
+export function bm25(index, queryTokens, { k1 = 1.2, b = 0.75 } = {}) {
+  const scores = new Map();
+  if (!queryTokens.length || !index.size) return scores;
+
+  const idf = (t) => {
+    const n = index.docFreq(t);
+    return Math.log(1 + (index.size - n + 0.5) / (n + 0.5));
+  };
+  const terms = Array.from(new Set(queryTokens));
+  const wMax = Math.max(...Object.values(index.fieldWeights));
+  const ideal = terms.reduce((sum, t) => sum + idf(t), 0) * (wMax * (k1 + 1)) / (wMax + k1);
+
+  for (const t of terms) {
+    const w = idf(t);
+    index.postings(t)?.forEach((perField, id) => {
+      const { lengths } = index.doc(id);
+      let tf = 0;
+      perField.forEach((n, field) => {
+        const avg = index.avgLength(field) || 1;
+        tf += index.fieldWeights[field] * n / (1 - b + b * lengths[field] / avg);
+      });
+      scores.set(id, (scores.get(id) || 0) + w * (tf * (k1 + 1)) / (tf + k1));
+    });
+  }
+  scores.forEach((v, id) => scores.set(id, ideal > 0 ? Math.min(1, v / ideal) : 0));
+  return scores;
+}
+
+export const SCORERS = {
+  tfidf: { label: "TF‑IDF cosine", score: tfidfCosine },
+  bm25: { label: "BM25", score: bm25 },
+};
+
+// Map<docId, score>; ids missing from the map scored 0.
+export function scoreQuery(index, queryTokens, scorerName) {
+  return (SCORERS[scorerName] || SCORERS.tfidf).score(index, queryTokens);
+}
@@ -0,0 +1,271 @@
+/**
+ * Enhancement rule engine: the passes that turn the verbose interpretation (panel 2) into the enhanced text
+ * (panel 3), with a trace of what every rule did.
+ *
+ * The dictionary (core.js) holds an ordered list of passes:
+ *   { id, name, enabled, scope: "all" | "facts", fixpoint, rules: Rule[] }
+ * and each pass applies its rules in order. Rule types (RULE_TYPES):
+ *   regex     { type: "regex", pattern: RegExp, replace: string }   `replace` understands $1, $<name>, $&, …
+ *   synonyms  { type: "synonyms" }   every synonym in the dictionary (all locales) becomes its group's head word,
+ *                                    so "make"/"generate"/"erstellen" all read "build"
+ * A "facts" pass only touches the `## Facts` section of the text. A fixpoint pass repeats until the text stops
+ * changing, at most MAX_ROUNDS times; a text it already produced in an earlier round ends it as a cycle.
+ *
+ * `enhance` returns the text and a trace per pass: rounds, why it stopped, and per rule the match count, the
+ * changed spans (before → after, at most SPAN_MAX) and the earlier rules whose change it reverted.
+ */
+
+export const MAX_ROUNDS = 10;
+const SPAN_MAX = 20;
+
+export const SCOPES = {
+  all: { label: "whole text" },
+  facts: { label: "Facts section" },
+};
+
+// [start, end) of every `## Facts` section, up to the next heading
+function scopeRanges(text, scope) {
+  if (scope !== "facts") return [[0, text.length]];
+  const ranges = [];
+  const heading = /^#{1,6}[ \t]+(.*)$/gm;
+  let open = null;
+  for (const m of text.matchAll(heading)) {
+    if (open !== null) ranges.push([open, m.index]);
+    open = /^facts\b/i.test(m[1].trim()) ? m.index + m[0].length : null;
+  }
+  if (open !== null) ranges.push([open, text.length]);
+  return ranges;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// word -> head of its synonym group, over the base groups and every locale's; the first group wins
+function synonymHeads(dict) {
+  const heads = new Map();
+  const groups = [dict.synonyms, ...Object.values(dict.locales || {}).map((l) => l.synonyms)];
+  for (const group of groups) {
+    for (const [head, words] of Object.entries(group || {})) {
+      for (const w of words) if (w !== head && !heads.has(w.toLowerCase())) heads.set(w.toLowerCase(), head);
+    }
+  }
+  return heads;
+}
+
+/**
+ * Each rule type compiles to `{ pattern, replace }`, `replace` being a replacement string or a function of the
+ * match. `describe` labels a rule in traces and editors.
+ */
+export const RULE_TYPES = {
+  regex: {
+    label: "regex",
+    compile: (rule) => ({ pattern: rule.pattern, replace: rule.replace }),
+    describe: (rule) => `${rule.pattern} → "${rule.replace}"`,
+  },
+  synonyms: {
+    label: "canonical synonyms",
+    compile: (rule, dict) => {
+      const heads = synonymHeads(dict);
+      if (!heads.size) return null;
+      // longest first, so "web site" wins over "web"
+      const words = [...heads.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+      return {
+        pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join("|")})(?![\\p{L}\\p{N}])`, "giu"),
+        replace: (m) => {
+          const head = heads.get(m.toLowerCase());
+          return m[0] !== m[0].toLowerCase() ? head[0].toUpperCase() + head.slice(1) : head;
+        },
+      };
+    },
+    describe: () => "synonyms → head word (dictionary)",
+  },
+};
+
+// Message for a rule that cannot run, or null.
+export function checkRule(rule) {
+  if (!rule || !RULE_TYPES[rule.type]) return `rule type must be one of ${Object.keys(RULE_TYPES).join(", ")}`;
+  if (rule.type === "regex" && !(rule.pattern instanceof RegExp)) return "a regex rule needs a pattern";
+  if (rule.type === "regex" && typeof rule.replace !== "string") return "a regex rule needs a replacement";
+  return null;
+}
+
+// Message for a pass that cannot run, or null.
+export function checkPass(pass) {
+  if (!pass || typeof pass !== "object") return "not a pass";
+  if (typeof pass.id !== "string" || !pass.id) return "a pass needs an id";
+  if (typeof pass.name !== "string") return "a pass needs a name";
+  if (!SCOPES[pass.scope ?? "all"]) return `scope must be one of ${Object.keys(SCOPES).join(", ")}`;
+  if (!Array.isArray(pass.rules)) return "a pass needs a list of rules";
+  return null;
+}
+
+export function describeRule(rule) {
+  return rule?.name || RULE_TYPES[rule?.type]?.describe(rule) || `unknown rule "${rule?.type}"`;
+}
+
+/**
+ * `text` with one compiled rule applied inside `ranges`, and what it matched. The replacement of every match is
+ * computed the way String#replace computes it (a sticky copy of the pattern re-run at the match), so spans show
+ * exactly what each match turned into.
+ */
+function applyRule(text, { pattern, replace }, ranges) {
+  const sticky = typeof replace === "string" && new RegExp(pattern.source, `${pattern.flags.replace(/[gy]/g, "")}y`);
+  let matches = 0;
+  const spans = [];
+  let out = text;
+  // last range first, so the earlier offsets stay valid
+  for (const [start, end] of [...ranges].reverse()) {
+    const slice = out.slice(start, end);
+    const replaced = slice.replace(pattern, (...args) => {
+      const match = args[0];
+      const offset = typeof args[args.length - 1] === "string" ? args[args.length - 2] : args[args.length - 3];
+      let after;
+      if (sticky) {
+        sticky.lastIndex = offset;
+        const whole = slice.replace(sticky, replace);
+        after = whole.slice(offset, whole.length - (slice.length - offset - match.length));
+      } else {
+        after = replace(match);
+      }
+      matches++;
+      if (after !== match) spans.push({ at: start + offset, before: match, after });
+      return after;
+    });
+    out = out.slice(0, start) + replaced + out.slice(end);
+  }
+  spans.sort((a, b) => a.at - b.at);
+  return { text: out, matches, spans };
+}
+
+/**
+ * Runs the dictionary's passes over `text`.
+ * @returns {{ text, trace: { id, name, scope, enabled, fixpoint, rounds, stop: "disabled" | "once" | "fixpoint" | "cycle" | "guard",
+ *   rules: { index, type, label, matches, changes, spans: { at, before, after }[], undid: { pass, rule, label }[], error? }[] }[] }}
+ */
+export function enhance(text, dict) {
+  const trace = [];
+  // every change so far, to spot a rule putting back what an earlier one replaced
+  const applied = [];
+  let out = text;
+
+  for (const pass of dict.passes || []) {
+    const entry = {
+      id: pass.id, name: pass.name, scope: pass.scope || "all", enabled: pass.enabled !== false, fixpoint: Boolean(pass.fixpoint),
+      rounds: 0, stop: "disabled",
+      rules: pass.rules.map((rule, index) => ({ index, type: rule.type, label: describeRule(rule), matches: 0, changes: 0, spans: [], undid: [] })),
+    };
+    trace.push(entry);
+    if (!entry.enabled) continue;
+
+    const compiled = pass.rules.map((rule, i) => {
+      const problem = checkRule(rule);
+      if (problem) entry.rules[i].error = problem;
+      return problem ? null : RULE_TYPES[rule.type].compile(rule, dict);
+    });
+    const seen = new Set([out]);
+    entry.stop = "once";
+    for (;;) {
+      const before = out;
+      entry.rounds++;
+      compiled.forEach((c, i) => {
+        if (!c) return;
+        const r = applyRule(out, c, scopeRanges(out, entry.scope));
+        const t = entry.rules[i];
+        t.matches += r.matches;
+        t.changes += r.spans.length;
+        t.spans.push(...r.spans.slice(0, SPAN_MAX - t.spans.length));
+        for (const s of r.spans) {
+          const undone = applied.find((a) => a.before === s.after && a.after === s.before && !(a.pass === pass.id && a.rule === i));
+          if (undone && !t.undid.some((u) => u.pass === undone.pass && u.rule === undone.rule)) {
+            t.undid.push({ pass: undone.pass, rule: undone.rule, label: undone.label });
+          }
+          applied.push({ pass: pass.id, rule: i, label: t.label, before: s.before, after: s.after });
+        }
+        out = r.text;
+      });
+      if (!entry.fixpoint) break;
+      if (out === before) {
+        entry.stop = "fixpoint";
+        break;
+      }
+      if (seen.has(out)) {
+        entry.stop = "cycle";
+        break;
+      }
+      if (entry.rounds >= MAX_ROUNDS) {
+        entry.stop = "guard";
+        break;
+      }
+      seen.add(out);
+    }
+  }
+  return { text: out.trim(), trace };
+}
+
+const STOPS = { once: "", fixpoint: "settled", cycle: "stopped: the passes cycle", guard: `stopped after ${MAX_ROUNDS} rounds` };
+
+// The trace as text, one line per pass and per rule that matched (cli.js).
+export function describeTrace(trace) {
+  const lines = [];
+  for (const p of trace) {
+    if (!p.enabled) {
+      lines.push(`${p.name}: off`);
+      continue;
+    }
+    const how = [SCOPES[p.scope].label, p.fixpoint && "to fixpoint"].filter(Boolean).join(", ");
+    lines.push(`${p.name} (${how}): ${p.rounds} round${p.rounds === 1 ? "" : "s"}${STOPS[p.stop] ? `, ${STOPS[p.stop]}` : ""}`);
+    for (const r of p.rules) {
+      if (r.error) lines.push(`  #${r.index + 1} ${r.label}: ${r.error}`);
+      if (!r.matches) continue;
+      const spans = r.spans.slice(0, 3).map((x) => `${JSON.stringify(x.before)} → ${JSON.stringify(x.after)}`).join(", ");
+      lines.push(`  #${r.index + 1} ${r.label}: ${r.matches} match${r.matches === 1 ? "" : "es"}, ${r.changes} changed${spans ? `  ${spans}` : ""}`);
+      for (const u of r.undid) lines.push(`     undoes ${u.pass} #${u.rule + 1} ${u.label}`);
+    }
+  }
+  return lines;
+}
+
+// a pass holding the old flat `replacements` list (dictionary v3 and older exports)
+export function passFromReplacements(replacements) {
+  return {
+    id: "replacements", name: "Replacements", enabled: true, scope: "all", fixpoint: false,
+    rules: replacements.map((r) => ({ type: "regex", pattern: r.pattern, replace: r.replace })),
+  };
+}
+
+/**
+ * Valid passes from an import; broken rules and passes are skipped with a warning.
+ * @param at  where the list came from, for the warnings
+ */
+export function validatePasses(list, at, warnings) {
+  const out = [];
+  list.forEach((pass, i) => {
+    const problem = checkPass(pass);
+    if (problem || out.some((p) => p.id === pass.id)) {
+      warnings.push(`${at}[${i}]: ${problem || `duplicate pass "${pass.id}"`}, skipped.`);
+      return;
+    }
+    const rules = pass.rules.filter((rule, j) => {
+      const bad = checkRule(rule);
+      if (bad) warnings.push(`${at}[${i}].rules[${j}]: ${bad}, skipped.`);
+      return !bad;
+    });
+    out.push({
+      id: pass.id, name: pass.name, enabled: pass.enabled !== false, scope: pass.scope || "all", fixpoint: Boolean(pass.fixpoint), rules,
+    });
+  });
+  return out;
+}
+
+// `current` with the incoming passes added; a pass both have gets the incoming rules it lacks
+export function mergePasses(current, incoming) {
+  const key = (rule) => (rule.type === "regex" ? `regex:${rule.pattern}` : rule.type);
+  const out = current.map((pass) => {
+    const other = incoming.find((p) => p.id === pass.id);
+    if (!other) return pass;
+    const have = new Set(pass.rules.map(key));
+    return { ...pass, rules: [...pass.rules, ...other.rules.filter((r) => !have.has(key(r)))] };
+  });
+  return [...out, ...incoming.filter((p) => !current.some((c) => c.id === p.id))];
+}
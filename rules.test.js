@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_DICTIONARY, STORE_SCHEMAS } from "./core.js";
+import { enhance } from "./rules.js";
+import { migrate } from "./storage.js";
+
+const TEXT = `# Interpretation
+## Facts
+- **Command:** make  a   website .
+
+## Intent
+- The user most likely wants to make a site.
+
+## Output
+- Summary: make it
+`;
+
+// the default passes with the (off by default) facts-scoped canonical synonyms pass switched on
+const DICTIONARY = { ...DEFAULT_DICTIONARY, passes: DEFAULT_DICTIONARY.passes.map((pass) => ({ ...pass, enabled: true })) };
+
+test("a facts-scoped pass leaves the other sections alone after the default passes", () => {
+  const { text } = enhance(TEXT, DICTIONARY);
+  const [facts, rest] = text.split("## Intent");
+  assert.ok(rest !== undefined, text);
+  assert.match(facts, /- \*\*Command:\*\* build a website\./);
+  assert.match(rest, /wants to make a site\./);
+  assert.match(rest, /Summary: make it/);
+  // headings stay on lines of their own
+  assert.deepEqual(text.match(/^#{1,6} .*$/gm), ["# Interpretation", "## Facts", "## Intent", "## Output"]);
+});
+
+test("dictionaries stored with the v4 spacing rules keep their line breaks", () => {
+  const v4 = {
+    ...DICTIONARY,
+    passes: DICTIONARY.passes.map((pass) => (pass.id !== "spacing" ? pass : {
+      ...pass,
+      rules: [{ type: "regex", pattern: /\s{2,}/g, replace: " " }, { type: "regex", pattern: /\s+([,.;:])/g, replace: "$1" }],
+    })),
+  };
+  const upgraded = migrate("dictionary", STORE_SCHEMAS.dict, 4, v4);
+  const spacing = upgraded.passes.find((pass) => pass.id === "spacing");
+  assert.deepEqual(spacing.rules.map((r) => r.pattern.source), ["[ \\t]{2,}", "[ \\t]+([,.;:])"]);
+  assert.equal(enhance(TEXT, upgraded).text, enhance(TEXT, DICTIONARY).text);
+});
@@ -0,0 +1,453 @@
+/**
+ * Snippet validation and sandboxed execution.
+ *
+ * - `checkSyntax`: JavaScript is parsed for real (as an async function body, imports rewritten, nothing runs);
+ *   every other language gets a tokenizer‑level check that strings, comments and brackets are closed.
+ * - `runScript`: runs JavaScript in a Web Worker (browser) or a worker thread with a fresh `vm` context (Node),
+ *   terminated after a timeout. There is no real network or file system inside: `fetch` answers with a mock
+ *   response, `node:fs/promises` writes to memory, every `console` call is captured, and a sample `text` is
+ *   predefined for snippets that transform text. In Node everything the snippet sees is built inside the
+ *   context from source and only strings and numbers cross into it, so no function leads back to the worker's
+ *   `Function` (and from there to `process`); its timers are driven from outside.
+ */
+import { fillSnippet } from "./codegen.js";
+
+export const SAMPLE_TEXT = "foo bar foo baz";
+const DEFAULT_TIMEOUT_MS = 3000;
+const RUNNABLE = new Set(["javascript", "js", "node"]);
+
+export function canRun(language) {
+  return RUNNABLE.has(language);
+}
+
+// -----------------------------
+// Imports -> awaited lookups in the sandbox's module table
+// -----------------------------
+const IMPORT_RE = /^[ \t]*import\s+(?:([\w$]+)\s*,?\s*)?(?:\*\s+as\s+([\w$]+)|\{([^}]*)\})?\s*(?:from\s+)?(["'])([^"']+)\4\s*;?[ \t]*$/gm;
+
+function rewriteImports(code) {
+  return code
+    .replace(IMPORT_RE, (m, def, ns, named, q, name) => {
+      const from = `await __import(${JSON.stringify(name)})`;
+      if (ns) return `const ${ns} = ${from};`;
+      const parts = [];
+      if (def) parts.push(`default: ${def}`);
+      if (named) named.split(",").map((x) => x.trim()).filter(Boolean).forEach((x) => parts.push(x.replace(/\s+as\s+/, ": ")));
+      return parts.length ? `const { ${parts.join(", ")} } = ${from};` : `${from};`;
+    })
+    .replace(/^([ \t]*)export\s+(?:default\s+)?/gm, "$1");
+}
+
+// -----------------------------
+// Syntax checks
+// -----------------------------
+const LINE_COMMENTS = { python: ["#"], bash: ["#"], ruby: ["#"], r: ["#"], yaml: ["#"], sql: ["--"], lua: ["--"], haskell: ["--"] };
+const NO_BLOCK_COMMENTS = new Set(["python", "bash", "ruby", "r", "yaml", "haskell", "lua"]);
+const QUOTES = {
+  python: ['"""', "'''", '"', "'"],
+  bash: ['"', "'"],
+  sql: ["'", '"'],
+  ruby: ['"', "'"],
+  go: ['"', "'", "`"],
+  rust: ['"'],
+};
+const PAIRS = { "(": ")", "[": "]", "{": "}" };
+const CLOSERS = { ")": "(", "]": "[", "}": "{" };
+
+/**
+ * Unclosed strings, comments and brackets, with line numbers. Language aware only as far as
+ * comment markers and quote styles go.
+ * @returns {{ line, message }[]}
+ */
+export function checkBalance(code, language) {
+  const lineComments = LINE_COMMENTS[language] || ["//"];
+  const blockComments = NO_BLOCK_COMMENTS.has(language) ? [] : [["/*", "*/"]];
+  const quotes = QUOTES[language] || ['"', "'", "`"];
+  const errors = [];
+  const stack = [];
+  let line = 1;
+  let i = 0;
+
+  const skipTo = (end, from) => {
+    const at = code.indexOf(end, from);
+    const stop = at < 0 ? code.length : at + end.length;
+    for (let k = i; k < stop; k++) if (code[k] === "\n") line++;
+    i = stop;
+    return at >= 0;
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+    if (ch === "\n") {
+      line++;
+      i++;
+      continue;
+    }
+    const lc = lineComments.find((m) => code.startsWith(m, i));
+    if (lc) {
+      const nl = code.indexOf("\n", i);
+      i = nl < 0 ? code.length : nl;
+      continue;
+    }
+    const bc = blockComments.find(([open]) => code.startsWith(open, i));
+    if (bc) {
+      const start = line;
+      if (!skipTo(bc[1], i + bc[0].length)) errors.push({ line: start, message: `unclosed comment ${bc[0]}` });
+      continue;
+    }
+    const q = quotes.find((m) => code.startsWith(m, i));
+    if (q) {
+      const start = line;
+      const multiline = q.length === 3 || q === "`";
+      let j = i + q.length;
+      let closed = false;
+      while (j < code.length) {
+        if (code[j] === "\\") {
+          j += 2;
+          continue;
+        }
+        if (code[j] === "\n" && !multiline) break;
+        if (code.startsWith(q, j)) {
+          closed = true;
+          break;
+        }
+        j++;
+      }
+      if (!closed) {
+        errors.push({ line: start, message: `unterminated string starting with ${q}` });
+        for (let k = i; k < j; k++) if (code[k] === "\n") line++;
+        i = j;
+        continue;
+      }
+      for (let k = i; k < j; k++) if (code[k] === "\n") line++;
+      i = j + q.length;
+      continue;
+    }
+    if (PAIRS[ch]) stack.push({ ch, line });
+    else if (CLOSERS[ch]) {
+      const open = stack.pop();
+      if (!open) errors.push({ line, message: `unexpected ${ch}` });
+      else if (open.ch !== CLOSERS[ch]) {
+        errors.push({ line, message: `${ch} does not match ${open.ch} from line ${open.line}` });
+      }
+    }
+    i++;
+  }
+  stack.forEach((open) => errors.push({ line: open.line, message: `unclosed ${open.ch}` }));
+  return errors;
+}
+
+function parseJS(code) {
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+  try {
+    new AsyncFunction(rewriteImports(code));
+    return null;
+  } catch (err) {
+    // a Content Security Policy without 'unsafe-eval' forbids compiling: fall back to the token check
+    return err instanceof SyntaxError ? err.message : undefined;
+  }
+}
+
+/**
+ * @returns {{ status: "ok" | "error", level: "parse" | "tokens", errors: { line?, message }[] }}
+ */
+export function checkSyntax(code, language) {
+  if (canRun(language)) {
+    const parseError = parseJS(code);
+    if (parseError !== undefined) {
+      const errors = parseError ? [{ message: parseError }, ...checkBalance(code, language)] : [];
+      return { status: errors.length ? "error" : "ok", level: "parse", errors };
+    }
+  }
+  const errors = checkBalance(code, language);
+  return { status: errors.length ? "error" : "ok", level: "tokens", errors };
+}
+
+// a snippet is checked as it would be generated: placeholders filled with their defaults
+export function validateSnippet(snippet) {
+  return checkSyntax(fillSnippet(snippet.snippet), snippet.language);
+}
+
+// -----------------------------
+// Sandbox runtime. Serialized into the worker with Function#toString, so none of these close over anything.
+// -----------------------------
+async function sandboxRuntime(source, sampleText, evaluate, globals, logs = []) {
+  const started = Date.now();
+  const show = (v) => {
+    if (typeof v === "string") return v;
+    try {
+      return JSON.stringify(v) ?? String(v);
+    } catch {
+      return String(v);
+    }
+  };
+  const push = (level, text) => {
+    if (logs.length < 200) logs.push({ level, text });
+  };
+  const capture = (level) => (...args) => push(level, args.map(show).join(" "));
+  const console = { log: capture("log"), info: capture("info"), warn: capture("warn"), error: capture("error"), debug: capture("debug") };
+
+  const fetch = async (input, init = {}) => {
+    const url = String(input?.url || input);
+    const method = (init.method || "GET").toUpperCase();
+    push("sandbox", `mock fetch: ${method} ${url}`);
+    const json = /\.json(?:$|\?)/.test(url);
+    const body = json ? JSON.stringify({ url, mock: true, items: [1, 2, 3] }) : `<html><body>mock response for ${url}</body></html>`;
+    return {
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      url,
+      headers: { get: (name) => (name.toLowerCase() === "content-type" ? (json ? "application/json" : "text/html") : null) },
+      text: async () => body,
+      json: async () => JSON.parse(body),
+    };
+  };
+
+  const files = {};
+  const fs = {
+    writeFile: async (path, data) => {
+      files[path] = String(data);
+      push("sandbox", `mock fs: wrote ${files[path].length} chars to ${path}`);
+    },
+    appendFile: async (path, data) => {
+      files[path] = (files[path] || "") + String(data);
+      push("sandbox", `mock fs: appended ${String(data).length} chars to ${path}`);
+    },
+    readFile: async (path) => {
+      push("sandbox", `mock fs: read ${path}`);
+      return files[path] ?? sampleText;
+    },
+    mkdir: async () => {},
+  };
+  const modules = { "node:fs/promises": fs, "fs/promises": fs };
+  const __import = async (name) => {
+    if (modules[name]) return modules[name];
+    throw new Error(`module "${name}" is not available in the sandbox`);
+  };
+
+  // text snippets usually just reassign `text`: show what it became
+  const __result = (value) => {
+    if (value !== sampleText && value !== undefined) push("sandbox", `text = ${show(value)}`);
+  };
+
+  try {
+    const body = `{\n${source}\n;__result(typeof text === "undefined" ? undefined : text);\n}`;
+    await evaluate(body, { ...globals, console, fetch, __import, __result, text: sampleText });
+    return { status: "ok", logs, error: null, ms: Date.now() - started };
+  } catch (err) {
+    return { status: "error", logs, error: `${err?.name || "Error"}: ${err?.message ?? err}`, ms: Date.now() - started };
+  }
+}
+
+// `source` as the body of an async function whose parameters are `globals`, compiled in the calling realm
+function sandboxEvaluate(source, globals) {
+  const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+  const names = Object.keys(globals);
+  return new AsyncFunction(...names, source)(...names.map((n) => globals[n]));
+}
+
+/**
+ * Timers and abort signals for the Node context, which has none of its own. Timers only queue: the worker
+ * asks `wait()` how long until the next one is due (-1: none pending) and calls `fire()` when it is.
+ */
+function sandboxTimers() {
+  const pending = new Map();
+  let nextId = 1;
+  const setTimeout = (fn, ms = 0, ...args) => {
+    const id = nextId++;
+    pending.set(id, { fn, args, due: Date.now() + Math.max(0, Number(ms) || 0) });
+    return id;
+  };
+  const clearTimeout = (id) => {
+    pending.delete(id);
+  };
+  const wait = () => {
+    let due = Infinity;
+    for (const t of pending.values()) due = Math.min(due, t.due);
+    return due === Infinity ? -1 : Math.max(0, due - Date.now());
+  };
+  const fire = () => {
+    const now = Date.now();
+    for (const [id, t] of pending) {
+      if (t.due > now) continue;
+      pending.delete(id);
+      if (typeof t.fn === "function") t.fn(...t.args);
+    }
+  };
+
+  const listeners = new WeakMap();
+  class AbortSignal {
+    constructor() {
+      this.aborted = false;
+      this.reason = undefined;
+      this.onabort = null;
+      listeners.set(this, []);
+    }
+    addEventListener(type, fn) {
+      if (type === "abort") listeners.get(this).push(fn);
+    }
+    removeEventListener(type, fn) {
+      listeners.set(this, listeners.get(this).filter((f) => f !== fn));
+    }
+    throwIfAborted() {
+      if (this.aborted) throw this.reason;
+    }
+    static abort(reason) {
+      const controller = new AbortController();
+      controller.abort(reason);
+      return controller.signal;
+    }
+    static timeout(ms) {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(Object.assign(new Error("The operation timed out"), { name: "TimeoutError" })), ms);
+      return controller.signal;
+    }
+  }
+  class AbortController {
+    constructor() {
+      this.signal = new AbortSignal();
+    }
+    abort(reason = Object.assign(new Error("This operation was aborted"), { name: "AbortError" })) {
+      const signal = this.signal;
+      if (signal.aborted) return;
+      signal.aborted = true;
+      signal.reason = reason;
+      const event = { type: "abort", target: signal };
+      if (typeof signal.onabort === "function") signal.onabort(event);
+      listeners.get(signal).forEach((fn) => fn(event));
+    }
+  }
+  return { globals: { setTimeout, clearTimeout, AbortController, AbortSignal }, wait, fire };
+}
+
+// what a browser worker could reach the network or the app's own storage with
+const WORKER_BLOCKED = ["fetch", "XMLHttpRequest", "WebSocket", "EventSource", "importScripts", "indexedDB", "caches"];
+
+/**
+ * Removes `names` from the worker global `scope`. Many are accessors inherited from `WorkerGlobalScope`, which
+ * assigning `undefined` leaves in place, so each is defined away on the global and on every prototype that has
+ * it. Returns the names still reachable, which the worker refuses to run with. Serialized into the worker.
+ */
+export function removeGlobals(scope, names) {
+  for (let o = scope; o; o = Object.getPrototypeOf(o)) {
+    for (const name of names) {
+      if (o !== scope && !Object.prototype.hasOwnProperty.call(o, name)) continue;
+      try {
+        Object.defineProperty(o, name, { value: undefined, writable: false, configurable: false });
+      } catch {
+        // non-configurable: checked below
+      }
+    }
+  }
+  return names.filter((name) => scope[name] !== undefined);
+}
+
+const BROWSER_WORKER = `
+const run = ${sandboxRuntime};
+const leaked = (${removeGlobals})(self, ${JSON.stringify(WORKER_BLOCKED)});
+self.onmessage = async (e) => {
+  if (leaked.length) {
+    self.postMessage({ status: "error", logs: [], error: "Error: the sandbox could not remove " + leaked.join(", "), ms: 0 });
+    return;
+  }
+  self.postMessage(await run(e.data.source, e.data.sampleText, ${sandboxEvaluate}, {}));
+};
+`;
+
+// The context's global has a null prototype and holds only the two strings: the runtime, its timers and the
+// snippet are compiled inside from source, and results come back out as JSON text.
+const NODE_CONTEXT = `
+const logs = [];
+const timers = (${sandboxTimers})();
+let outcome = null;
+(${sandboxRuntime})(source, sampleText, ${sandboxEvaluate}, timers.globals, logs).then((r) => { outcome = JSON.stringify(r); });
+`;
+
+const NODE_WORKER = `
+const { parentPort } = require("node:worker_threads");
+const vm = require("node:vm");
+parentPort.once("message", async ({ source, sampleText, timeoutMs }) => {
+  const context = vm.createContext(Object.assign(Object.create(null), { source, sampleText }));
+  // the vm timeout stops synchronous loops with a proper error; the host's timer catches the rest
+  const inside = (code) => vm.runInContext(code, context, { timeout: timeoutMs });
+  const logs = () => {
+    try {
+      return JSON.parse(inside("JSON.stringify(logs)"));
+    } catch {
+      return [];
+    }
+  };
+  const started = Date.now();
+  const deadline = started + timeoutMs;
+  try {
+    inside(${JSON.stringify(NODE_CONTEXT)});
+    for (;;) {
+      await new Promise((resolve) => setImmediate(resolve));
+      const outcome = inside("outcome");
+      if (typeof outcome === "string") return parentPort.postMessage(JSON.parse(outcome));
+      if (Date.now() >= deadline) break;
+      const wait = Number(inside("timers.wait()"));
+      const left = deadline - Date.now();
+      await new Promise((resolve) => setTimeout(resolve, wait >= 0 && wait < left ? wait : left));
+      inside("timers.fire()");
+    }
+    parentPort.postMessage({ status: "timeout", logs: logs(), error: \`Stopped after \${timeoutMs} ms\`, ms: timeoutMs });
+  } catch (err) {
+    const timeout = err?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT";
+    parentPort.postMessage({ status: timeout ? "timeout" : "error", logs: logs(), error: \`\${err?.name || "Error"}: \${err?.message ?? err}\`, ms: Date.now() - started });
+  }
+});
+`;
+
+function timedOut(timeoutMs) {
+  return { status: "timeout", logs: [], error: `Stopped after ${timeoutMs} ms`, ms: timeoutMs };
+}
+
+function runInBrowser(source, { timeoutMs, sampleText }) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(new Blob([BROWSER_WORKER], { type: "text/javascript" }));
+    const worker = new Worker(url);
+    const done = (result) => {
+      clearTimeout(timer);
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+    const timer = setTimeout(() => done(timedOut(timeoutMs)), timeoutMs);
+    worker.onmessage = (e) => done(e.data);
+    worker.onerror = (e) => {
+      e.preventDefault();
+      done({ status: "error", logs: [], error: e.message || "Worker failed", ms: 0 });
+    };
+    worker.postMessage({ source, sampleText });
+  });
+}
+
+async function runInNode(source, { timeoutMs, sampleText }) {
+  const { Worker } = await import("node:worker_threads");
+  return new Promise((resolve) => {
+    const worker = new Worker(NODE_WORKER, { eval: true });
+    const done = (result) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    };
+    const timer = setTimeout(() => done(timedOut(timeoutMs)), timeoutMs + 250);
+    worker.once("message", done);
+    worker.once("error", (err) => done({ status: "error", logs: [], error: err.message, ms: 0 }));
+    worker.postMessage({ source, sampleText, timeoutMs });
+  });
+}
+
+/**
+ * Runs JavaScript `code` in the sandbox. Never rejects: failures come back as `status`.
+ * @returns {Promise<{ status: "ok" | "error" | "timeout", logs: { level, text }[], error, ms }>}
+ */
+export async function runScript(code, { timeoutMs = DEFAULT_TIMEOUT_MS, sampleText = SAMPLE_TEXT } = {}) {
+  const source = rewriteImports(code);
+  if (typeof Worker !== "undefined" && typeof Blob !== "undefined" && typeof window !== "undefined") {
+    return runInBrowser(source, { timeoutMs, sampleText });
+  }
+  return runInNode(source, { timeoutMs, sampleText });
+}
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { removeGlobals, runScript } from "./sandbox.js";
+
+const ESCAPES = [
+  'console.log(typeof setTimeout.constructor.constructor("return process")());',
+  'console.log(typeof console.log.constructor("return process")());',
+  'console.log(typeof fetch.constructor.constructor("return process")());',
+  'console.log(typeof this.constructor.constructor("return process")());',
+  'console.log(typeof (await fetch("https://x.io")).constructor.constructor("return process")());',
+];
+
+for (const code of ESCAPES) {
+  test(`no host process: ${code}`, async () => {
+    const result = await runScript(code);
+    const leaked = result.status === "ok" && result.logs.some((l) => l.text === "object");
+    assert.equal(leaked, false, JSON.stringify(result));
+    assert.ok(result.status === "error" ? /process is not defined/.test(result.error) : result.logs[0].text === "undefined");
+  });
+}
+
+test("timers, abort signals and the mock fetch work inside the context", async () => {
+  const code = [
+    'const resp = await fetch("https://x.io/a.json", { signal: AbortSignal.timeout(10000) });',
+    "await new Promise((resolve) => setTimeout(resolve, 20));",
+    "console.log((await resp.json()).items.length);",
+  ].join("\n");
+  const result = await runScript(code);
+  assert.equal(result.status, "ok", result.error);
+  assert.deepEqual(result.logs.map((l) => l.text), ["mock fetch: GET https://x.io/a.json", "3"]);
+});
+
+test("synchronous loops and never-settling scripts time out, keeping their logs", async () => {
+  const loop = await runScript('console.log("before"); for (;;) {}', { timeoutMs: 200 });
+  assert.equal(loop.status, "timeout");
+  assert.deepEqual(loop.logs.map((l) => l.text), ["before"]);
+  const stuck = await runScript("await new Promise(() => {});", { timeoutMs: 200 });
+  assert.equal(stuck.status, "timeout");
+});
+
+test("a throwing timer callback reports an error", async () => {
+  const result = await runScript('setTimeout(() => { throw new TypeError("boom"); }, 5); await new Promise((r) => setTimeout(r, 50));');
+  assert.equal(result.status, "error");
+  assert.match(result.error, /TypeError: boom/);
+});
+
+// a stand-in for a worker global: network and storage APIs as accessors inherited from WorkerGlobalScope
+function workerScope() {
+  const context = vm.createContext({});
+  vm.runInContext(`
+    class WorkerGlobalScope {}
+    for (const name of ["indexedDB", "caches", "fetch"]) {
+      Object.defineProperty(WorkerGlobalScope.prototype, name, { get: () => ({ name }), configurable: true, enumerable: true });
+    }
+    globalThis.scope = Object.create(WorkerGlobalScope.prototype);
+    scope.XMLHttpRequest = function XMLHttpRequest() {};
+  `, context);
+  return context;
+}
+
+test("blocked worker globals are gone, inherited accessors included", () => {
+  const context = workerScope();
+  const names = ["fetch", "XMLHttpRequest", "indexedDB", "caches"];
+  const leaked = vm.runInContext(`(${removeGlobals})(scope, ${JSON.stringify(names)})`, context);
+  assert.deepEqual([...leaked], []);
+  for (const name of names) assert.equal(vm.runInContext(`typeof scope.${name}`, context), "undefined", name);
+  // and they cannot be put back
+  vm.runInContext("scope.indexedDB = {}; Object.getPrototypeOf(scope).caches = {};", context);
+  assert.equal(vm.runInContext("typeof scope.indexedDB + typeof scope.caches", context), "undefinedundefined");
+});
+
+test("a global that cannot be removed is reported", () => {
+  const context = workerScope();
+  vm.runInContext('Object.defineProperty(scope, "caches", { value: {}, configurable: false, writable: false });', context);
+  assert.deepEqual([...vm.runInContext(`(${removeGlobals})(scope, ["caches", "indexedDB"])`, context)], ["caches"]);
+});
@@ -0,0 +1,273 @@
+/**
+ * Brain scheduler: decides when the brain runs, and in which tab.
+ *
+ * - Schedules are either a fixed interval (`{ mode: "interval", minutes }`) or a cron‑like rule
+ *   (`{ mode: "cron", expr }`, five fields: minute hour day‑of‑month month day‑of‑week, local time).
+ * - Due times are computed from the wall clock and the last check stored in localStorage, so a tab that
+ *   was hidden, throttled or asleep catches up with a single run as soon as it ticks again.
+ * - Exactly one tab leads: the leader holds a Web Lock (`navigator.locks`) for as long as it leads, and the
+ *   others try for it on every heartbeat, so one takes over when the leader closes. Where the API is missing
+ *   the leader holds a short lease in localStorage instead, renewed on every heartbeat; other tabs take over
+ *   when it expires or is released (seen through storage events). That fallback is not atomic: two tabs
+ *   racing for an expired lease can both lead for a moment.
+ * - `run()` decides itself whether there is anything new to plan and reports "ran" or "skipped".
+ */
+
+export class ScheduleError extends Error {}
+
+export const DEFAULT_SCHEDULE = { mode: "interval", minutes: 9, expr: "*/9 * * * *" };
+
+const HEARTBEAT_MS = 5000;
+const LEASE_MS = 3 * HEARTBEAT_MS;
+const MINUTE = 60000;
+
+// -----------------------------
+// Cron‑like rules
+// -----------------------------
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new ScheduleError(`Invalid ${name} "${part}"`);
+    const from = m[1] === "*" ? min : Number(m[2]);
+    const to = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new ScheduleError(`Out of range ${name} "${part}" (${min}-${max})`);
+    for (let v = from; v <= to; v += step) values.add(name === "day of week" && v === 7 ? 0 : v);
+  }
+  // cron only combines day of month and day of week with "or" when both are restricted: "*/2" is not
+  return { values, any: text.startsWith("*") };
+}
+
+export function parseCron(expr) {
+  const text = (CRON_ALIASES[expr.trim()] || expr).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new ScheduleError(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  return { minute, hour, dom, month, dow };
+}
+
+// first matching minute strictly after `after` (ms); day of month / weekday use cron's "either" rule
+function nextCron(rule, after) {
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const dayOk = () => {
+    const dom = rule.dom.values.has(d.getDate());
+    const dow = rule.dow.values.has(d.getDay());
+    if (rule.dom.any || rule.dow.any) return dom && dow;
+    return dom || dow;
+  };
+  for (let guard = 0; guard < 50000; guard++) {
+    if (!rule.month.values.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0);
+    } else if (!dayOk()) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0);
+    } else if (!rule.hour.values.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0);
+    } else if (!rule.minute.values.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1);
+    } else {
+      return d.getTime();
+    }
+  }
+  return Infinity;
+}
+
+// -> (afterMs) => next due time in ms
+export function compileSchedule(schedule) {
+  if (schedule.mode === "cron") {
+    const rule = parseCron(schedule.expr || "");
+    return (after) => nextCron(rule, after);
+  }
+  const minutes = Number(schedule.minutes);
+  if (!(minutes >= 1)) throw new ScheduleError("Interval must be at least 1 minute");
+  return (after) => after + minutes * MINUTE;
+}
+
+// Returns a readable message, or null when the schedule is valid.
+export function checkSchedule(schedule) {
+  try {
+    compileSchedule(schedule);
+    return null;
+  } catch (err) {
+    if (err instanceof ScheduleError) return err.message;
+    throw err;
+  }
+}
+
+export function describeSchedule(schedule) {
+  return schedule.mode === "cron" ? `cron ${schedule.expr}` : `every ${schedule.minutes} min`;
+}
+
+// -----------------------------
+// Scheduler service
+// -----------------------------
+function parseJSON(text) {
+  try {
+    return JSON.parse(text || "null");
+  } catch {
+    return null;
+  }
+}
+const readJSON = (key) => parseJSON(localStorage.getItem(key));
+
+/**
+ * @param run          async () => "ran" | "skipped"; only ever called in the leader tab
+ * @param onStatus     ({ leader, nextAt, lastAt, lastResult }) => void, after every change
+ * @param onRemoteRun  another tab ran the brain (reload what it wrote)
+ */
+export function createScheduler({ schedule, run, onStatus = () => {}, onRemoteRun = () => {}, key = "cmdbrain.scheduler", tickMs = 30000 }) {
+  const id = crypto.randomUUID();
+  const leaseKey = `${key}.leader`;
+  const stateKey = `${key}.state`;
+  let nextAfter = compileSchedule(schedule);
+  let leader = false;
+  let busy = false;
+  let timers = [];
+  const locks = typeof navigator !== "undefined" ? navigator.locks : undefined;
+  let claiming = false;
+  let unlock = null;
+  let running = false;
+
+  const state = () => readJSON(stateKey) || {};
+  const report = () => {
+    const s = state();
+    onStatus({
+      leader,
+      nextAt: s.checkedAt ? nextAfter(s.checkedAt) : null,
+      lastAt: s.ranAt || null,
+      lastResult: s.result || null,
+    });
+  };
+
+  const setLeader = (next) => {
+    if (leader === next) return;
+    leader = next;
+    report();
+  };
+
+  // the lock is held until `unlock` is called; `ifAvailable` answers at once, with no lock when another tab has it
+  const claimLock = () => {
+    if (leader || claiming) return;
+    claiming = true;
+    locks.request(leaseKey, { ifAvailable: true }, (lock) => {
+      claiming = false;
+      // stopped while the request was pending: let go at once
+      if (!lock || !running) return null;
+      setLeader(true);
+      tick();
+      return new Promise((resolve) => {
+        unlock = resolve;
+      });
+    }).then(() => {
+      unlock = null;
+      setLeader(false);
+    }, () => {
+      claiming = false;
+    });
+  };
+
+  const claimLease = () => {
+    const now = Date.now();
+    const lease = readJSON(leaseKey);
+    if (!lease || lease.id === id || lease.expires < now) {
+      localStorage.setItem(leaseKey, JSON.stringify({ id, expires: now + LEASE_MS }));
+    }
+    // re‑read: if two tabs raced, the last writer usually wins and the other backs off
+    setLeader(readJSON(leaseKey)?.id === id);
+  };
+  const claim = locks ? claimLock : claimLease;
+
+  const tick = async () => {
+    claim();
+    if (!leader || busy) return;
+    const now = Date.now();
+    const s = state();
+    if (!s.checkedAt) {
+      localStorage.setItem(stateKey, JSON.stringify({ ...s, checkedAt: now }));
+      report();
+      return;
+    }
+    if (nextAfter(s.checkedAt) > now) return;
+    busy = true;
+    try {
+      const result = await run();
+      const at = Date.now();
+      localStorage.setItem(stateKey, JSON.stringify({
+        checkedAt: at,
+        ranAt: result === "ran" ? at : s.ranAt,
+        result,
+      }));
+    } catch (err) {
+      localStorage.setItem(stateKey, JSON.stringify({ ...s, checkedAt: Date.now(), result: `failed: ${err.message}` }));
+    } finally {
+      busy = false;
+      report();
+    }
+  };
+
+  const onStorage = (e) => {
+    if (e.key === leaseKey && !e.newValue) tick();
+    if (e.key === stateKey) {
+      const before = parseJSON(e.oldValue) || {};
+      const after = parseJSON(e.newValue) || {};
+      if (after.ranAt && after.ranAt !== before.ranAt) onRemoteRun();
+      report();
+    }
+  };
+  const onVisible = () => {
+    if (document.visibilityState === "visible") tick();
+  };
+  const release = () => {
+    if (locks) unlock?.();
+    else if (readJSON(leaseKey)?.id === id) localStorage.removeItem(leaseKey);
+    leader = false;
+  };
+
+  return {
+    start() {
+      running = true;
+      timers = [setInterval(claim, HEARTBEAT_MS), setInterval(tick, tickMs)];
+      window.addEventListener("storage", onStorage);
+      window.addEventListener("pagehide", release);
+      document.addEventListener("visibilitychange", onVisible);
+      tick();
+    },
+    stop() {
+      running = false;
+      timers.forEach(clearInterval);
+      window.removeEventListener("storage", onStorage);
+      window.removeEventListener("pagehide", release);
+      document.removeEventListener("visibilitychange", onVisible);
+      release();
+    },
+    setSchedule(next) {
+      nextAfter = compileSchedule(next);
+      report();
+      tick();
+    },
+    // a manual run counts as a check, so the next scheduled run is a full period away
+    markRan() {
+      const at = Date.now();
+      localStorage.setItem(stateKey, JSON.stringify({ checkedAt: at, ranAt: at, result: "ran" }));
+      report();
+    },
+  };
+}
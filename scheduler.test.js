@@ -0,0 +1,95 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { compileSchedule, createScheduler } from "./scheduler.js";
+
+// -----------------------------
+// Cron rules
+// -----------------------------
+const next = (expr, from) => new Date(compileSchedule({ mode: "cron", expr })(new Date(from).getTime()));
+
+test("a stepped day field is a restriction: day of month and weekday must both match", () => {
+  // odd days of the month that are also Mondays: after Monday the 19th, the 21st is odd but a Wednesday
+  const at = next("0 9 */2 * 1", "2026-10-19T12:00:00");
+  assert.equal(at.toDateString(), new Date("2026-11-09T09:00:00").toDateString());
+  assert.equal(at.getHours(), 9);
+});
+
+test("two restricted day fields still match either", () => {
+  const at = next("0 9 1 * 1", "2026-10-18T12:00:00");
+  assert.equal(at.toDateString(), new Date("2026-10-19T09:00:00").toDateString());
+});
+
+// -----------------------------
+// Leader election
+// -----------------------------
+const listeners = { addEventListener() {}, removeEventListener() {} };
+const items = new Map();
+const held = new Set();
+const globals = {
+  window: listeners,
+  document: { ...listeners, visibilityState: "visible" },
+  localStorage: {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => items.set(k, String(v)),
+    removeItem: (k) => items.delete(k),
+  },
+  // the Web Locks API as far as the scheduler uses it
+  navigator: {
+    locks: {
+      async request(name, options, callback) {
+        if (held.has(name)) return callback(null);
+        held.add(name);
+        try {
+          return await callback({ name, mode: "exclusive" });
+        } finally {
+          held.delete(name);
+        }
+      },
+    },
+  },
+};
+const saved = Object.fromEntries(Object.keys(globals).map((k) => [k, Object.getOwnPropertyDescriptor(globalThis, k)]));
+for (const [k, value] of Object.entries(globals)) Object.defineProperty(globalThis, k, { value, configurable: true, writable: true });
+after(() => {
+  for (const [k, d] of Object.entries(saved)) {
+    if (d) Object.defineProperty(globalThis, k, d);
+    else delete globalThis[k];
+  }
+});
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test("with Web Locks exactly one tab runs a due job, and another takes over when it leaves", async () => {
+  items.set("t.state", JSON.stringify({ checkedAt: Date.now() - 10 * 60000 }));
+  let runs = 0;
+  const leaders = {};
+  const tab = (name) => createScheduler({
+    key: "t",
+    schedule: { mode: "interval", minutes: 1 },
+    run: async () => {
+      runs++;
+      return "ran";
+    },
+    onStatus: ({ leader }) => { leaders[name] = leader; },
+  });
+  const a = tab("a");
+  const b = tab("b");
+  try {
+    a.start();
+    b.start();
+    await settle();
+    assert.equal(runs, 1);
+    assert.deepEqual(leaders, { a: true });
+    assert.ok(!items.has("t.leader"), "no localStorage lease next to the lock");
+
+    a.stop();
+    await settle();
+    b.setSchedule({ mode: "interval", minutes: 1 });
+    await settle();
+    assert.equal(leaders.b, true);
+    assert.equal(runs, 1);
+  } finally {
+    a.stop();
+    b.stop();
+  }
+});
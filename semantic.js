@@ -0,0 +1,125 @@
+/**
+ * Semantic similarity without a model download: hashed feature vectors built from pipeline tokens.
+ *
+ * Each token contributes
+ *   - itself,
+ *   - its character trigrams (so "fetching"/"fetcher" or "webapp"/"website" overlap), and
+ *   - the concepts it belongs to: its dictionary synonym group and the intent it signals
+ *     ("download" and "get" both signal fetch, so "download a page" lands near "HTTP GET").
+ * Features are hashed into a fixed number of signed buckets and the vector is L2‑normalized,
+ * so cosine is a dot product. Everything is local and CPU only.
+ *
+ * Vectors are cached per record (`createVectorStore`) and only recomputed when a record changes.
+ */
+import { intentVocabulary } from "./intent.js";
+
+const DIM = 512;
+const WEIGHTS = { token: 1, gram: 0.35, concept: 1.5 };
+
+// FNV‑1a; the top bit picks the sign so collisions cancel out instead of piling up
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function trigrams(token) {
+  const padded = `^${token}$`;
+  const out = [];
+  for (let i = 0; i + 3 <= padded.length; i++) out.push(padded.slice(i, i + 3));
+  return out;
+}
+
+export function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * @param pipeline  token pipeline (tokenizer.js); its lexicon supplies the synonym concepts
+ * @returns {{ dim, embed(tokens) -> Float32Array }}
+ */
+export function createEmbedder(pipeline, { dim = DIM } = {}) {
+  const intents = intentVocabulary(pipeline);
+  const groups = new Map();
+  for (const [head, words] of Object.entries(pipeline.lexicon.synonyms)) {
+    for (const w of [head, ...words]) {
+      if (!groups.has(w)) groups.set(w, new Set());
+      groups.get(w).add(head);
+    }
+  }
+
+  const conceptsOf = (t) => {
+    const out = [...(groups.get(t) || [])].map((head) => `syn:${head}`);
+    if (intents.has(t)) out.push(`intent:${intents.get(t)}`);
+    return out;
+  };
+
+  const embed = (tokens) => {
+    const v = new Float32Array(dim);
+    const add = (feature, weight) => {
+      const h = hash(feature);
+      v[h % dim] += h & 0x80000000 ? -weight : weight;
+    };
+    for (const t of tokens) {
+      add(`tok:${t}`, WEIGHTS.token);
+      const grams = trigrams(t);
+      grams.forEach((g) => add(`gram:${g}`, WEIGHTS.gram / Math.sqrt(grams.length)));
+      conceptsOf(t).forEach((c) => add(c, WEIGHTS.concept));
+    }
+    const norm = Math.sqrt(cosine(v, v));
+    if (norm) for (let i = 0; i < dim; i++) v[i] /= norm;
+    return v;
+  };
+
+  return { dim, embed };
+}
+
+/**
+ * Per‑record vector cache. `sync` re‑embeds a record only when its object identity changes
+ * (records are replaced, never mutated), mirroring the inverted index in ranking.js.
+ */
+export function createVectorStore(embedder) {
+  const vectors = new Map();
+  const sources = new Map();
+
+  return {
+    sync(records, toTokens) {
+      const live = new Set();
+      for (const r of records) {
+        live.add(r.id);
+        if (sources.get(r.id) === r) continue;
+        vectors.set(r.id, embedder.embed(toTokens(r)));
+        sources.set(r.id, r);
+      }
+      for (const id of Array.from(vectors.keys())) {
+        if (!live.has(id)) {
+          vectors.delete(id);
+          sources.delete(id);
+        }
+      }
+    },
+    get: (id) => vectors.get(id),
+    size: () => vectors.size,
+    // Map<id, 0..1>; opposite directions count as unrelated
+    scores(query) {
+      const out = new Map();
+      for (const [id, v] of vectors) out.set(id, Math.max(0, cosine(query, v)));
+      return out;
+    },
+  };
+}
+
+// (1 − weight) · lexical + weight · semantic, over the ids of either map
+export function blendScores(lexical, semantic, weight) {
+  const w = Math.max(0, Math.min(1, weight));
+  const out = new Map();
+  for (const id of new Set([...lexical.keys(), ...semantic.keys()])) {
+    out.set(id, (1 - w) * (lexical.get(id) || 0) + w * (semantic.get(id) || 0));
+  }
+  return out;
+}
@@ -0,0 +1,562 @@
+#!/usr/bin/env node
+/**
+ * Local HTTP/JSON API over the interpreter core (core.js), backed by the same JSON file store as cli.js.
+ *
+ *   node server.js [--port 8787] [--host 127.0.0.1] [--store FILE] [--origin URL ...]
+ *
+ * Routes (JSON in, JSON out; errors are `{ error }` with a 4xx/5xx status)
+ *   POST   /interpret        { raw, template?, scorer?, semantic? = 0, save? = true, rerunOf?, continues?, locale? = "auto" }
+ *                             the Refine & Interpret pass, including the generated program; `rerunOf` links the record
+ *                             to the command it re-runs, `continues` makes it a follow-up of that command (threads.js:
+ *                             `thread` tells what it reads as, what its references stand for and what carried over),
+ *                             `locale` pins the command's language instead of detecting it; `trace` tells what each
+ *                             enhancement rule matched and changed (rules.js)
+ *   GET    /commands         history, oldest first; ?q=<query>&tag=T&pinned=1&from=DATE&to=DATE searches it (history.js),
+ *                             best matches first
+ *   POST   /commands         { raw }  add a command without interpreting it (analysis is still stored)
+ *   DELETE /commands         clear the history
+ *   PATCH  /commands/:id     { tags?, pinned? }
+ *   DELETE /commands/:id
+ *   GET    /commands/:id/thread   the conversation thread the command belongs to, oldest turn first
+ *   GET    /retention        the retention policy { maxCount, maxAgeDays } (0 = no limit; pinned commands always stay)
+ *   PUT    /retention        { maxCount?, maxAgeDays? }  change it; answers with the policy and how many commands it dropped
+ *   GET    /feedback         what thumbs up / down and copies taught the rankings, strongest first (feedback.js)
+ *   POST   /feedback         { list, signal, id, raw, locale? }  teach that item `id` of `list` (snippets | similar |
+ *                             different | opposite) was right ("up"), wrong ("down") or "copied" for command `raw`
+ *   DELETE /feedback         ?channel=snippets|similar|opposite  forget one channel, or everything without it
+ *   GET    /snippets         ?q=<query>&limit=N&semantic=W  ranked search; the whole library without `q`
+ *   POST   /snippets         { title, language, tags, snippet, id? }  add or replace a snippet; answers with its
+ *                             syntax check as `validation` (stored either way)
+ *   POST   /brain/run        { ifNew?, scorer?, semantic? }  plan the whole history and store the run
+ *   GET    /brain/runs       newest first
+ *   GET    /workspaces       the workspace registry (workspaces.js), default first
+ *   POST   /workspaces       { name, from? }  add a workspace, empty or as a copy of workspace `from`
+ *   PATCH  /workspaces/:id   { name?, share?: { snippets?, dict? } }  rename it, or share / override its snippet
+ *                             library and dictionary (false = its own copy)
+ *   DELETE /workspaces/:id   delete it and its data (not the default one)
+ *   GET    /workspaces/:id/export   the workspace as an export bundle
+ *   POST   /workspaces/import       <bundle>  ?name=N  add the workspace in a bundle as a new one
+ *   GET|PUT|DELETE /store/:key   raw versioned store entries, for the React app's "server" backend
+ *
+ * Every other route works in one workspace: `?workspace=<id or name>`, the default one without it.
+ * Browsers may only call in from localhost origins unless more are allowed with `--origin` (or `*`).
+ * The retention policy is applied whenever the history is saved or loaded (storage.js); the learned feedback
+ * re-ranks every snippet and history list.
+ * Requests that change data run one at a time, so concurrent calls never lose each other's writes.
+ */
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+import {
+  BUNDLE_STORES, buildPipeline, byCreatedAt, createIndexes, createPlannerEnv, expandSynonyms, fieldOk, interpret, nowISO,
+  rankSnippets, recordBrainRun, spectrum01k, STORE_SCHEMAS, syncIndexes, validateBundle,
+} from "./core.js";
+import { CHANNELS, checkSignal, describeFeedback, FEEDBACK_LISTS, recordFeedback, resetFeedback } from "./feedback.js";
+import { checkRetention, isDay, normalizeTags, rerunOrigin, searchHistory } from "./history.js";
+import { analyzeCommand } from "./intent.js";
+import { hasNewCommands } from "./planner.js";
+import { SCORERS } from "./ranking.js";
+import { validateSnippet } from "./sandbox.js";
+import { createStore, deserialize, fileBackend, serialize } from "./storage.js";
+import { threadCommands, threadOf } from "./threads.js";
+import { LOCALE_RE } from "./tokenizer.js";
+import {
+  addWorkspace, checkWorkspaceName, clearWorkspace, copyWorkspace, DEFAULT_WORKSPACE, findWorkspace, importWorkspace,
+  normalizeWorkspaces, parseWorkspaceKey, scopedSchemas, scopeKey, setSharing, SHAREABLE_STORES,
+  WORKSPACE_STORES, workspaceBundle,
+} from "./workspaces.js";
+
+const MAX_BODY = 10 * 1024 * 1024;
+const LOCAL_ORIGIN = /^https?:\/\/(?:localhost|127\.0\.0\.1|\[::1\])(?::\d+)?$/;
+const STORE_KEYS = new Set(Object.values(STORE_SCHEMAS).map((s) => s.key));
+const SCOPED_KEYS = new Set([...WORKSPACE_STORES, ...SHAREABLE_STORES].map((name) => STORE_SCHEMAS[name].key));
+
+// a global store key, or a workspace's own copy of one
+function knownKey(key) {
+  const scoped = parseWorkspaceKey(key);
+  return STORE_KEYS.has(key) || Boolean(scoped && SCOPED_KEYS.has(scoped.key));
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// -----------------------------
+// Request helpers
+// -----------------------------
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function readJSON(req) {
+  const text = await readBody(req);
+  if (!text) return {};
+  try {
+    const body = JSON.parse(text);
+    if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error();
+    return body;
+  } catch {
+    throw new HttpError(400, "Body must be a JSON object");
+  }
+}
+
+// route parameters, percent-decoded; a broken escape ("%E0%A4%A") is the client's mistake
+function decodeParams(values) {
+  try {
+    return values.map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, "Malformed URL");
+  }
+}
+
+function scorerOf(name = "bm25") {
+  if (!SCORERS[name]) throw new HttpError(400, `Unknown scorer "${name}"`);
+  return name;
+}
+
+// blend weight of semantic over lexical similarity (core.js `scoreRecords`)
+function semanticOf(value = 0) {
+  const weight = Number(value);
+  if (!(weight >= 0 && weight <= 1)) throw new HttpError(400, '"semantic" must be a number from 0 to 1');
+  return weight;
+}
+
+// generated program without the full snippet records
+function programOf({ language, mixed, steps, code }) {
+  return {
+    language,
+    mixed,
+    code,
+    steps: steps.map((x) => ({ clause: x.clause, snippet: x.snippet.id, placeholders: x.placeholders, code: x.code })),
+  };
+}
+
+// one mutation at a time: each waits for the previous one, failed or not
+function createQueue() {
+  let tail = Promise.resolve();
+  return (fn) => {
+    const result = tail.then(fn);
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+// -----------------------------
+// Routes
+// -----------------------------
+// routes of one workspace; `store` only sees its data (workspaces.js `scopedSchemas`)
+function createRoutes(store, exclusive) {
+  // the same state the App keeps, plus the pipeline and indexes built over it
+  const session = async () => {
+    const data = await store.loadAll();
+    const pipeline = buildPipeline(data.dict, data.snippets);
+    const indexes = syncIndexes(createIndexes(pipeline), data.commands, data.snippets);
+    return { data, pipeline, indexes };
+  };
+
+  const scored = (list, key = "score") => list.map((c) => ({ id: c.id, raw: c.raw, score: spectrum01k(c[key]) }));
+
+  return [
+    ["POST", /^\/interpret$/, (req) => exclusive(async () => {
+      const body = await readJSON(req);
+      const raw = typeof body.raw === "string" ? body.raw.trim() : "";
+      if (!raw) throw new HttpError(400, '"raw" must be a non-empty string');
+      const { data, indexes } = await session();
+      let rerunOf;
+      let original;
+      if (body.rerunOf !== undefined) {
+        original = data.commands.find((c) => c.id === body.rerunOf);
+        if (!original) throw new HttpError(400, `No command "${body.rerunOf}" to re-run`);
+        rerunOf = rerunOrigin(original);
+      }
+      // a re-run of a follow-up follows up the same command, while that is still there
+      let continues = body.continues;
+      if (continues === undefined && original?.continues && data.commands.some((c) => c.id === original.continues)) {
+        continues = original.continues;
+      }
+      if (continues !== undefined && !data.commands.some((c) => c.id === continues)) {
+        throw new HttpError(400, `No command "${continues}" to continue`);
+      }
+      // a re-run keeps the locale the original was pinned to
+      const locale = body.locale ?? original?.locale ?? "auto";
+      if (locale !== "auto" && !(typeof locale === "string" && LOCALE_RE.test(locale))) {
+        throw new HttpError(400, '"locale" must be "auto" or a code like "de" or "pt-br"');
+      }
+      const result = interpret(raw, {
+        dictionary: data.dict,
+        commands: data.commands,
+        snippets: data.snippets,
+        templates: data.templates,
+        templateChoice: body.template || "auto",
+        scorer: scorerOf(body.scorer),
+        semanticWeight: semanticOf(body.semantic),
+        indexes,
+        rerunOf,
+        continues,
+        locale,
+        feedback: data.feedback,
+      });
+      if (body.save !== false) await store.save("commands", [...data.commands, result.command]);
+      const { similarity } = result;
+      return [200, {
+        command: result.command,
+        thread: result.thread,
+        template: { id: result.template.id, name: result.template.name },
+        interpretation: result.interpretation,
+        enhanced: result.enhanced,
+        trace: result.trace,
+        scores: { similar: similarity.sim, different: similarity.diff },
+        similar: scored(similarity.similar),
+        different: scored(similarity.different),
+        opposite: similarity.opposite.map((c) => ({ ...scored([c], "opp")[0], clashes: c.clashes.map((x) => x.text) })),
+        snippets: result.ranked.map(({ s, score }) => ({ ...s, score: spectrum01k(score) })),
+        program: programOf(result.program),
+      }];
+    })],
+
+    ["GET", /^\/commands$/, async (req, params, url) => {
+      const q = url.searchParams;
+      if (!["q", "tag", "pinned", "from", "to"].some((k) => q.has(k))) return [200, { commands: await store.load("commands") }];
+      for (const k of ["from", "to"]) {
+        if (q.get(k) && !isDay(q.get(k))) throw new HttpError(400, `"${k}" must be a YYYY-MM-DD date`);
+      }
+      const { data, pipeline } = await session();
+      const hits = searchHistory(data.commands, {
+        query: q.get("q") || "", tags: q.getAll("tag"), pinned: q.has("pinned") && q.get("pinned") !== "0",
+        from: q.get("from") || undefined, to: q.get("to") || undefined,
+      }, pipeline);
+      return [200, { commands: hits.map(({ command, score }) => ({ ...command, score })) }];
+    }],
+    ["POST", /^\/commands$/, (req) => exclusive(async () => {
+      const body = await readJSON(req);
+      const raw = typeof body.raw === "string" ? body.raw.trim() : "";
+      if (!raw) throw new HttpError(400, '"raw" must be a non-empty string');
+      const { data, pipeline } = await session();
+      const locale = pipeline.localeOf(raw);
+      const analysis = analyzeCommand(raw, pipeline.tokenize(raw, { locale }), pipeline, locale);
+      const command = { id: crypto.randomUUID(), raw, createdAt: nowISO(), analysis };
+      await store.save("commands", [...data.commands, command].sort(byCreatedAt));
+      return [201, { command }];
+    })],
+    ["DELETE", /^\/commands$/, () => exclusive(async () => {
+      await store.save("commands", []);
+      return [204];
+    })],
+    ["PATCH", /^\/commands\/([^/]+)$/, (req, [id]) => exclusive(async () => {
+      const body = await readJSON(req);
+      if (body.tags !== undefined && !Array.isArray(body.tags)) throw new HttpError(400, '"tags" must be an array');
+      if (body.pinned !== undefined && typeof body.pinned !== "boolean") throw new HttpError(400, '"pinned" must be a boolean');
+      const commands = await store.load("commands");
+      const current = commands.find((c) => c.id === id);
+      if (!current) throw new HttpError(404, `No command "${id}"`);
+      const command = {
+        ...current,
+        ...(body.tags && { tags: normalizeTags(body.tags.filter((t) => typeof t === "string")) }),
+        ...(body.pinned !== undefined && { pinned: body.pinned }),
+      };
+      await store.save("commands", commands.map((c) => (c.id === id ? command : c)));
+      return [200, { command }];
+    })],
+    ["DELETE", /^\/commands\/([^/]+)$/, (req, [id]) => exclusive(async () => {
+      const commands = await store.load("commands");
+      if (!commands.some((c) => c.id === id)) throw new HttpError(404, `No command "${id}"`);
+      await store.save("commands", commands.filter((c) => c.id !== id));
+      return [204];
+    })],
+    ["GET", /^\/commands\/([^/]+)\/thread$/, async (req, [id]) => {
+      const commands = await store.load("commands");
+      const command = commands.find((c) => c.id === id);
+      if (!command) throw new HttpError(404, `No command "${id}"`);
+      return [200, { thread: threadOf(command), commands: threadCommands(commands, threadOf(command)) }];
+    }],
+
+    ["GET", /^\/retention$/, async () => [200, { retention: await store.load("retention") }]],
+    ["PUT", /^\/retention$/, (req) => exclusive(async () => {
+      const body = await readJSON(req);
+      const retention = { ...(await store.load("retention")) };
+      for (const k of ["maxCount", "maxAgeDays"]) if (body[k] !== undefined) retention[k] = body[k];
+      const problem = checkRetention(retention);
+      if (problem) throw new HttpError(400, problem);
+      const commands = await store.load("commands");
+      await store.save("retention", retention);
+      const kept = await store.save("commands", commands);
+      return [200, { retention, dropped: commands.length - kept.length }];
+    })],
+
+    ["GET", /^\/feedback$/, async () => [200, { weights: describeFeedback(await store.load("feedback")) }]],
+    ["POST", /^\/feedback$/, (req) => exclusive(async () => {
+      const body = await readJSON(req);
+      const raw = typeof body.raw === "string" ? body.raw.trim() : "";
+      if (!raw) throw new HttpError(400, '"raw" must be the command the list was for');
+      const locale = body.locale ?? "auto";
+      if (locale !== "auto" && !(typeof locale === "string" && LOCALE_RE.test(locale))) {
+        throw new HttpError(400, '"locale" must be "auto" or a code like "de" or "pt-br"');
+      }
+      const { data, pipeline } = await session();
+      let item;
+      if (body.list === "snippets") {
+        const s = data.snippets.find((x) => x.id === body.id);
+        item = s && { id: s.id, label: s.title, tags: s.tags };
+      } else if (FEEDBACK_LISTS[body.list]) {
+        const c = data.commands.find((x) => x.id === body.id);
+        item = c && { id: c.id, label: c.raw, tags: c.tags };
+      }
+      if (FEEDBACK_LISTS[body.list] && !item) throw new HttpError(404, `No ${body.list === "snippets" ? "snippet" : "command"} "${body.id}"`);
+      const signal = { list: body.list, signal: body.signal, keywords: pipeline.tokenize(raw, { locale: pipeline.localeOf(raw, locale) }), item };
+      const problem = checkSignal(signal);
+      if (problem) throw new HttpError(400, problem);
+      const feedback = recordFeedback(data.feedback, signal);
+      await store.save("feedback", feedback);
+      return [201, { weights: describeFeedback(feedback).filter((w) => w.kind === "pair" && w.target === item.id) }];
+    })],
+    ["DELETE", /^\/feedback$/, (req, params, url) => exclusive(async () => {
+      const channel = url.searchParams.get("channel") || undefined;
+      if (channel && !CHANNELS.includes(channel)) throw new HttpError(400, `"channel" must be one of ${CHANNELS.join(", ")}`);
+      await store.save("feedback", resetFeedback(await store.load("feedback"), channel));
+      return [204];
+    })],
+
+    ["GET", /^\/snippets$/, async (req, params, url) => {
+      const q = (url.searchParams.get("q") || "").trim();
+      const { data, pipeline, indexes } = await session();
+      if (!q) return [200, { snippets: data.snippets }];
+      const limit = Number(url.searchParams.get("limit") || 5);
+      if (!(limit > 0)) throw new HttpError(400, '"limit" must be a positive number');
+      const locale = pipeline.localeOf(q);
+      const tokens = expandSynonyms(pipeline.tokenize(q, { locale }), pipeline.lexiconFor(locale));
+      const hits = rankSnippets(indexes, data.snippets, tokens, {
+        scorer: scorerOf(url.searchParams.get("scorer") || undefined),
+        semanticWeight: semanticOf(url.searchParams.get("semantic") || undefined),
+        feedback: data.feedback,
+      })
+        .filter((x) => x.score > 0)
+        .slice(0, limit);
+      return [200, { snippets: hits.map(({ s, score }) => ({ ...s, score: spectrum01k(score) })) }];
+    }],
+    ["POST", /^\/snippets$/, (req) => exclusive(async () => {
+      const body = await readJSON(req);
+      const bad = Object.entries(BUNDLE_STORES.snippets.required).filter(([f, type]) => !fieldOk(body[f], type)).map(([f]) => f);
+      if (bad.length) throw new HttpError(400, `Missing or invalid fields: ${bad.join(", ")}`);
+      const snippet = {
+        id: typeof body.id === "string" && body.id ? body.id : crypto.randomUUID(),
+        title: body.title,
+        language: body.language,
+        tags: body.tags.filter((t) => typeof t === "string"),
+        snippet: body.snippet,
+      };
+      const snippets = await store.load("snippets");
+      const exists = snippets.some((s) => s.id === snippet.id);
+      await store.save("snippets", exists ? snippets.map((s) => (s.id === snippet.id ? snippet : s)) : [...snippets, snippet]);
+      return [exists ? 200 : 201, { snippet, validation: validateSnippet(snippet) }];
+    })],
+
+    ["POST", /^\/brain\/run$/, (req) => exclusive(async () => {
+      const body = await readJSON(req);
+      const { data, indexes } = await session();
+      if (body.ifNew && !hasNewCommands(data.brainRuns[0], data.commands)) return [200, { skipped: true }];
+      const env = createPlannerEnv({
+        indexes, snippets: data.snippets, scorer: scorerOf(body.scorer), semanticWeight: semanticOf(body.semantic),
+        feedback: data.feedback,
+      });
+      const { run, runs } = recordBrainRun(data.commands, data.brainRuns, env);
+      await store.save("brainRuns", runs);
+      return [201, { run }];
+    })],
+    ["GET", /^\/brain\/runs$/, async () => [200, { runs: await store.load("brainRuns") }]],
+  ];
+}
+
+// routes outside any workspace; `store` is the unscoped one, which holds the registry
+function createGlobalRoutes(store, exclusive) {
+  const registry = async () => normalizeWorkspaces(await store.load("workspaces"));
+  const workspaceOf = (list, id) => {
+    const workspace = list.find((w) => w.id === id);
+    if (!workspace) throw new HttpError(404, `No workspace "${id}"`);
+    return workspace;
+  };
+  const nameOf = (name, list, exceptId) => {
+    const problem = checkWorkspaceName(typeof name === "string" ? name : "", list, exceptId);
+    if (problem) throw new HttpError(400, problem);
+    return name.trim();
+  };
+
+  return [
+    ["GET", /^\/workspaces$/, async () => [200, { workspaces: await registry() }]],
+    ["POST", /^\/workspaces$/, (req) => exclusive(async () => {
+      const body = await readJSON(req);
+      const list = await registry();
+      const from = body.from === undefined ? null : findWorkspace(list, body.from);
+      if (body.from !== undefined && !from) throw new HttpError(400, `No workspace "${body.from}" to copy`);
+      const { workspace, list: next } = addWorkspace(list, nameOf(body.name, list), { share: from?.share });
+      if (from) await copyWorkspace(store.backend, STORE_SCHEMAS, from, workspace);
+      await store.save("workspaces", next);
+      return [201, { workspace }];
+    })],
+    ["POST", /^\/workspaces\/import$/, (req, params, url) => exclusive(async () => {
+      let parsed;
+      try {
+        parsed = deserialize(await readBody(req));
+      } catch {
+        throw new HttpError(400, "Body must be JSON");
+      }
+      const { bundle, errors, warnings } = validateBundle(parsed);
+      if (errors.length) throw new HttpError(400, `Import failed: ${errors.join("; ")}`);
+      const list = await registry();
+      const name = url.searchParams.has("name") ? nameOf(url.searchParams.get("name"), list) : undefined;
+      const { workspace } = await importWorkspace(store.backend, STORE_SCHEMAS, list, bundle, { name });
+      return [201, { workspace, warnings }];
+    })],
+    ["PATCH", /^\/workspaces\/([^/]+)$/, (req, [id]) => exclusive(async () => {
+      const body = await readJSON(req);
+      const list = await registry();
+      let workspace = workspaceOf(list, id);
+      if (body.name !== undefined) workspace = { ...workspace, name: nameOf(body.name, list, id) };
+      if (body.share !== undefined && (!body.share || typeof body.share !== "object")) throw new HttpError(400, '"share" must be an object');
+      for (const [name, shared] of Object.entries(body.share || {})) {
+        if (!SHAREABLE_STORES.includes(name) || typeof shared !== "boolean") {
+          throw new HttpError(400, `"share" takes booleans for ${SHAREABLE_STORES.join(", ")}`);
+        }
+        if (id === DEFAULT_WORKSPACE && !shared) throw new HttpError(400, "The default workspace always uses the shared stores");
+        workspace = await setSharing(store.backend, STORE_SCHEMAS, workspace, name, shared);
+      }
+      await store.save("workspaces", list.map((w) => (w.id === id ? workspace : w)));
+      return [200, { workspace }];
+    })],
+    ["DELETE", /^\/workspaces\/([^/]+)$/, (req, [id]) => exclusive(async () => {
+      const list = await registry();
+      const workspace = workspaceOf(list, id);
+      if (id === DEFAULT_WORKSPACE) throw new HttpError(400, "The default workspace cannot be deleted");
+      await clearWorkspace(store.backend, STORE_SCHEMAS, workspace);
+      await store.save("workspaces", list.filter((w) => w.id !== id));
+      return [204];
+    })],
+    ["GET", /^\/workspaces\/([^/]+)\/export$/, async (req, [id]) => {
+      const workspace = workspaceOf(await registry(), id);
+      const data = await createStore(store.backend, scopedSchemas(STORE_SCHEMAS, workspace)).loadAll();
+      // serialized like the CLI's export, so dictionary regexes survive the round trip
+      return [200, serialize(workspaceBundle(workspace, data))];
+    }],
+
+    // raw entries: the client's own store (storage.js) handles envelopes and migrations
+    ["GET", /^\/store\/([^/]+)$/, async (req, [key]) => {
+      if (!knownKey(key)) throw new HttpError(404, `Unknown store "${key}"`);
+      const raw = await store.backend.get(key);
+      if (raw == null) throw new HttpError(404, `Nothing stored under "${key}"`);
+      return [200, raw];
+    }],
+    ["PUT", /^\/store\/([^/]+)$/, (req, [key]) => exclusive(async () => {
+      if (!knownKey(key)) throw new HttpError(404, `Unknown store "${key}"`);
+      const raw = await readBody(req);
+      try {
+        JSON.parse(raw);
+      } catch {
+        throw new HttpError(400, "Body must be JSON");
+      }
+      await store.backend.set(key, raw);
+      return [204];
+    })],
+    ["DELETE", /^\/store\/([^/]+)$/, (req, [key]) => exclusive(async () => {
+      if (!knownKey(key)) throw new HttpError(404, `Unknown store "${key}"`);
+      await store.backend.remove(key);
+      return [204];
+    })],
+  ];
+}
+
+// -----------------------------
+// Server
+// -----------------------------
+function createApiServer({ store, origins = [] }) {
+  const exclusive = createQueue();
+  const globalRoutes = createGlobalRoutes(store, exclusive);
+  // workspace routes, rebuilt when the workspace starts or stops sharing a store
+  const scopes = new Map();
+  const routesIn = async (ref) => {
+    const workspace = findWorkspace(normalizeWorkspaces(await store.load("workspaces")), ref);
+    if (!workspace) throw new HttpError(404, `No workspace "${ref}"`);
+    const key = scopeKey(workspace);
+    if (!scopes.has(key)) {
+      for (const k of scopes.keys()) if (k.startsWith(`${workspace.id}:`)) scopes.delete(k);
+      scopes.set(key, createRoutes(createStore(store.backend, scopedSchemas(STORE_SCHEMAS, workspace)), exclusive));
+    }
+    return scopes.get(key);
+  };
+  const allowOrigin = (origin) => origin && (origins.includes("*") || origins.includes(origin) || LOCAL_ORIGIN.test(origin));
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const origin = req.headers.origin;
+    if (allowOrigin(origin)) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+      res.setHeader("Vary", "Origin");
+    }
+    const send = (status, body) => {
+      if (body === undefined) {
+        res.writeHead(status).end();
+        return;
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") {
+      if (!allowOrigin(origin)) return send(403, { error: "Origin not allowed" });
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+      return send(204);
+    }
+    if (origin && !allowOrigin(origin)) return send(403, { error: "Origin not allowed" });
+
+    try {
+      const global = globalRoutes.some(([, re]) => re.test(url.pathname));
+      const routes = global ? globalRoutes : await routesIn(url.searchParams.get("workspace") || DEFAULT_WORKSPACE);
+      const matching = routes.filter(([, re]) => re.test(url.pathname));
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) throw new HttpError(matching.length ? 405 : 404, `${req.method} ${url.pathname} is not a route`);
+      const params = decodeParams(route[1].exec(url.pathname).slice(1));
+      const [status, body] = await route[2](req, params, url);
+      send(status, body);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(err);
+      send(err.status || 500, { error: err.message });
+    }
+  });
+}
+
+async function main(argv) {
+  const { values: opts } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: "string", default: "8787" },
+      host: { type: "string", default: "127.0.0.1" },
+      store: { type: "string" },
+      origin: { type: "string", multiple: true, default: [] },
+    },
+  });
+  const path = opts.store || process.env.CMDBRAIN_STORE || "cmdbrain.json";
+  const server = createApiServer({ store: createStore(fileBackend({ path }), STORE_SCHEMAS), origins: opts.origin });
+  server.listen(Number(opts.port), opts.host, () => {
+    console.log(`cmdbrain API on http://${opts.host}:${opts.port} (store: ${path})`);
+  });
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exitCode = 2;
+});
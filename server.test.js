@@ -0,0 +1,45 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const PORT = 8000 + Math.floor(Math.random() * 1000);
+const base = `http://127.0.0.1:${PORT}`;
+let dir;
+let server;
+let logged = "";
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), "cmdbrain-"));
+  server = spawn(process.execPath, ["server.js", "--port", String(PORT), "--store", join(dir, "store.json")], {
+    cwd: new URL(".", import.meta.url),
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  server.stderr.on("data", (chunk) => { logged += chunk; });
+  await once(server.stdout, "data");
+});
+
+after(async () => {
+  server.kill();
+  await once(server, "exit");
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("an out-of-range date is a 400, not a server error", async () => {
+  for (const query of ["from=2020-13-45", "to=2021-02-30"]) {
+    const res = await fetch(`${base}/commands?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.match((await res.json()).error, /must be a YYYY-MM-DD date/);
+  }
+  assert.equal(logged, "");
+});
+
+test("a malformed escape in a route parameter is a 400", async () => {
+  const res = await fetch(`${base}/commands/%E0%A4%A`, { method: "DELETE" });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: "Malformed URL" });
+  assert.equal(logged, "");
+});
@@ -0,0 +1,242 @@
+/**
+ * Persistence layer for the command brain.
+ *
+ * - Values are written as a versioned envelope `{ v, data }` so older payloads can be migrated forward.
+ * - Sets and RegExps survive the round trip (plain JSON.stringify turns both into `{}`).
+ * - Backends are pluggable: localStorage for small setups, IndexedDB for large histories, the local API server
+ *   (server.js) to share one history with other tools, a JSON file in Node.
+ *
+ * A schema describes one store:
+ *   { key, legacyKey?, version, fallback, migrations?: { [fromVersion]: (data) => data }, retain?: async (data, load) => data }
+ * `legacyKey` points at the pre‑envelope localStorage key (the old `cmdbrain.*.v1` entries),
+ * whose raw JSON is treated as version 1.
+ * `retain` is a retention policy: it runs on every save and load (`load` reads other stores, e.g. the
+ * policy settings) and returns the data to keep, the same object when nothing goes.
+ */
+
+// -----------------------------
+// (De)serializers
+// -----------------------------
+function replacer(key, value) {
+  if (value instanceof Set) return { $set: Array.from(value) };
+  if (value instanceof RegExp) return { $regex: [value.source, value.flags] };
+  return value;
+}
+function reviver(key, value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === "$set" && Array.isArray(value.$set)) return new Set(value.$set);
+    if (keys.length === 1 && keys[0] === "$regex" && Array.isArray(value.$regex)) return new RegExp(value.$regex[0], value.$regex[1]);
+  }
+  return value;
+}
+
+export function serialize(value, space) {
+  return JSON.stringify(value, replacer, space);
+}
+export function deserialize(text) {
+  return JSON.parse(text, reviver);
+}
+
+// -----------------------------
+// Backends (async key/value of strings)
+// -----------------------------
+export function localStorageBackend() {
+  return {
+    name: "localStorage",
+    async get(key) { return localStorage.getItem(key); },
+    async set(key, value) { localStorage.setItem(key, value); },
+    async remove(key) { localStorage.removeItem(key); },
+  };
+}
+
+export function indexedDBBackend({ dbName = "cmdbrain", storeName = "kv" } = {}) {
+  let opening = null;
+  const open = () => {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return opening;
+  };
+  const run = async (mode, op) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = op(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+  return {
+    name: "indexedDB",
+    async get(key) { return (await run("readonly", (s) => s.get(key))) ?? null; },
+    async set(key, value) { await run("readwrite", (s) => s.put(value, key)); },
+    async remove(key) { await run("readwrite", (s) => s.delete(key)); },
+  };
+}
+
+// Node only (cli.js, server.js): every key in one JSON file. Values are kept parsed so the file stays readable;
+// writes go through a temp file and a rename so an interrupted run never leaves half a file behind.
+// The parsed file is reused only while the file is unchanged on disk, so a server and the CLI can share it:
+// every write replaces the file (a new inode), and a new inode, mtime or size makes the next call re-read it.
+export function fileBackend({ path = "cmdbrain.json" } = {}) {
+  let cache = null;
+  let stamp = null;
+  const stampOf = async () => {
+    const { stat } = await import("node:fs/promises");
+    try {
+      const st = await stat(path);
+      return `${st.ino}:${st.mtimeMs}:${st.size}`;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      return null;
+    }
+  };
+  const load = async () => {
+    const now = await stampOf();
+    if (!cache || now !== stamp) {
+      const { readFile } = await import("node:fs/promises");
+      try {
+        cache = JSON.parse(await readFile(path, "utf8"));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        cache = {};
+      }
+      stamp = now;
+    }
+    return cache;
+  };
+  const flush = async () => {
+    const { rename, writeFile } = await import("node:fs/promises");
+    await writeFile(`${path}.tmp`, `${JSON.stringify(cache, null, 2)}\n`);
+    await rename(`${path}.tmp`, path);
+    stamp = await stampOf();
+  };
+  return {
+    name: "file",
+    path,
+    async get(key) {
+      const data = await load();
+      return key in data ? JSON.stringify(data[key]) : null;
+    },
+    async set(key, value) {
+      (await load())[key] = JSON.parse(value);
+      await flush();
+    },
+    async remove(key) {
+      delete (await load())[key];
+      await flush();
+    },
+  };
+}
+
+// The local API server (server.js) keeps the raw entries under /store/:key in its own file store.
+export function httpBackend({ baseUrl = "http://localhost:8787" } = {}) {
+  const url = (key) => `${baseUrl.replace(/\/+$/, "")}/store/${encodeURIComponent(key)}`;
+  const call = async (key, init) => {
+    const res = await fetch(url(key), init);
+    if (res.ok) return res;
+    if (res.status === 404 && !init) return null;
+    const body = await res.json().catch(() => ({}));
+    throw new Error(`${res.status} ${body.error || res.statusText}`);
+  };
+  return {
+    name: "server",
+    async get(key) {
+      const res = await call(key);
+      return res ? res.text() : null;
+    },
+    async set(key, value) {
+      await call(key, { method: "PUT", headers: { "Content-Type": "application/json" }, body: value });
+    },
+    async remove(key) {
+      await call(key, { method: "DELETE" });
+    },
+  };
+}
+
+export const BACKENDS = {
+  localStorage: localStorageBackend,
+  indexedDB: indexedDBBackend,
+  server: httpBackend,
+};
+
+// -----------------------------
+// Versioned store
+// -----------------------------
+function readLegacy(key) {
+  try {
+    return typeof localStorage === "undefined" ? null : localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+export function migrate(name, schema, version, data) {
+  if (version > schema.version) {
+    throw new Error(`${name}: stored schema v${version} is newer than supported v${schema.version}`);
+  }
+  let out = data;
+  for (let v = version; v < schema.version; v++) {
+    const step = schema.migrations?.[v];
+    if (!step) throw new Error(`${name}: no migration from schema v${v}`);
+    out = step(out);
+  }
+  return out;
+}
+
+export function createStore(backend, schemas) {
+  const write = (name, data) =>
+    backend.set(schemas[name].key, serialize({ v: schemas[name].version, data }));
+
+  // resolves to what was kept, so callers can drop what the retention policy removed
+  async function save(name, data) {
+    const kept = schemas[name].retain ? await schemas[name].retain(data, load) : data;
+    await write(name, kept);
+    return kept;
+  }
+
+  async function load(name) {
+    const schema = schemas[name];
+    let version;
+    let data;
+    let fromLegacy = false;
+    try {
+      const raw = await backend.get(schema.key);
+      if (raw != null) {
+        ({ v: version, data } = deserialize(raw));
+      } else {
+        const legacy = schema.legacyKey && readLegacy(schema.legacyKey);
+        if (legacy == null) return schema.fallback;
+        version = 1;
+        data = JSON.parse(legacy);
+        fromLegacy = true;
+      }
+    } catch {
+      // unreadable payload: same behaviour as a missing one
+      return schema.fallback;
+    }
+
+    const upgraded = migrate(name, schema, version, data);
+    const kept = schema.retain ? await schema.retain(upgraded, load) : upgraded;
+    if (version !== schema.version || kept !== upgraded) {
+      await write(name, kept);
+      if (fromLegacy) localStorage.removeItem(schema.legacyKey);
+    }
+    return kept;
+  }
+
+  async function loadAll() {
+    const out = {};
+    for (const name of Object.keys(schemas)) out[name] = await load(name);
+    return out;
+  }
+
+  return { backend, load, loadAll, save };
+}
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileBackend } from "./storage.js";
+
+test("file backends sharing a file see each other's writes", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "cmdbrain-"));
+  try {
+    const path = join(dir, "store.json");
+    const server = fileBackend({ path });
+    const cli = fileBackend({ path });
+    await server.set("a", '"server"');
+    assert.equal(await cli.get("a"), '"server"');
+    await cli.set("b", '"cli"');
+    assert.equal(await server.get("b"), '"cli"');
+    await server.set("a", '"again"');
+    assert.equal(await cli.get("b"), '"cli"');
+    assert.equal(await cli.get("a"), '"again"');
+    await cli.remove("a");
+    assert.equal(await server.get("a"), null);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,387 @@
+/**
+ * Interpretation templates: a small handlebars‑style engine plus the built‑in template library.
+ *
+ * Syntax
+ *   {{path}}                    value (arrays are joined with ", "); dotted paths allowed
+ *   {{path|filter}}             filters: join, lines, count, upper, lower, json, pct
+ *   {{#if path}}…{{else}}…{{/if}}   empty arrays/strings and 0 are false
+ *   {{#unless path}}…{{/unless}}
+ *   {{#each path}}…{{/each}}    inside: {{this}}, {{@index}} (0‑based), {{@number}} (1‑based),
+ *                               {{@first}}, {{@last}}, and the item's own fields
+ *   {{! comment}}
+ * Block tags alone on a line take the whole line with them, so templates can be laid out freely.
+ */
+
+export class TemplateError extends Error {}
+
+// -----------------------------
+// Parser
+// -----------------------------
+const STANDALONE = /^[ \t]*(\{\{\s*(?:[#/!][^}]*|else\s*)\}\})[ \t]*\r?\n/gm;
+const TAG = /\{\{\s*([#/!]?)([^}]*?)\s*\}\}/g;
+
+function parse(src) {
+  const text = src.replace(STANDALONE, "$1");
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let last = 0;
+  const top = () => stack[stack.length - 1];
+  const push = (node) => {
+    const t = top();
+    (t.inElse ? t.otherwise : t.children).push(node);
+  };
+
+  for (const m of text.matchAll(TAG)) {
+    if (m.index > last) push({ type: "text", value: text.slice(last, m.index) });
+    last = m.index + m[0].length;
+    const [, sigil, body] = m;
+    if (sigil === "!") continue;
+    if (sigil === "#") {
+      const [kind, path] = body.split(/\s+/);
+      if (!["if", "unless", "each"].includes(kind) || !path) throw new TemplateError(`Unknown block "{{#${body}}}"`);
+      const node = { type: kind, path, children: [], otherwise: [] };
+      push(node);
+      stack.push(node);
+    } else if (sigil === "/") {
+      const node = stack.pop();
+      if (node.type === "root" || node.type !== body) {
+        throw new TemplateError(`"{{/${body}}}" does not close ${node.type === "root" ? "any block" : `{{#${node.type}}}`}`);
+      }
+    } else if (body === "else") {
+      if (top().type === "root") throw new TemplateError('"{{else}}" outside of a block');
+      top().inElse = true;
+    } else {
+      const [path, ...filters] = body.split("|").map((x) => x.trim());
+      push({ type: "var", path, filters });
+    }
+  }
+  if (last < text.length) push({ type: "text", value: text.slice(last) });
+  if (stack.length > 1) throw new TemplateError(`Unclosed {{#${top().type} ${top().path}}}`);
+  return root;
+}
+
+// -----------------------------
+// Renderer
+// -----------------------------
+const FILTERS = {
+  join: (v) => (Array.isArray(v) ? v.join(", ") : v),
+  lines: (v) => (Array.isArray(v) ? v.map((x) => `- ${x}`).join("\n") : v),
+  count: (v) => (Array.isArray(v) ? v.length : v ? 1 : 0),
+  upper: (v) => String(v ?? "").toUpperCase(),
+  lower: (v) => String(v ?? "").toLowerCase(),
+  json: (v) => JSON.stringify(v),
+  pct: (v) => `${Math.round(Number(v) * 100)}%`,
+};
+
+function lookup(scopes, path) {
+  if (path === "this" || path === ".") return scopes[0].value;
+  const [head, ...rest] = path.split(".");
+  for (const scope of scopes) {
+    const base = head.startsWith("@") ? scope.meta : scope.value;
+    if (base && typeof base === "object" && head.replace(/^@/, "") in base) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), base[head.replace(/^@/, "")]);
+    }
+  }
+  return undefined;
+}
+
+function truthy(v) {
+  return Array.isArray(v) ? v.length > 0 : Boolean(v);
+}
+
+function show(v) {
+  if (v == null) return "";
+  if (Array.isArray(v)) return v.join(", ");
+  return String(v);
+}
+
+function renderNodes(nodes, scopes) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") out += node.value;
+    else if (node.type === "var") {
+      let v = lookup(scopes, node.path);
+      for (const f of node.filters) {
+        if (!FILTERS[f]) throw new TemplateError(`Unknown filter "${f}"`);
+        v = FILTERS[f](v);
+      }
+      out += show(v);
+    } else if (node.type === "if" || node.type === "unless") {
+      const cond = truthy(lookup(scopes, node.path));
+      out += renderNodes((node.type === "if") === cond ? node.children : node.otherwise, scopes);
+    } else if (node.type === "each") {
+      const list = lookup(scopes, node.path);
+      if (!truthy(list) || !Array.isArray(list)) {
+        out += renderNodes(node.otherwise, scopes);
+        continue;
+      }
+      list.forEach((item, i) => {
+        const meta = { index: i, number: i + 1, first: i === 0, last: i === list.length - 1 };
+        out += renderNodes(node.children, [{ value: item, meta }, ...scopes]);
+      });
+    }
+  }
+  return out;
+}
+
+export function renderTemplate(src, context) {
+  return renderNodes(parse(src).children, [{ value: context, meta: {} }]);
+}
+
+// Throws TemplateError with a readable message, or returns null when the template parses.
+export function checkTemplate(src) {
+  try {
+    parse(src);
+    return null;
+  } catch (err) {
+    if (err instanceof TemplateError) return err.message;
+    throw err;
+  }
+}
+
+// -----------------------------
+// Built‑in template library
+// `keywords` and `intents` drive automatic selection.
+// -----------------------------
+const FACTS = `## Facts
+- **Command:** {{raw}}
+{{#if locale}}
+- **Command Language:** {{locale}}
+{{/if}}
+- **Primary Keywords:** {{#if tokens}}{{tokens}}{{else}}(none){{/if}}
+- **Expanded Keywords:** {{#if expanded}}{{expanded}}{{else}}(none){{/if}}
+- **Opposite Terms:** {{#if antonyms}}{{antonyms}}{{else}}(none){{/if}}
+- **Negated Terms:** {{#if negated}}{{negated}}{{else}}(none){{/if}}
+{{#each entities}}
+- **{{label}}:** {{value}}
+{{/each}}
+- **Constraints:** {{#if constraints}}{{constraints|join}}{{else}}(none){{/if}}
+{{#if thread}}
+- **Follow-up of:** "{{thread.previous}}" (turn {{thread.turn}})
+- **Reads as:** {{thread.resolved}}
+{{#each thread.references}}
+- **"{{word}}":** {{to}}
+{{/each}}
+{{#if thread.carried}}
+- **Carried Over:** {{thread.carried|join}}
+{{/if}}
+{{/if}}
+`;
+
+const INTENT = `## Intent
+{{#if intent.text}}
+- The user most likely wants to {{intent.text}} (intent: **{{intent.name}}**, confidence {{intent.confidence|pct}}).
+- Signal verbs: {{intent.verbs}}
+{{#if intent.alternatives}}
+- Also possible: {{intent.alternatives}}
+{{/if}}
+{{else}}
+- No known action verb found; the user likely wants the system to parse, refine, and reason about the command to produce an actionable summary.
+{{/if}}
+`;
+
+const SNIPPETS = `{{#each snippets}}
+{{@number}}. {{title}} ({{language}}, score {{score}}/1000)
+{{else}}
+(no matching snippets)
+{{/each}}`;
+
+export const BUILTIN_TEMPLATES = [
+  {
+    id: "general",
+    name: "General",
+    keywords: [],
+    intents: [],
+    builtin: true,
+    body: `# Interpretation
+${FACTS}
+${INTENT}
+## Logic
+- Similarity → {{similarScore}}/1000 (higher = closer)
+- Difference → {{differentScore}}/1000 (higher = more different)
+{{#if similar}}
+- Closest prior command: "{{similar.0.raw}}" ({{similar.0.score}}/1000)
+{{/if}}
+- Use antonyms to probe opposites and ensure coverage of negative space.
+
+## Output
+- Summary: {{summary}}
+- Steps:
+{{#each steps}}
+  {{@number}}. {{this}}
+{{/each}}
+- Snippets:
+${SNIPPETS}
+`,
+  },
+  {
+    id: "bug-report",
+    name: "Bug Report",
+    keywords: ["bug", "error", "fix", "crash", "fail", "broken", "issue", "exception", "wrong", "regression"],
+    intents: [],
+    builtin: true,
+    body: `# Bug Report
+## Summary
+{{summary}}
+
+## Observed
+- {{raw}}
+{{#each entities}}
+- {{label}}: {{value}}
+{{/each}}
+
+## Expected
+{{#if intent.text}}
+- The system should {{intent.text}} without errors.
+{{else}}
+- (describe the expected behaviour)
+{{/if}}
+
+## Reproduction / Fix Plan
+{{#each steps}}
+{{@number}}. {{this}}
+{{/each}}
+
+## Related
+{{#each similar}}
+- "{{raw}}" ({{score}}/1000)
+{{else}}
+- No similar earlier reports.
+{{/each}}
+
+## Candidate Snippets
+${SNIPPETS}
+`,
+  },
+  {
+    id: "feature-spec",
+    name: "Feature Spec",
+    keywords: ["feature", "support", "website", "app", "page", "ui", "user", "panel", "button", "endpoint"],
+    intents: ["create"],
+    builtin: true,
+    body: `# Feature Spec
+## Goal
+{{summary}}
+
+## Scope
+- Keywords: {{#if expanded}}{{expanded}}{{else}}(none){{/if}}
+{{#each entities}}
+- {{label}}: {{value}}
+{{/each}}
+{{#if constraints}}
+
+## Constraints
+{{constraints|lines}}
+{{/if}}
+
+## Milestones
+{{#each steps}}
+{{@number}}. {{this}}
+{{/each}}
+
+## Out of Scope
+{{#if antonyms}}
+- {{antonyms}}
+{{else}}
+- (nothing stated)
+{{/if}}
+
+## Starting Points
+${SNIPPETS}
+`,
+  },
+  {
+    id: "data-task",
+    name: "Data Task",
+    keywords: ["data", "csv", "json", "table", "database", "db", "sqlite", "query", "row", "column", "report", "sql"],
+    intents: ["query", "transform"],
+    builtin: true,
+    body: `# Data Task
+## Objective
+{{summary}}
+
+## Sources
+{{#if sources}}
+{{sources|lines}}
+{{else}}
+- (no source named in the command)
+{{/if}}
+
+## Operations
+{{#each steps}}
+{{@number}}. {{this}}
+{{/each}}
+{{#if constraints}}
+
+## Constraints
+{{constraints|lines}}
+{{/if}}
+
+## Similar Past Tasks
+{{#each similar}}
+- "{{raw}}" ({{score}}/1000)
+{{else}}
+- none
+{{/each}}
+
+## Snippets
+${SNIPPETS}
+`,
+  },
+  {
+    id: "cli-task",
+    name: "CLI Task",
+    keywords: ["cli", "command", "shell", "bash", "terminal", "script", "flag", "argument", "cron", "pipe"],
+    intents: [],
+    builtin: true,
+    body: `# CLI Task
+## Command Intent
+{{summary}}
+
+## Inputs
+- Raw: \`{{raw}}\`
+{{#each entities}}
+- {{label}}: {{value}}
+{{/each}}
+
+## Script Outline
+{{#each steps}}
+{{@number}}. {{this}}
+{{/each}}
+{{#if constraints}}
+
+## Flags / Constraints
+{{constraints|lines}}
+{{/if}}
+
+## Snippets
+${SNIPPETS}
+`,
+  },
+];
+
+/**
+ * Picks the template whose keywords/intents best fit the command; "general" when nothing fits.
+ * `term` maps a template keyword onto pipeline tokens (stemming etc.).
+ */
+export function pickTemplate(templates, { tokens, intent, term = (w) => w }) {
+  const have = new Set(tokens);
+  let best = null;
+  let bestScore = 0;
+  for (const t of templates) {
+    const score = (t.keywords || []).filter((k) => have.has(term(k))).length
+      + ((t.intents || []).includes(intent) ? 2 : 0);
+    if (score > bestScore) {
+      best = t;
+      bestScore = score;
+    }
+  }
+  return best || templates.find((t) => t.id === "general") || templates[0];
+}
+
+// Built‑ins overlaid with the user's saved templates (same id = edited built‑in).
+export function mergeTemplates(saved) {
+  const byId = new Map(BUILTIN_TEMPLATES.map((t) => [t.id, t]));
+  for (const t of saved) byId.set(t.id, { ...t, builtin: BUILTIN_TEMPLATES.some((b) => b.id === t.id) });
+  return Array.from(byId.values());
+}
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTemplateContext, buildVerboseTemplate } from "./core.js";
+import { BUILTIN_TEMPLATES } from "./templates.js";
+
+const analysis = {
+  intent: "create", confidence: 1, verbs: ["build"], alternatives: [], constraints: [], locale: "en",
+  entities: { urls: [], paths: [], languages: [], durations: [], numbers: [], tables: [] },
+};
+const snippet = (id, score) => ({ s: { id, title: `Snippet ${id}`, language: "python", tags: [], snippet: "" }, score });
+const contextOf = (picks) => buildTemplateContext({
+  raw: "build a spaceship", tokens: ["build", "spaceship"], expanded: ["build", "spaceship"], antonyms: [], analysis,
+  similarScore: 0, differentScore: 1000, similar: [], picks,
+});
+const featureSpec = BUILTIN_TEMPLATES.find((t) => t.id === "feature-spec");
+
+test("snippets that match nothing are left out, so the no-match text shows", () => {
+  const ctx = contextOf([snippet("a", 0), snippet("b", 0), snippet("c", 0)]);
+  assert.deepEqual(ctx.snippets, []);
+  const text = buildVerboseTemplate(featureSpec, ctx);
+  assert.match(text, /## Starting Points\n\(no matching snippets\)/);
+  assert.ok(!/Adapt snippet/.test(text));
+});
+
+test("matching snippets are listed with their score", () => {
+  const ctx = contextOf([snippet("a", 0.4), snippet("b", 0)]);
+  assert.deepEqual(ctx.snippets.map((s) => [s.id, s.score]), [["a", 400]]);
+  assert.match(buildVerboseTemplate(featureSpec, ctx), /1\. Snippet a \(python, score 400\/1000\)/);
+});
@@ -0,0 +1,231 @@
+/**
+ * Conversation threads: a follow-up command continues an earlier one and is read in its context.
+ *
+ * A follow-up record carries three fields on top of the usual ones (history.js):
+ *   continues: id    the command it follows up
+ *   thread: id       the first command of the thread (a command without it starts its own thread)
+ *   resolved: text   the whole request so far, what the follow-up "reads as" ("fetch https://x.com in python")
+ * and its `analysis` already holds what the thread carried over, so the next turn only needs its parent.
+ *
+ * `resolveFollowUp` reads a follow-up against `threadContext`:
+ *   - its intent, when it names none ("now do it in python"), is the thread's;
+ *   - entities and constraints add up over the turns, except the programming language, which a later turn
+ *     replaces (a program has one), and anything the turn names when it says "instead";
+ *   - references are resolved: "it" / "that" to the thread's subject (its first URL, path or table, else the
+ *     previous request), "same" / "again" to the previous request, "instead" / "rather" to what it replaces.
+ * Reference words are English plus the command's locale (tokenizer.js), compared normalized ("même" -> "meme").
+ */
+import { LANGUAGES, summarizeEntities } from "./intent.js";
+import { normalize } from "./tokenizer.js";
+
+export const REFERENCE_KINDS = {
+  subject: "the thread's subject",
+  repeat: "the previous request",
+  replace: "replaces what the thread had",
+};
+
+const REFERENCES = {
+  en: { subject: ["it", "that", "this", "them", "those", "these"], repeat: ["same", "again"], replace: ["instead", "rather"] },
+  de: { subject: ["es", "das", "dies", "diese"], repeat: ["dasselbe", "gleiche", "nochmal", "wieder"], replace: ["stattdessen", "lieber"] },
+  es: { subject: ["eso", "esto", "lo"], repeat: ["mismo", "misma", "nuevamente"], replace: [] },
+  fr: { subject: ["ca", "cela", "ceci"], repeat: ["meme", "pareil", "encore"], replace: ["plutot"] },
+  pt: { subject: ["isso", "isto"], repeat: ["mesmo", "mesma", "novamente"], replace: [] },
+};
+// dropped from the start of what a follow-up adds ("now do it in python" adds "in python", "use X instead" adds X)
+const FILLERS = new Set([
+  "now", "but", "and", "then", "also", "please", "just", "do", "ok", "okay", "use", "try",
+  "jetzt", "aber", "und", "dann", "auch", "bitte", "mach", "nimm", "verwende",
+  "ahora", "pero", "y", "luego", "tambien", "haz", "usa",
+  "maintenant", "mais", "et", "puis", "aussi", "fais", "utilise", "agora", "mas", "e", "depois", "faz",
+]);
+const ENTITY_KINDS = ["urls", "paths", "tables", "languages", "durations", "numbers"];
+const SUBJECT_KINDS = ["urls", "paths", "tables"];
+
+// The first command of the thread `command` belongs to.
+export function threadOf(command) {
+  return command.thread || command.id;
+}
+
+// what a command's request reads as: the resolved text of a follow-up, the command itself otherwise
+export function turnText(command) {
+  return command.resolved || command.raw;
+}
+
+// The turns from the start of the thread to `id`, following `continues`; stops at a command no longer in `commands`.
+export function threadChain(commands, id) {
+  const byId = new Map(commands.map((c) => [c.id, c]));
+  const chain = [];
+  for (let c = byId.get(id); c && !chain.includes(c); c = c.continues && byId.get(c.continues)) chain.unshift(c);
+  return chain;
+}
+
+// Every command of thread `id` still in `commands`, in their stored (oldest first) order.
+export function threadCommands(commands, id) {
+  return commands.filter((c) => threadOf(c) === id);
+}
+
+/**
+ * `list` grouped by thread, in the order each thread first appears in `list` (so search results keep their
+ * ranking), the turns of a thread oldest first.
+ * @returns {{ id, commands }[]}
+ */
+export function groupThreads(list) {
+  const groups = new Map();
+  for (const c of list) {
+    const id = threadOf(c);
+    if (!groups.has(id)) groups.set(id, { id, commands: [] });
+    groups.get(id).commands.push(c);
+  }
+  for (const g of groups.values()) g.commands.sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+  return Array.from(groups.values());
+}
+
+/**
+ * What a follow-up of command `id` inherits, or null when `id` is not in `commands`.
+ * @param analyze  (command) -> analysis, for records stored without one
+ * @returns {{ thread, parent, turn, previous, text, analysis, locale, subject }}  `turn` counts the turns so far
+ */
+export function threadContext(commands, id, analyze) {
+  const chain = threadChain(commands, id);
+  if (!chain.length) return null;
+  const parent = chain[chain.length - 1];
+  const analysis = parent.analysis || analyze(parent);
+  const subject = SUBJECT_KINDS.map((k) => analysis.entities[k][0]).find(Boolean);
+  return {
+    thread: threadOf(parent),
+    parent: parent.id,
+    turn: chain.length,
+    previous: parent.raw,
+    text: turnText(parent),
+    analysis,
+    locale: parent.locale || analysis.locale,
+    subject: subject || `"${turnText(parent)}"`,
+  };
+}
+
+function wordsOf(locale) {
+  const own = REFERENCES[String(locale || "").split("-")[0]];
+  const out = new Map();
+  for (const lists of [REFERENCES.en, own].filter(Boolean)) {
+    for (const [kind, words] of Object.entries(lists)) words.forEach((w) => out.set(w, kind));
+  }
+  return out;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// durations are compared and shown by their text
+function valueText(kind, x) {
+  return kind === "durations" ? x.text : String(x);
+}
+
+// `text` with `from` (a language: any of its spellings) swapped for `to`
+function substitute(text, kind, from, to) {
+  const spellings = kind === "languages" ? LANGUAGES[from] || [from] : [from];
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${spellings.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`, "giu");
+  return text.replace(re, () => to);
+}
+
+/**
+ * Reads follow-up `raw` in the thread `context` (see `threadContext`).
+ * @param analyze  (text) -> analysis (intent.js `analyzeCommand`), run on the follow-up without its reference
+ *   words, so "same" cannot pass for a typo of "save"
+ * @param locale   the follow-up's locale, for its reference words
+ * @returns {{ analysis, text, added, references: { word, kind, to }[], carried: string[], replaced: string[] }}
+ *   `analysis` with the thread carried over, `text` what the follow-up reads as, `added` its own words,
+ *   `carried` what came from the thread (for display), `replaced` the "old → new" values the turn swapped
+ */
+export function resolveFollowUp(raw, context, { analyze, locale }) {
+  const vocabulary = wordsOf(locale);
+  const found = [];
+  const kept = [];
+  for (const word of raw.split(/\s+/).filter(Boolean)) {
+    const key = normalize(word).replace(/[^\p{L}]/gu, "");
+    const kind = vocabulary.get(key);
+    if (!kind) {
+      kept.push(word);
+      continue;
+    }
+    if (!found.some((r) => r.word === key)) found.push({ word: key, kind });
+  }
+  while (kept.length && FILLERS.has(normalize(kept[0]).replace(/[^\p{L}]/gu, ""))) kept.shift();
+  const added = kept.join(" ").replace(/^[\s,;:.]+|[\s,;:]+$/g, "");
+  const analysis = analyze(added);
+  const instead = found.some((r) => r.kind === "replace");
+
+  // entities: a language always replaces, anything else only "instead"; otherwise they add up
+  const before = context.analysis.entities;
+  const entities = {};
+  const inherited = {};
+  const replaced = [];
+  let text = context.text;
+  for (const kind of ENTITY_KINDS) {
+    const mine = analysis.entities[kind] || [];
+    const has = new Set(mine.map((x) => valueText(kind, x)));
+    const theirs = (before[kind] || []).filter((x) => !has.has(valueText(kind, x)));
+    const replaces = mine.length > 0 && (instead || kind === "languages");
+    if (replaces) {
+      for (const old of theirs) {
+        text = substitute(text, kind, valueText(kind, old), valueText(kind, mine[0]));
+        replaced.push(`${valueText(kind, old)} → ${valueText(kind, mine[0])}`);
+      }
+    }
+    inherited[kind] = replaces ? [] : theirs;
+    entities[kind] = [...inherited[kind], ...mine];
+  }
+
+  const carryIntent = analysis.intent === "unknown" && context.analysis.intent !== "unknown";
+  const { intent, confidence, verbs, alternatives } = carryIntent ? context.analysis : analysis;
+  // a constraint of a type the turn restates is replaced when it says "instead" (the language one always)
+  const restated = new Set(analysis.constraints.map((c) => c.type).filter((t) => instead || t === "language"));
+  const constraints = [
+    ...context.analysis.constraints.filter((c) => !restated.has(c.type) && !analysis.constraints.some((x) => x.text === c.text)),
+    ...analysis.constraints,
+  ];
+
+  // what the turn adds, unless the request already says it: a clause of its own when it names an action
+  if (added && !normalize(text).includes(normalize(added))) {
+    text = analysis.intent === "unknown" ? `${text.replace(/[\s.]+$/, "")} ${added}` : `${text.replace(/[\s.;]+$/, "")}; ${added}`;
+  }
+
+  const references = found.map(({ word, kind }) => ({
+    word,
+    kind,
+    to: kind === "subject" ? context.subject : kind === "repeat" ? `"${context.text}"` : replaced.join(", ") || REFERENCE_KINDS.replace,
+  }));
+  const carried = [
+    ...(carryIntent ? [`intent: ${intent}`] : []),
+    ...summarizeEntities(inherited),
+    ...context.analysis.constraints.filter((c) => constraints.includes(c)).map((c) => `${c.type}: ${c.text}`),
+  ];
+  return {
+    analysis: { ...analysis, intent, confidence, verbs, alternatives, entities, constraints },
+    text,
+    added,
+    references,
+    carried,
+    replaced,
+  };
+}
+
+const LANGUAGE_BOOST = 1.25;
+
+// Snippet ranks (core.js `rankSnippets`) with snippets in the thread's language lifted; scores stay within 0..1.
+export function preferLanguage(ranked, language) {
+  if (!language) return ranked;
+  return ranked
+    .map((r) => (r.s.language === language && r.score > 0 ? { ...r, score: Math.min(1, r.score * LANGUAGE_BOOST) } : r))
+    .sort((a, b) => b.score - a.score);
+}
+
+
+// A follow-up's `thread` (core.js `interpret`) as text lines (cli.js).
+export function describeFollowUp(thread) {
+  return [
+    `Follow-up, turn ${thread.turn}: reads as "${thread.resolved}"`,
+    ...thread.references.map((r) => `  "${r.word}" → ${r.to}`),
+    ...(thread.carried.length ? [`  carried over: ${thread.carried.join("; ")}`] : []),
+  ];
+}
@@ -0,0 +1,434 @@
+/**
+ * Token pipeline shared by history similarity, snippet matching and synonym/antonym lookup:
+ *
+ *   detect language → normalize → split → stopwords → stem → fuzzy dictionary lookup
+ *
+ * Every stage after the split can be switched off. Dictionary words run through the same stages
+ * (see `lexicon`), so "fetching", "fetched" and "fetch" all land on the `fetch` group and a typo
+ * like "webiste" is pulled onto `website` by edit distance. Only what looks like a typo is corrected:
+ * a word of five letters or more, unknown to the command's locale and not a common word.
+ *
+ * Text is Unicode aware: NFKC, diacritics folded off Latin letters ("café" → "cafe"), and scripts
+ * written without spaces (Chinese, Japanese, Thai, …) split into words with `Intl.Segmenter`.
+ * Each text is tokenized in one locale, detected from its script and stopwords or pinned by the
+ * caller; the locale picks the stopword list and the stemmer. The dictionary's top level is the
+ * DEFAULT_LOCALE, `dict.locales` adds the others (see `createPipeline`).
+ *
+ * Stems are not always readable ("websit"), so the pipeline remembers a surface form per stem
+ * (dictionary spelling first) for display.
+ */
+
+export const PIPELINE_STAGES = {
+  normalize: "normalize",
+  stopwords: "stopwords",
+  stem: "stem",
+  fuzzy: "fuzzy match",
+};
+export const DEFAULT_PIPELINE = { normalize: true, stopwords: true, stem: true, fuzzy: true };
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_RE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/;
+
+// letters without a decomposition of their own
+const FOLDS = { ß: "ss", æ: "ae", œ: "oe", ø: "o", ł: "l", đ: "d", ð: "d", þ: "th", ı: "i" };
+
+export function normalize(str) {
+  return (str || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    // only Latin letters lose their marks: in other scripts (й, Devanagari vowel signs) they are part of the letter
+    .normalize("NFD")
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, "$1")
+    .normalize("NFC")
+    .replace(/[ßæœøłđðþı]/g, (c) => FOLDS[c])
+    .replace(/[^\p{L}\p{M}\p{N}_\-\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// -----------------------------
+// Word splitting
+// -----------------------------
+const UNSPACED = "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}";
+const HAS_UNSPACED = new RegExp(`[${UNSPACED}]`, "u");
+// without Intl.Segmenter every character of those scripts stands alone
+const UNSPACED_CHUNKS = new RegExp(`[${UNSPACED}]|[^${UNSPACED}]+`, "gu");
+
+const segmenters = new Map();
+function segmentWords(text, locale) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) return text.match(UNSPACED_CHUNKS);
+  if (!segmenters.has(locale)) segmenters.set(locale, new Intl.Segmenter(locale, { granularity: "word" }));
+  return Array.from(segmenters.get(locale).segment(text)).filter((s) => s.isWordLike).map((s) => s.segment);
+}
+
+// whitespace words, with runs of unspaced scripts cut into words
+export function splitWords(text, locale = DEFAULT_LOCALE) {
+  return text.split(/\s+/).filter(Boolean).flatMap((w) => (HAS_UNSPACED.test(w) ? segmentWords(w, locale) : [w]));
+}
+
+// -----------------------------
+// Language detection
+// -----------------------------
+// CJK characters carry about a word each, so they count for more than single Latin letters
+const SCRIPTS = [
+  { re: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, locale: "ja", weight: 3 },
+  { re: /\p{Script=Hangul}/gu, locale: "ko", weight: 3 },
+  { re: /\p{Script=Han}/gu, locale: "zh", weight: 3 },
+  { re: /\p{Script=Cyrillic}/gu, locale: "ru", weight: 1 },
+  { re: /\p{Script=Greek}/gu, locale: "el", weight: 1 },
+  { re: /\p{Script=Arabic}/gu, locale: "ar", weight: 1 },
+  { re: /\p{Script=Hebrew}/gu, locale: "he", weight: 1 },
+  { re: /\p{Script=Thai}/gu, locale: "th", weight: 2 },
+  { re: /\p{Script=Devanagari}/gu, locale: "hi", weight: 1 },
+];
+const LATIN = /\p{Script=Latin}/gu;
+const URLISH = /\b[a-z][\w+.-]*:\/\/\S+|\S+@\S+\.\w+/g;
+const LETTER_HINTS = { es: /[ñ¿¡]/, de: /[ßäöü]/, fr: /[çœàèêëîïôûù]/, pt: /[ãõ]/ };
+const count = (text, re) => (text.match(re) || []).length;
+
+/**
+ * Most likely locale of `text`. Non‑Latin text goes by its dominant script (kana makes Han text
+ * Japanese, і/ї/є/ґ make Cyrillic Ukrainian); Latin text by how many of its words are stopwords of
+ * each locale in `stops` ({ [locale]: Set of normalized words }), plus telltale letters (ñ, ß, ç, ã).
+ * Undecided text falls back to DEFAULT_LOCALE with confidence 0.
+ * @returns {{ locale, confidence }}
+ */
+export function detectLanguage(text, stops = {}) {
+  const lower = (text || "").normalize("NFC").toLowerCase();
+  let best = { locale: null, score: count(lower.replace(URLISH, " "), LATIN) };
+  for (const { re, locale, weight } of SCRIPTS) {
+    const score = count(lower, re) * weight;
+    if (score > best.score) best = { locale, score };
+  }
+  if (best.locale === "zh" && count(lower, SCRIPTS[0].re)) best.locale = "ja";
+  if (best.locale === "ru" && /[іїєґ]/.test(lower)) best.locale = "uk";
+  if (best.locale) return { locale: best.locale, confidence: 1 };
+
+  // URLs and e‑mail addresses say nothing about the language ("com" is a Portuguese stopword)
+  const words = normalize(lower.replace(URLISH, " ")).split(" ");
+  const scores = {};
+  for (const [locale, stop] of Object.entries(stops)) scores[locale] = words.filter((w) => stop.has(w)).length;
+  for (const [locale, re] of Object.entries(LETTER_HINTS)) if (re.test(lower)) scores[locale] = (scores[locale] || 0) + 1.5;
+  // ties go to the earlier locale in `stops` (the default one comes first)
+  const ranked = Object.entries(scores).filter(([, v]) => v > 0).sort((a, b) => b[1] - a[1]);
+  if (!ranked.length) return { locale: DEFAULT_LOCALE, confidence: 0 };
+  const total = ranked.reduce((sum, [, v]) => sum + v, 0);
+  return { locale: ranked[0][0], confidence: Math.round((ranked[0][1] / total) * 100) / 100 };
+}
+
+// "de" -> "German"; the code itself where Intl.DisplayNames is missing or does not know it
+export function localeName(locale) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(locale) || locale;
+  } catch {
+    return locale;
+  }
+}
+
+// -----------------------------
+// Stemmer: Porter steps 1a, 1b, 1c and 5a (inflectional endings only)
+// -----------------------------
+function isCons(w, i) {
+  const c = w[i];
+  if ("aeiou".includes(c)) return false;
+  if (c === "y") return i === 0 || !isCons(w, i - 1);
+  return true;
+}
+// m in [C](VC)^m[V]
+function measure(w) {
+  let m = 0;
+  let prevVowel = false;
+  for (let i = 0; i < w.length; i++) {
+    const vowel = !isCons(w, i);
+    if (!vowel && prevVowel) m++;
+    prevVowel = vowel;
+  }
+  return m;
+}
+function hasVowel(w) {
+  for (let i = 0; i < w.length; i++) if (!isCons(w, i)) return true;
+  return false;
+}
+function endsDoubleCons(w) {
+  const n = w.length;
+  return n >= 2 && w[n - 1] === w[n - 2] && isCons(w, n - 1);
+}
+// consonant‑vowel‑consonant, last not w/x/y (e.g. -hop, -mak)
+function endsCvc(w) {
+  const n = w.length;
+  return n >= 3 && isCons(w, n - 3) && !isCons(w, n - 2) && isCons(w, n - 1) && !"wxy".includes(w[n - 1]);
+}
+
+export function stem(word) {
+  let w = word;
+  if (w.length <= 2 || !/^[a-z]+$/.test(w)) return w;
+
+  // 1a: plurals
+  if (w.endsWith("sses") || w.endsWith("ies")) w = w.slice(0, -2);
+  else if (!w.endsWith("ss") && w.endsWith("s")) w = w.slice(0, -1);
+
+  // 1b: -eed / -ed / -ing
+  if (w.endsWith("eed")) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    for (const suffix of ["ed", "ing"]) {
+      if (!w.endsWith(suffix) || !hasVowel(w.slice(0, -suffix.length))) continue;
+      w = w.slice(0, -suffix.length);
+      if (/(at|bl|iz)$/.test(w)) w += "e";
+      else if (endsDoubleCons(w) && !/[lsz]$/.test(w)) w = w.slice(0, -1);
+      else if (measure(w) === 1 && endsCvc(w)) w += "e";
+      break;
+    }
+  }
+
+  // 1c: y -> i after a vowel‑bearing stem
+  if (w.endsWith("y") && hasVowel(w.slice(0, -1))) w = `${w.slice(0, -1)}i`;
+
+  // 5a: drop a final e
+  if (w.endsWith("e")) {
+    const base = w.slice(0, -1);
+    const m = measure(base);
+    if (m > 1 || (m === 1 && !endsCvc(base))) w = base;
+  }
+  return w;
+}
+
+// Other locales only drop inflection endings (plural, case), keeping at least `min` letters.
+function suffixStemmer(suffixes, min) {
+  const sorted = [...suffixes].sort((a, b) => b.length - a.length);
+  return (w) => {
+    const hit = sorted.find((x) => w.endsWith(x) && w.length - x.length >= min);
+    return hit ? w.slice(0, -hit.length) : w;
+  };
+}
+
+const STEMMERS = {
+  en: stem,
+  de: suffixStemmer(["en", "er", "e", "n", "s"], 4),
+  es: suffixStemmer(["s"], 3),
+  fr: suffixStemmer(["s", "x"], 3),
+  pt: suffixStemmer(["s"], 3),
+  ru: suffixStemmer([
+    "ами", "ями", "ов", "ев", "ей", "ам", "ям", "ах", "ях", "ом", "ем", "ой", "ый", "ий", "ая", "яя", "ое", "ее", "ые", "ие",
+    "ы", "и", "а", "я", "о", "е", "у", "ю", "ь",
+  ], 3),
+};
+const keep = (w) => w;
+function stemmerFor(locale) {
+  return STEMMERS[locale] || STEMMERS[locale.split("-")[0]] || keep;
+}
+
+// -----------------------------
+// Edit distance (optimal string alignment: adjacent transpositions count once)
+// -----------------------------
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Allowed edits grow with word length; very short words are never corrected.
+export function fuzzyBudget(word) {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+// The pipeline rewrites words, so it is stricter than search: below five letters a single edit already
+// turns one real word into another ("test" / "text", "take" / "make").
+function correctionBudget(word) {
+  return word.length < 5 ? 0 : fuzzyBudget(word);
+}
+
+// Everyday English words that sit one or two edits from a dictionary word but mean something else. They are
+// matched inflected too ("tested", "takes"), through the locale's stemmer.
+const COMMON_WORDS = {
+  en: [
+    "about", "above", "admin", "after", "again", "alert", "apply", "batch", "before", "below", "chart", "check", "class",
+    "clean", "clear", "click", "close", "count", "cover", "daily", "date", "delay", "email", "every", "fake", "field", "first",
+    "fix", "format", "found", "given", "group", "hour", "image", "index", "input", "item", "label", "large", "later", "level",
+    "limit", "line", "link", "local", "login", "logout", "match", "minute", "model", "month", "name", "never", "night", "note",
+    "often", "order", "other", "output", "owner", "page", "paste", "photo", "place", "plain", "point", "price", "print",
+    "quick", "range", "ready", "reply", "right", "round", "route", "sale", "scale", "score", "screen", "screenshot", "setup",
+    "share", "sheet", "short", "since", "small", "space", "start", "state", "still", "store", "table", "take", "test", "their",
+    "there", "these", "thing", "those", "time", "title", "today", "total", "under", "until", "user", "using", "value", "video",
+    "watch", "weekly", "where", "which", "while", "whole", "word", "write", "wrong", "yearly",
+  ],
+};
+const commonSets = new Map();
+function commonWords(locale) {
+  const lang = locale.split("-")[0];
+  if (!commonSets.has(lang)) {
+    const words = COMMON_WORDS[lang] || [];
+    commonSets.set(lang, new Set([...words, ...words.map(stemmerFor(lang))]));
+  }
+  return commonSets.get(lang);
+}
+
+// -----------------------------
+// Pipeline
+// -----------------------------
+/**
+ * @param dict        dictionary ({ synonyms, antonyms, stop, locales? }); `locales` maps a locale code to its
+ *                    own { synonyms, antonyms, stop }. A locale group whose head is an English dictionary word
+ *                    joins that group ("build": ["erstellen", "bauen"]), so intents and concepts carry over.
+ *                    `lexicon` holds the groups of every locale; a command is expanded with `lexiconFor(locale)`,
+ *                    the English groups plus its own locale's words only.
+ * @param options     stage toggles, see DEFAULT_PIPELINE
+ * @param vocabulary  extra known words for fuzzy lookup (e.g. snippet tags)
+ */
+export function createPipeline(dict, options = DEFAULT_PIPELINE, vocabulary = []) {
+  const opts = { ...DEFAULT_PIPELINE, ...options };
+  const locales = { [DEFAULT_LOCALE]: dict };
+  for (const [locale, d] of Object.entries(dict.locales || {})) if (locale !== DEFAULT_LOCALE) locales[locale] = d;
+  const stops = Object.fromEntries(Object.entries(locales).map(([locale, d]) => [locale, new Set([...(d.stop || [])].map(normalize))]));
+
+  const surfaces = new Map();
+  const remember = (t, word) => {
+    if (!surfaces.has(t)) surfaces.set(t, word);
+  };
+
+  const detect = (str) => detectLanguage(str, stops);
+  // "auto" (or nothing) detects the locale of `str`
+  const localeOf = (str, locale) => (locale && locale !== "auto" ? locale : detect(str).locale);
+  const split = (str, locale) => splitWords(opts.normalize ? normalize(str) : (str || "").trim(), locale);
+  const stemmed = (w, locale) => (opts.stem ? stemmerFor(locale)(w) : w);
+
+  // a dictionary word or phrase as it would come out of the pipeline (no stopword / fuzzy stage)
+  const termIn = (word, locale) => {
+    const t = split(word, locale).map((w) => stemmed(w, locale)).join(" ");
+    remember(t, opts.normalize ? normalize(word) : word);
+    return t;
+  };
+  const term = (word) => termIn(word, DEFAULT_LOCALE);
+
+  // heads that are already English dictionary terms keep their English form, so groups merge across locales
+  const english = new Set();
+  const mapGroups = (groups, locale, out) => {
+    for (const [head, words] of Object.entries(groups || {})) {
+      const en = term(head);
+      const key = locale === DEFAULT_LOCALE || english.has(en) ? en : termIn(head, locale);
+      out[key] = Array.from(new Set([...(out[key] || []), ...words.map((w) => termIn(w, locale))]));
+      if (locale === DEFAULT_LOCALE) [key, ...out[key]].forEach((w) => english.add(w));
+    }
+    return out;
+  };
+  // antonymy goes both ways: "destroy" opposes "build" even when only build lists it
+  const symmetric = (groups) => {
+    const out = {};
+    const link = (a, b) => {
+      if (a !== b) out[a] = Array.from(new Set([...(out[a] || []), b]));
+    };
+    for (const [head, words] of Object.entries(groups)) words.forEach((w) => { link(head, w); link(w, head); });
+    return out;
+  };
+  // each locale expands with the English groups plus its own words, never another locale's
+  const byLocale = {};
+  for (const [locale, d] of Object.entries(locales)) {
+    const synonyms = locale === DEFAULT_LOCALE ? {} : mapGroups(dict.synonyms, DEFAULT_LOCALE, {});
+    const antonyms = locale === DEFAULT_LOCALE ? {} : mapGroups(dict.antonyms, DEFAULT_LOCALE, {});
+    mapGroups(d.synonyms, locale, synonyms);
+    mapGroups(d.antonyms, locale, antonyms);
+    byLocale[locale] = { synonyms, antonyms: symmetric(antonyms), stop: dict.stop };
+  }
+  // every locale at once, for what reads across languages: intent verbs, concepts, opposition
+  const merged = (kind) => {
+    const out = {};
+    for (const lex of Object.values(byLocale)) {
+      for (const [head, words] of Object.entries(lex[kind])) out[head] = Array.from(new Set([...(out[head] || []), ...words]));
+    }
+    return out;
+  };
+  const lexicon = {
+    synonyms: merged("synonyms"),
+    antonyms: merged("antonyms"),
+    stop: dict.stop,
+  };
+  // the lexicon to expand a command of `locale` with; unknown locales get the English one
+  const lexiconFor = (locale) => byLocale[locale] || byLocale[DEFAULT_LOCALE];
+
+  // fuzzy lookup only corrects towards the command's own locale: its lexicon plus the extra vocabulary
+  const extra = vocabulary.map((w) => term(w));
+  const knownIn = new Map();
+  const knownFor = (locale) => {
+    const lex = lexiconFor(locale);
+    if (!knownIn.has(lex)) {
+      const words = new Set(extra);
+      for (const kind of ["synonyms", "antonyms"]) {
+        for (const [head, list] of Object.entries(lex[kind])) [head, ...list].forEach((w) => words.add(w));
+      }
+      knownIn.set(lex, { words, single: Array.from(words).filter((w) => !w.includes(" ")), cache: new Map() });
+    }
+    return knownIn.get(lex);
+  };
+  const closest = (t, known) => {
+    if (known.cache.has(t)) return known.cache.get(t);
+    let best = null;
+    let bestD = correctionBudget(t) + 1;
+    for (const w of known.single) {
+      const d = editDistance(t, w, bestD - 1);
+      if (d < bestD) {
+        best = w;
+        bestD = d;
+      }
+    }
+    known.cache.set(t, best);
+    return best;
+  };
+
+  // tokens plus the fuzzy corrections that were applied; `overrides` switches stages per call and may
+  // pin the `locale`
+  const run = (str, overrides = {}) => {
+    const { locale: pinned, ...stages } = overrides;
+    const o = { ...opts, ...stages };
+    const locale = localeOf(str, pinned);
+    let toks = split(str, locale);
+    if (o.stopwords) toks = toks.filter((t) => !stops[locale]?.has(t));
+    const corrections = [];
+    const known = o.fuzzy && knownFor(locale);
+    const common = commonWords(locale);
+    const tokens = toks.map((word) => {
+      let t = o.stem ? stemmerFor(locale)(word) : word;
+      remember(t, word);
+      // a common word, as it is or once the stemmer took its ending off, is a real word and not a typo
+      if (o.fuzzy && !known.words.has(t) && !common.has(word) && !common.has(stemmerFor(locale)(word))) {
+        const hit = closest(t, known);
+        if (hit) {
+          corrections.push({ from: word, to: surfaces.get(hit) });
+          t = hit;
+        }
+      }
+      return t;
+    });
+    return { tokens, corrections, locale };
+  };
+
+  return {
+    options: opts,
+    lexicon,
+    lexiconFor,
+    locales: Object.keys(locales),
+    detect,
+    localeOf,
+    run,
+    tokenize: (str, overrides) => run(str, overrides).tokens,
+    term,
+    surface: (t) => surfaces.get(t) || t,
+  };
+}
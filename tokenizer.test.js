@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_DICTIONARY, expandSynonyms } from "./core.js";
+import { createPipeline } from "./tokenizer.js";
+
+const pipeline = createPipeline(DEFAULT_DICTIONARY);
+// every term of the English groups, as the pipeline spells it
+const englishTerms = new Set(Object.entries(DEFAULT_DICTIONARY.synonyms).flat(2).map((w) => pipeline.term(w)));
+
+test("an English command expands to English words only", () => {
+  const raw = "fetch https://x.io and make a website";
+  const locale = pipeline.localeOf(raw);
+  assert.equal(locale, "en");
+  const tokens = pipeline.tokenize(raw, { locale });
+  const expanded = expandSynonyms(tokens, pipeline.lexiconFor(locale));
+  assert.ok(expanded.length > tokens.length);
+  assert.deepEqual(expanded.filter((w) => !tokens.includes(w) && !englishTerms.has(w)), []);
+  for (const w of ["herunterladen", "webseit", "obten", "descarg", "sitio"]) assert.ok(!expanded.includes(w), w);
+});
+
+test("another locale's lexicon has the English groups plus its own words", () => {
+  const build = pipeline.lexiconFor("de").synonyms[pipeline.term("build")];
+  assert.ok(build.includes(pipeline.term("create")), String(build));
+  assert.ok(build.some((w) => w.startsWith("erstell")), String(build));
+  const spanish = ["crear", "construir", "hacer"].map((w) => pipeline.tokenize(w, { locale: "es", fuzzy: false })[0]);
+  assert.deepEqual(build.filter((w) => spanish.includes(w)), []);
+});
+
+test("the merged lexicon still groups every locale under the English heads", () => {
+  const build = pipeline.lexicon.synonyms[pipeline.term("build")];
+  assert.ok(build.some((w) => w.startsWith("erstell")) && build.includes(pipeline.tokenize("construir", { locale: "es", fuzzy: false })[0]), String(build));
+});
+
+test("real words come through the fuzzy stage unchanged", () => {
+  for (const raw of ["take a screenshot of the page", "write a test", "fake data by date", "tested takes dates"]) {
+    const { tokens, corrections } = pipeline.run(raw, { locale: "en" });
+    assert.deepEqual(corrections, [], raw);
+    assert.ok(!tokens.includes(pipeline.term("make")) && !tokens.includes(pipeline.term("text")), `${raw}: ${tokens}`);
+  }
+  assert.ok(!pipeline.tokenize("sort by date", { locale: "en" }).includes("datei"));
+});
+
+test("typos are still corrected, towards the command's own locale only", () => {
+  assert.deepEqual(pipeline.run("build a webiste", { locale: "en" }).corrections, [{ from: "webiste", to: "website" }]);
+  assert.deepEqual(pipeline.run("abrupf the report", { locale: "en" }).corrections, []);
+  assert.equal(pipeline.run("abrupf den bericht", { locale: "de" }).corrections.length, 1);
+});
@@ -0,0 +1,206 @@
+/**
+ * Workspaces: named, isolated sets of commands, brain runs and scheduler state on one backend.
+ *
+ * The registry (`cmdbrain.workspaces`) lists them as `{ id, name, createdAt?, share: { snippets, dict } }`.
+ * The "default" workspace keeps the original keys (`cmdbrain.commands`, …), so data from before workspaces
+ * simply is the default workspace. Any other workspace stores under `cmdbrain.ws.<id>.…`:
+ *   - commands, brainRuns and retention always;
+ *   - snippets and dict only when the workspace overrides them (`share[name] === false`); otherwise it reads
+ *     and writes the shared ones.
+ * Templates, learned feedback and the registry itself are global.
+ *
+ * `scopedSchemas` rewrites store schemas (core.js STORE_SCHEMAS) for one workspace; a store created from
+ * them (storage.js) then only ever sees that workspace's data.
+ */
+
+import { createStore } from "./storage.js";
+
+export const DEFAULT_WORKSPACE = "default";
+export const WORKSPACE_STORES = ["commands", "brainRuns", "retention"];
+export const SHAREABLE_STORES = ["snippets", "dict"];
+export const WORKSPACE_ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+export const DEFAULT_WORKSPACES = [{ id: DEFAULT_WORKSPACE, name: "Default", share: { snippets: true, dict: true } }];
+
+const NAME_MAX = 60;
+
+// "cmdbrain.commands" -> "cmdbrain.ws.client-a.commands" (unchanged for the default workspace)
+export function workspaceKey(key, id) {
+  return id === DEFAULT_WORKSPACE ? key : key.replace(/^cmdbrain\./, `cmdbrain.ws.${id}.`);
+}
+
+// the workspace and the base key behind a store key, or null when `key` is not a workspace key
+export function parseWorkspaceKey(key) {
+  const m = /^cmdbrain\.ws\.([^.]+)\.(.+)$/.exec(key);
+  return m && WORKSPACE_ID_RE.test(m[1]) ? { id: m[1], key: `cmdbrain.${m[2]}` } : null;
+}
+
+// stores `workspace` keeps under its own keys
+export function ownStores(workspace) {
+  return [...WORKSPACE_STORES, ...SHAREABLE_STORES.filter((name) => workspace.share?.[name] === false)];
+}
+
+// same key <=> stores created with `scopedSchemas` for the two workspaces read and write the same keys
+export function scopeKey(workspace) {
+  return `${workspace.id}:${ownStores(workspace).join(",")}`;
+}
+
+/**
+ * `schemas` as seen from `workspace`: its own stores get workspace keys. Only the default workspace
+ * keeps the legacy keys, so a new workspace never picks up data from before the envelope format.
+ */
+export function scopedSchemas(schemas, workspace) {
+  if (workspace.id === DEFAULT_WORKSPACE) return schemas;
+  const own = new Set(ownStores(workspace));
+  return Object.fromEntries(Object.entries(schemas).map(([name, schema]) => {
+    if (!own.has(name)) return [name, schema];
+    const scoped = { ...schema, key: workspaceKey(schema.key, workspace.id) };
+    delete scoped.legacyKey;
+    return [name, scoped];
+  }));
+}
+
+// The registry with the default workspace always first.
+export function normalizeWorkspaces(list) {
+  const valid = (Array.isArray(list) ? list : []).filter((w) => w && WORKSPACE_ID_RE.test(w.id) && typeof w.name === "string");
+  const fallback = DEFAULT_WORKSPACES[0];
+  const first = valid.find((w) => w.id === DEFAULT_WORKSPACE) || fallback;
+  return [
+    { ...first, share: fallback.share },
+    ...valid.filter((w) => w.id !== DEFAULT_WORKSPACE).map((w) => ({ ...w, share: { ...fallback.share, ...w.share } })),
+  ];
+}
+
+// by id, else by name (case-insensitive)
+export function findWorkspace(list, ref) {
+  const lower = String(ref ?? "").trim().toLowerCase();
+  return list.find((w) => w.id === ref) || list.find((w) => w.name.toLowerCase() === lower) || null;
+}
+
+// Message for a name that cannot be used, or null. `exceptId` is the workspace being renamed.
+export function checkWorkspaceName(name, list, exceptId) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) return "a workspace needs a name";
+  if (trimmed.length > NAME_MAX) return `names are at most ${NAME_MAX} characters`;
+  if (list.some((w) => w.id !== exceptId && w.name.toLowerCase() === trimmed.toLowerCase())) return `there already is a workspace "${trimmed}"`;
+  return null;
+}
+
+// "Client A" -> "client-a", "client-a-2" when taken
+function slugFor(name, list) {
+  const base = name.normalize("NFKD").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 32) || "workspace";
+  const taken = new Set(list.map((w) => w.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * A new workspace record added to `list` (call `checkWorkspaceName` first). Nothing is mutated.
+ * @returns {{ workspace, list }}
+ */
+export function addWorkspace(list, name, { share = {}, now = new Date().toISOString() } = {}) {
+  const workspace = {
+    id: slugFor(name.trim(), list),
+    name: name.trim(),
+    createdAt: now,
+    share: { ...DEFAULT_WORKSPACES[0].share, ...share },
+  };
+  return { workspace, list: [...list, workspace] };
+}
+
+export function renameWorkspace(list, id, name) {
+  return list.map((w) => (w.id === id ? { ...w, name: name.trim() } : w));
+}
+
+// -----------------------------
+// Data moves (raw envelopes on a storage.js backend, so nothing needs migrating on the way)
+// -----------------------------
+async function copyKey(backend, from, to) {
+  const raw = await backend.get(from);
+  if (raw == null) await backend.remove(to);
+  else await backend.set(to, raw);
+}
+
+/**
+ * Copies everything `from` keeps to the new workspace `to` (already in the registry with the same sharing).
+ * Stores `from` shares stay shared.
+ */
+export async function copyWorkspace(backend, schemas, from, to) {
+  const source = scopedSchemas(schemas, from);
+  const target = scopedSchemas(schemas, to);
+  for (const name of ownStores(to)) await copyKey(backend, source[name].key, target[name].key);
+}
+
+// Removes everything `workspace` keeps under its own keys (the default workspace cannot be cleared).
+export async function clearWorkspace(backend, schemas, workspace) {
+  if (workspace.id === DEFAULT_WORKSPACE) throw new Error("The default workspace cannot be deleted");
+  const own = scopedSchemas(schemas, workspace);
+  for (const name of ownStores(workspace)) await backend.remove(own[name].key);
+}
+
+/**
+ * Switches store `name` ("snippets" | "dict") of `workspace` between shared and its own copy. Overriding starts
+ * from a copy of the shared data; sharing again drops the copy. Returns the updated workspace record.
+ */
+export async function setSharing(backend, schemas, workspace, name, shared) {
+  if (!SHAREABLE_STORES.includes(name)) throw new Error(`"${name}" cannot be shared`);
+  if (workspace.id === DEFAULT_WORKSPACE) throw new Error("The default workspace always uses the shared stores");
+  const updated = { ...workspace, share: { ...workspace.share, [name]: shared } };
+  if (Boolean(workspace.share?.[name] !== false) === shared) return updated;
+  const own = workspaceKey(schemas[name].key, workspace.id);
+  if (shared) await backend.remove(own);
+  else await copyKey(backend, schemas[name].key, own);
+  return updated;
+}
+
+// -----------------------------
+// Single-workspace bundles
+// -----------------------------
+/**
+ * One workspace as an export bundle (the same shape as the full export, see core.js `validateBundle`),
+ * with a `workspace` header. Shared snippets and dictionary are left out: they are not the workspace's.
+ * @param data  the workspace's stores, as loaded through its scoped store
+ */
+export function workspaceBundle(workspace, data) {
+  return {
+    workspace: { name: workspace.name, share: workspace.share },
+    commands: data.commands,
+    brainRuns: data.brainRuns,
+    retention: data.retention,
+    ...(workspace.share?.snippets === false && { snippets: data.snippets }),
+    ...(workspace.share?.dict === false && { dictionary: data.dict }),
+  };
+}
+
+// the name and sharing an imported bundle asks for: its own snippets / dictionary when it carries them
+export function bundleWorkspace(bundle, fallbackName = "Imported") {
+  const name = typeof bundle.workspace?.name === "string" && bundle.workspace.name.trim() ? bundle.workspace.name.trim() : fallbackName;
+  return { name, share: { snippets: !bundle.snippets, dict: !bundle.dictionary } };
+}
+
+// `name`, or "name (2)", "name (3)", … when taken
+export function freeName(name, list) {
+  const base = name.trim().slice(0, NAME_MAX - 6) || "Workspace";
+  let out = base;
+  for (let n = 2; checkWorkspaceName(out, list); n++) out = `${base} (${n})`;
+  return out;
+}
+
+/**
+ * Adds a workspace holding `bundle` (already validated, see core.js `validateBundle`) to the registry and
+ * saves the registry. The imported dictionary is laid over the default one, as a replacing import does.
+ * @param schemas  core.js STORE_SCHEMAS
+ * @returns {Promise<{ workspace, list }>}
+ */
+export async function importWorkspace(backend, schemas, list, bundle, { name, now } = {}) {
+  const asked = bundleWorkspace(bundle);
+  const { workspace, list: next } = addWorkspace(list, freeName(name || asked.name, list), { share: asked.share, now });
+  const store = createStore(backend, scopedSchemas(schemas, workspace));
+  if (bundle.dictionary) await store.save("dict", { ...(await store.load("dict")), ...bundle.dictionary });
+  if (bundle.snippets) await store.save("snippets", bundle.snippets);
+  if (bundle.retention) await store.save("retention", bundle.retention);
+  await store.save("commands", bundle.commands || []);
+  await store.save("brainRuns", bundle.brainRuns || []);
+  await store.save("workspaces", next);
+  return { workspace, list: next };
+}